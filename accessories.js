@@ -0,0 +1,279 @@
+// === ACCESSORY RENDERING ===
+// Three.js side of the accessory system (accessoryCatalog.js): one template
+// per active accessory, an instance per tracked person, placed every frame by
+// accessorySolver.js. Trails keep a short world-space history of their anchor
+// and draw it as a fading, additive ribbon.
+
+import * as THREE from 'three';
+import { SplatMesh } from '@sparkjsdev/spark';
+import { createAccessoryState, solveAccessoryPlacement } from './accessorySolver.js';
+
+const TRAIL_MAX_POINTS = 64;
+
+// Unit-sized shapes; the solver's scale sizes them
+const MESH_GEOMETRIES = {
+    torus: () => new THREE.TorusGeometry(0.5, 0.06, 12, 48),
+    sphere: () => new THREE.SphereGeometry(0.5, 24, 16),
+    cone: () => new THREE.ConeGeometry(0.25, 1, 24).translate(0, 0.5, 0), // Grows from its tip at the anchor
+    box: () => new THREE.BoxGeometry(1, 1, 1)
+};
+
+function createMaterial(color, opacity, glow, extra) {
+    return new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity,
+        depthWrite: false,
+        blending: glow ? THREE.AdditiveBlending : THREE.NormalBlending,
+        ...extra
+    });
+}
+
+// Ribbon geometry with room for TRAIL_MAX_POINTS samples (two vertices each)
+function createTrailMesh(color) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(TRAIL_MAX_POINTS * 2 * 3), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(TRAIL_MAX_POINTS * 2 * 4), 4));
+    const index = [];
+    for (let i = 0; i < TRAIL_MAX_POINTS - 1; i++) {
+        const a = i * 2;
+        index.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+    geometry.setIndex(index);
+    geometry.setDrawRange(0, 0);
+
+    const mesh = new THREE.Mesh(geometry, createMaterial(0xffffff, 1, true, { vertexColors: true, side: THREE.DoubleSide }));
+    mesh.frustumCulled = false; // Vertices are rewritten in world space every frame
+    mesh.renderOrder = 2;
+    mesh.userData.color = new THREE.Color(color);
+    return mesh;
+}
+
+// Rebuilds the ribbon from the anchor history: newest point widest and opaque, oldest gone
+function updateTrailMesh(mesh, points, time, lifetimeMs, opacity) {
+    const positions = mesh.geometry.attributes.position;
+    const colors = mesh.geometry.attributes.color;
+    const { r, g, b } = mesh.userData.color;
+    points.forEach((pt, i) => {
+        const prev = points[Math.max(0, i - 1)];
+        const next = points[Math.min(points.length - 1, i + 1)];
+        const dx = next.x - prev.x;
+        const dy = next.y - prev.y;
+        const length = Math.hypot(dx, dy) || 1;
+        const life = Math.max(0, 1 - (time - pt.t) / lifetimeMs);
+        const halfWidth = pt.width * 0.5 * life;
+        const nx = (-dy / length) * halfWidth;
+        const ny = (dx / length) * halfWidth;
+        positions.setXYZ(i * 2, pt.x + nx, pt.y + ny, pt.z);
+        positions.setXYZ(i * 2 + 1, pt.x - nx, pt.y - ny, pt.z);
+        colors.setXYZW(i * 2, r, g, b, life * opacity);
+        colors.setXYZW(i * 2 + 1, r, g, b, life * opacity);
+    });
+    positions.needsUpdate = true;
+    colors.needsUpdate = true;
+    mesh.geometry.setDrawRange(0, Math.max(0, points.length - 1) * 6);
+}
+
+export class AccessoryLayer {
+    /**
+     * @param {object} [options]
+     * @param {(accessory: object, error: Error) => void} [options.onError] - A splat asset failed to load.
+     */
+    constructor({ onError } = {}) {
+        this.onError = onError || (() => {});
+        this.scene = null;
+        this.accessories = []; // Active, normalized catalog entries
+        this.templates = new Map(); // accessory id -> { accessory, object, loaded, inUse }
+        this.people = new Map(); // person id -> Map(accessory id -> instance)
+    }
+
+    attach(scene) {
+        this.scene = scene;
+    }
+
+    /** Replaces the active accessories. Templates of accessories that stay active are kept. */
+    setAccessories(accessories) {
+        this.clear();
+        this.templates.forEach((template, id) => {
+            if (accessories.includes(template.accessory)) return;
+            this.disposeTemplate(template);
+            this.templates.delete(id);
+        });
+        this.accessories = accessories.slice();
+    }
+
+    /**
+     * Places every active accessory on one person.
+     * @param {string|number} personId
+     * @param {object} frame - { keypoints, videoWidth, videoHeight, viewport, cameraMode, body, params,
+     *        opacity, scale (tracking fade), time }
+     */
+    update(personId, frame) {
+        if (!this.scene || this.accessories.length === 0) return;
+        let instances = this.people.get(personId);
+        if (!instances) {
+            instances = new Map();
+            this.people.set(personId, instances);
+        }
+
+        this.accessories.forEach(accessory => {
+            let instance = instances.get(accessory.id);
+            if (!instance) {
+                instance = this.createInstance(accessory);
+                if (!instance) return; // Splat still loading; only its first wearer gets it until then
+                instances.set(accessory.id, instance);
+            }
+
+            const solved = solveAccessoryPlacement({ ...frame, accessory, state: instance.state });
+            if (!solved) {
+                this.hideInstance(instance);
+                return;
+            }
+            instance.state = solved.state;
+
+            if (instance.trail) {
+                const { points } = instance.trail;
+                const lifetimeMs = accessory.asset.lifetimeMs;
+                points.push({ ...solved.position, width: solved.scale.x * frame.scale, t: frame.time });
+                while (points.length > TRAIL_MAX_POINTS || (points.length > 0 && frame.time - points[0].t > lifetimeMs)) points.shift();
+                updateTrailMesh(instance.trail.mesh, points, frame.time, lifetimeMs, frame.opacity);
+                instance.trail.mesh.visible = points.length > 1;
+                return;
+            }
+
+            const { root } = instance;
+            root.position.set(solved.position.x, solved.position.y, solved.position.z);
+            root.rotation.set(solved.rotation.x, solved.rotation.y, solved.rotation.z);
+            root.scale.setScalar(solved.scale.x * frame.scale);
+            root.visible = true;
+            if (instance.asset instanceof SplatMesh) {
+                instance.asset.opacity = frame.opacity;
+            } else {
+                instance.asset.material.opacity = accessory.asset.opacity * frame.opacity;
+            }
+        });
+    }
+
+    // Not tracked this frame: hide, and let trails start fresh next time
+    hide(personId) {
+        const instances = this.people.get(personId);
+        if (instances) instances.forEach(instance => this.hideInstance(instance));
+    }
+
+    hideInstance(instance) {
+        instance.state = createAccessoryState();
+        if (instance.trail) {
+            instance.trail.points.length = 0;
+            instance.trail.mesh.visible = false;
+        } else {
+            instance.root.visible = false;
+        }
+    }
+
+    removePerson(personId) {
+        const instances = this.people.get(personId);
+        if (!instances) return;
+        instances.forEach(instance => this.disposeInstance(instance));
+        this.people.delete(personId);
+    }
+
+    clear() {
+        Array.from(this.people.keys()).forEach(id => this.removePerson(id));
+    }
+
+    dispose() {
+        this.clear();
+        this.templates.forEach(template => this.disposeTemplate(template));
+        this.templates.clear();
+        this.accessories = [];
+        this.scene = null;
+    }
+
+    // --- Templates & instances ---
+
+    getTemplate(accessory) {
+        let template = this.templates.get(accessory.id);
+        if (template) return template;
+
+        const { asset } = accessory;
+        template = { accessory, object: null, loaded: true, inUse: false };
+        if (asset.type === 'splat') {
+            template.loaded = false;
+            template.object = new SplatMesh({
+                url: asset.url,
+                fileType: asset.format,
+                onLoad: () => { template.loaded = true; }
+            });
+            if (template.object.initialized) template.object.initialized.catch(err => this.onError(accessory, err));
+            template.object.renderOrder = 1;
+        } else if (asset.type === 'mesh') {
+            template.object = new THREE.Mesh(MESH_GEOMETRIES[asset.shape](), createMaterial(asset.color, asset.opacity, asset.glow));
+            template.object.renderOrder = 2;
+        }
+        this.templates.set(accessory.id, template);
+        return template;
+    }
+
+    createInstance(accessory) {
+        if (accessory.asset.type === 'trail') {
+            const mesh = createTrailMesh(accessory.asset.color);
+            mesh.visible = false;
+            this.scene.add(mesh);
+            return { accessory, trail: { mesh, points: [] }, state: createAccessoryState() };
+        }
+
+        const template = this.getTemplate(accessory);
+        let asset;
+        if (template.object instanceof SplatMesh) {
+            // The template itself goes to the first wearer; others share its decoded data once loaded
+            if (!template.inUse) {
+                asset = template.object;
+                template.inUse = true;
+            } else if (template.loaded) {
+                asset = new SplatMesh({ packedSplats: template.object.packedSplats });
+                asset.renderOrder = template.object.renderOrder;
+            } else {
+                return null;
+            }
+        } else {
+            asset = template.object.clone();
+            asset.material = template.object.material.clone(); // Opacity fades per person
+        }
+
+        const { rotation } = accessory;
+        asset.rotation.set(rotation.x, rotation.y, rotation.z);
+        const root = new THREE.Group();
+        root.add(asset);
+        root.visible = false;
+        this.scene.add(root);
+        return { accessory, root, asset, state: createAccessoryState() };
+    }
+
+    // Shared geometry and splat data stay with the template
+    disposeInstance(instance) {
+        if (instance.trail) {
+            if (this.scene) this.scene.remove(instance.trail.mesh);
+            instance.trail.mesh.geometry.dispose();
+            instance.trail.mesh.material.dispose();
+            return;
+        }
+        if (this.scene) this.scene.remove(instance.root);
+        const template = this.templates.get(instance.accessory.id);
+        if (template && instance.asset === template.object) {
+            instance.root.remove(instance.asset);
+            template.inUse = false;
+        } else if (!(instance.asset instanceof SplatMesh)) {
+            instance.asset.material.dispose();
+        }
+    }
+
+    disposeTemplate(template) {
+        if (!template.object) return;
+        if (template.object instanceof SplatMesh) {
+            template.object.dispose();
+        } else {
+            template.object.geometry.dispose();
+            template.object.material.dispose();
+        }
+    }
+}
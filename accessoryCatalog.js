@@ -0,0 +1,109 @@
+// === ACCESSORY CATALOG ===
+// Keypoint-anchored extras worn alongside the wings (halos, tails, wrist
+// trails), declared in assets/accessories.json. Each entry names:
+//   anchor   - one keypoint, or several whose midpoint is used ("left_ear" + "right_ear")
+//   offset   - from the anchor, in shoulder widths (so it grows with the person);
+//              x right, y up, z towards the camera, turned with the accessory's roll
+//   follow   - rotation: none | roll (tilt of the anchor pair, else the shoulders)
+//                        | body (roll plus the estimated body yaw)
+//              scale:    fixed | shoulders | anchor (distance between the anchor keypoints)
+//   scale    - size in world units ('fixed') or in multiples of the followed length
+//   rotation - base rotation of the asset, radians
+//   asset    - { type: 'splat', file } | { type: 'mesh', shape, color, opacity, glow }
+//              | { type: 'trail', color, lifetimeMs }
+// See accessorySolver.js for the placement math and accessories.js for the rendering.
+
+import catalogManifest from './assets/accessories.json';
+import { SPLAT_FORMATS, detectSplatFormatFromName } from './splatFormats.js';
+import { resolveAssetUrl } from './wingCatalog.js';
+
+export const ACCESSORY_ROTATION_MODES = ['none', 'roll', 'body'];
+export const ACCESSORY_SCALE_MODES = ['fixed', 'shoulders', 'anchor'];
+export const ACCESSORY_MESH_SHAPES = ['torus', 'sphere', 'cone', 'box'];
+
+const toVector = (value) => {
+    if (Array.isArray(value)) return { x: Number(value[0]) || 0, y: Number(value[1]) || 0, z: Number(value[2]) || 0 };
+    if (value && typeof value === 'object') return { x: Number(value.x) || 0, y: Number(value.y) || 0, z: Number(value.z) || 0 };
+    return { x: 0, y: 0, z: 0 };
+};
+
+function normalizeAsset(id, asset) {
+    const type = asset && asset.type;
+    if (type === 'splat') {
+        if (!asset.file) throw new Error(`Accessory "${id}": splat asset needs a file`);
+        const format = asset.format || detectSplatFormatFromName(asset.file);
+        if (!SPLAT_FORMATS.includes(format)) {
+            throw new Error(`Accessory "${id}": unsupported format for ${asset.file} (expected ${SPLAT_FORMATS.join(', ')})`);
+        }
+        return { type, url: resolveAssetUrl(asset.file), format };
+    }
+    if (type === 'mesh') {
+        const shape = asset.shape || 'sphere';
+        if (!ACCESSORY_MESH_SHAPES.includes(shape)) {
+            throw new Error(`Accessory "${id}": unknown shape "${shape}" (expected ${ACCESSORY_MESH_SHAPES.join(', ')})`);
+        }
+        return { type, shape, color: asset.color || '#ffffff', opacity: asset.opacity > 0 ? Math.min(asset.opacity, 1) : 1, glow: Boolean(asset.glow) };
+    }
+    if (type === 'trail') {
+        return { type, color: asset.color || '#ffffff', lifetimeMs: asset.lifetimeMs > 0 ? asset.lifetimeMs : 400 };
+    }
+    throw new Error(`Accessory "${id}": asset type must be splat, mesh or trail`);
+}
+
+/**
+ * Normalizes one manifest entry.
+ * @returns {object} { id, name, anchor, offset, follow: { rotation, scale }, scale, rotation, smoothing, minScore, asset }
+ */
+export function normalizeAccessory(entry) {
+    if (!entry || typeof entry.id !== 'string') throw new Error('Accessory is missing an id');
+    const anchor = (Array.isArray(entry.anchor) ? entry.anchor : [entry.anchor]).filter(name => typeof name === 'string');
+    if (anchor.length === 0) throw new Error(`Accessory "${entry.id}" needs an anchor keypoint`);
+
+    const follow = entry.follow || {};
+    const rotationMode = follow.rotation || 'roll';
+    const scaleMode = follow.scale || 'shoulders';
+    if (!ACCESSORY_ROTATION_MODES.includes(rotationMode)) {
+        throw new Error(`Accessory "${entry.id}": follow.rotation must be ${ACCESSORY_ROTATION_MODES.join(', ')}`);
+    }
+    if (!ACCESSORY_SCALE_MODES.includes(scaleMode)) {
+        throw new Error(`Accessory "${entry.id}": follow.scale must be ${ACCESSORY_SCALE_MODES.join(', ')}`);
+    }
+
+    return {
+        id: entry.id,
+        name: entry.name || entry.id,
+        anchor,
+        offset: toVector(entry.offset),
+        follow: { rotation: rotationMode, scale: scaleMode },
+        scale: entry.scale > 0 ? entry.scale : 1.0,
+        rotation: toVector(entry.rotation),
+        smoothing: entry.smoothing > 0 ? Math.min(entry.smoothing, 1) : 0.5, // 1 = no smoothing
+        minScore: entry.minScore >= 0 ? entry.minScore : 0.3,
+        asset: normalizeAsset(entry.id, entry.asset)
+    };
+}
+
+/**
+ * Parses an accessories.json manifest. Invalid entries are skipped and reported in `warnings`.
+ * @returns {{ version: number, accessories: Array, warnings: Array<string> }}
+ */
+export function parseAccessoryCatalog(manifest) {
+    const warnings = [];
+    const accessories = [];
+    (manifest && Array.isArray(manifest.accessories) ? manifest.accessories : []).forEach(entry => {
+        try {
+            const accessory = normalizeAccessory(entry);
+            if (accessories.some(a => a.id === accessory.id)) throw new Error(`Duplicate accessory id "${accessory.id}"`);
+            accessories.push(accessory);
+        } catch (err) {
+            warnings.push(err.message);
+        }
+    });
+    return { version: (manifest && manifest.version) || 1, accessories, warnings };
+}
+
+export function getAccessory(catalog, id) {
+    return catalog.accessories.find(accessory => accessory.id === id) || null;
+}
+
+export const ACCESSORY_CATALOG = parseAccessoryCatalog(catalogManifest);
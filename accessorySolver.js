@@ -0,0 +1,107 @@
+// === HEADLESS ACCESSORY PLACEMENT ===
+// Places one catalog accessory (accessoryCatalog.js) on one person, in the
+// same world space as the wings: keypoints go through wingSolver.js's world
+// mapping, and the wing solver's depth estimate pushes everything back
+// together so perspective keeps it on the body. Like solveWingPlacement(),
+// smoothing state goes in and comes back out for the caller to store.
+
+import { DEFAULT_SOLVER_PARAMS, createWorldMapping, findKeypoint } from './wingSolver.js';
+
+export function createAccessoryState() {
+    return { position: null, roll: 0 };
+}
+
+/**
+ * @param {object} input
+ * @param {object} input.accessory - Normalized entry from accessoryCatalog.js.
+ * @param {Array} input.keypoints - Image keypoints ({ name, x, y, score }) in video pixels.
+ * @param {number} input.videoWidth
+ * @param {number} input.videoHeight
+ * @param {object} [input.viewport] - computeViewport() result, as for solveWingPlacement().
+ * @param {'user'|'environment'} input.cameraMode - 'user' mirrors the X axis.
+ * @param {{ depth: number|null, yaw: number }} [input.body] - The wing solver's estimate for this person.
+ * @param {object} [input.state] - Previous state from createAccessoryState() or an earlier solve.
+ * @param {object} [input.params] - Wing solver params (layout depth, FOV, reference depth).
+ * @returns {object|null} { position, rotation, scale, anchor, state }, or null when an anchor is not confident.
+ */
+export function solveAccessoryPlacement({ accessory, keypoints, videoWidth, videoHeight, viewport, cameraMode, body, state, params }) {
+    const p = { ...DEFAULT_SOLVER_PARAMS, ...params };
+    const prev = state || createAccessoryState();
+    if (!videoWidth || !videoHeight) return null;
+
+    const confident = kp => Boolean(kp && kp.score >= accessory.minScore);
+    const anchors = accessory.anchor.map(name => findKeypoint(keypoints, name));
+    if (!anchors.every(confident)) return null;
+    // Shoulders set the body-relative units (offset, 'shoulders' scale, roll of single-point anchors)
+    const leftShoulder = findKeypoint(keypoints, 'left_shoulder');
+    const rightShoulder = findKeypoint(keypoints, 'right_shoulder');
+    if (!confident(leftShoulder) || !confident(rightShoulder)) return null;
+
+    const mirror = cameraMode === 'user';
+    const toWorld = createWorldMapping(videoWidth, videoHeight, viewport, p);
+    const depthScale = body && body.depth !== null && body.depth !== undefined ? body.depth / p.referenceDepthMeters : 1;
+    const world = kp => ({
+        x: toWorld.x(kp.x) * depthScale * (mirror ? -1 : 1),
+        y: toWorld.y(kp.y) * depthScale
+    });
+
+    // 1. ANCHOR POINT (midpoint of the anchor keypoints)
+    const points = anchors.map(world);
+    const anchor = {
+        x: points.reduce((sum, pt) => sum + pt.x, 0) / points.length,
+        y: points.reduce((sum, pt) => sum + pt.y, 0) / points.length
+    };
+    const ls = world(leftShoulder);
+    const rs = world(rightShoulder);
+    const shoulderWidth = Math.hypot(ls.x - rs.x, ls.y - rs.y);
+
+    // 2. ROLL from the anchor pair (or the shoulders), whichever way round they are on screen
+    let roll = 0;
+    if (accessory.follow.rotation !== 'none') {
+        const [a, b] = points.length >= 2 ? points : [ls, rs];
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        if (dx < 0) {
+            dx = -dx;
+            dy = -dy;
+        }
+        roll = Math.atan2(dy, dx);
+    }
+    roll = prev.position ? prev.roll + (roll - prev.roll) * accessory.smoothing : roll;
+    const yaw = accessory.follow.rotation === 'body' && body ? body.yaw : 0;
+
+    // 3. SCALE
+    let unit = 1;
+    if (accessory.follow.scale === 'shoulders') {
+        unit = shoulderWidth;
+    } else if (accessory.follow.scale === 'anchor') {
+        unit = points.length >= 2 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) : shoulderWidth;
+    }
+    const size = accessory.scale * unit;
+
+    // 4. POSITION (offset in shoulder widths, turned with the roll)
+    const { offset } = accessory;
+    const cos = Math.cos(roll);
+    const sin = Math.sin(roll);
+    const target = {
+        x: anchor.x + (offset.x * cos - offset.y * sin) * shoulderWidth,
+        y: anchor.y + (offset.x * sin + offset.y * cos) * shoulderWidth,
+        z: (p.depthZ + p.backOffsetZ) * depthScale + offset.z * shoulderWidth
+    };
+    const s = accessory.smoothing;
+    const position = prev.position
+        ? {
+            x: prev.position.x + (target.x - prev.position.x) * s,
+            y: prev.position.y + (target.y - prev.position.y) * s,
+            z: prev.position.z + (target.z - prev.position.z) * s
+        }
+        : target;
+
+    return {
+        position,
+        rotation: { x: 0, y: yaw, z: roll },
+        scale: { x: size, y: size, z: size },
+        anchor,
+        state: { position, roll }
+    };
+}
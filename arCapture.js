@@ -0,0 +1,226 @@
+// === PHOTO & VIDEO CAPTURE ===
+// Saves what the user sees: the renderer canvas (video background plane + splat
+// wings), optionally with the 2D debug overlay from output-canvas on top.
+// Frames are grabbed right after each render call, so the WebGL canvas does
+// not need preserveDrawingBuffer.
+
+import { downloadBlob } from './sessionRecorder.js';
+
+export const DEFAULT_CAPTURE_OPTIONS = {
+    countdownSeconds: 3,
+    maxRecordSeconds: 15,
+    includeOverlay: false,
+    frameRate: 30,
+    videoBitsPerSecond: 8000000
+};
+
+// First supported container wins; Safari only records MP4
+const RECORDING_MIME_TYPES = [
+    'video/mp4;codecs=avc1',
+    'video/mp4',
+    'video/webm;codecs=vp9',
+    'video/webm;codecs=vp8',
+    'video/webm'
+];
+
+export function pickRecordingMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+// Draws `source` the way CSS object-fit: cover shows it in a dstWidth x dstHeight box
+function drawCover(ctx, source, srcWidth, srcHeight, dstWidth, dstHeight) {
+    const scale = Math.max(dstWidth / srcWidth, dstHeight / srcHeight);
+    const drawWidth = srcWidth * scale;
+    const drawHeight = srcHeight * scale;
+    ctx.drawImage(source, (dstWidth - drawWidth) / 2, (dstHeight - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+const timestampName = (prefix, extension) => `${prefix}-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+
+export class ARCapture {
+    /**
+     * @param {object} config
+     * @param {() => HTMLCanvasElement} config.getRendererCanvas - Current threeRendererInstance.domElement.
+     * @param {() => HTMLCanvasElement} config.getOverlayCanvas - The debug output-canvas.
+     * @param {() => boolean} [config.isRendering] - Whether frames are being rendered (session running);
+     *        photos are refused while it returns false, since no frame would arrive.
+     * @param {HTMLElement} [config.countdownElement] - Shows the countdown digits.
+     * @param {object} [config.options] - Overrides for DEFAULT_CAPTURE_OPTIONS.
+     */
+    constructor({ getRendererCanvas, getOverlayCanvas, isRendering, countdownElement, options }) {
+        this.getRendererCanvas = getRendererCanvas;
+        this.getOverlayCanvas = getOverlayCanvas;
+        this.isRendering = isRendering || (() => true);
+        this.countdownElement = countdownElement || null;
+        this.options = { ...DEFAULT_CAPTURE_OPTIONS, ...options };
+
+        this.pendingPhotos = []; // { resolve, reject } waiting for the next rendered frame
+        this.recorder = null;
+        this.recordCanvas = null;
+        this.recordStopTimer = null;
+        this.countingDown = false;
+        this.countdownCancel = null;
+    }
+
+    get isRecording() { return this.recorder !== null && this.recorder.state === 'recording'; }
+    get isBusy() { return this.countingDown || this.isRecording; }
+
+    // Resolves true when the countdown ran out, false when cancelCountdown() stopped it
+    async countdown(seconds) {
+        this.countingDown = true;
+        let cancelled = false;
+        try {
+            for (let remaining = seconds; remaining > 0 && !cancelled; remaining--) {
+                this.showCountdown(String(remaining));
+                await new Promise(resolve => {
+                    const timer = setTimeout(resolve, 1000);
+                    this.countdownCancel = () => {
+                        clearTimeout(timer);
+                        cancelled = true;
+                        resolve();
+                    };
+                });
+            }
+        } finally {
+            this.countdownCancel = null;
+            this.showCountdown(null);
+            this.countingDown = false;
+        }
+        return !cancelled;
+    }
+
+    // Stops a running countdown; the photo / recording waiting on it resolves with null
+    cancelCountdown() {
+        if (this.countdownCancel) this.countdownCancel();
+    }
+
+    showCountdown(text) {
+        if (!this.countdownElement) return;
+        this.countdownElement.textContent = text || '';
+        this.countdownElement.classList.toggle('hidden', !text);
+    }
+
+    /**
+     * Resolves with a full-resolution PNG of the next rendered frame, or null when the countdown was cancelled.
+     * @param {{ countdown?: boolean }} [options]
+     * @throws {Error} When nothing is being rendered, or rendering stops before the frame arrives.
+     */
+    async takePhoto({ countdown = false } = {}) {
+        if (countdown && !(await this.countdown(this.options.countdownSeconds))) return null;
+        if (!this.isRendering()) throw new Error('The AR view is not running');
+        const canvas = await new Promise((resolve, reject) => this.pendingPhotos.push({ resolve, reject }));
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+        });
+    }
+
+    // Call right after every renderer.render(): the WebGL buffer is only valid until the next task
+    onFrameRendered() {
+        if (this.pendingPhotos.length > 0) {
+            const canvas = this.composeFrame(document.createElement('canvas'));
+            this.pendingPhotos.splice(0).forEach(photo => photo.resolve(canvas));
+        }
+        if (this.isRecording && this.recordCanvas) {
+            this.composeFrame(this.recordCanvas);
+        }
+    }
+
+    // Call when rendering stops (pause / stop): photos waiting for a frame would wait forever
+    onRenderingStopped() {
+        this.pendingPhotos.splice(0).forEach(photo => photo.reject(new Error('The AR view stopped before the photo was taken')));
+    }
+
+    composeFrame(target) {
+        const source = this.getRendererCanvas();
+        if (target.width !== source.width || target.height !== source.height) {
+            target.width = source.width;
+            target.height = source.height;
+        }
+        const ctx = target.getContext('2d');
+        ctx.clearRect(0, 0, target.width, target.height);
+        ctx.drawImage(source, 0, 0);
+        const overlay = this.getOverlayCanvas();
+        if (this.options.includeOverlay && overlay && overlay.width > 0) {
+            drawCover(ctx, overlay, overlay.width, overlay.height, target.width, target.height);
+        }
+        return target;
+    }
+
+    /**
+     * Counts down, then records until stopRecording() or the length limit.
+     * @returns {Promise<Blob|null>} the finished clip; null when the countdown was cancelled.
+     */
+    async record() {
+        const mimeType = pickRecordingMimeType();
+        if (mimeType === null) throw new Error('MediaRecorder is not supported in this browser');
+        if (this.isBusy) throw new Error('A capture is already in progress');
+
+        if (!(await this.countdown(this.options.countdownSeconds))) return null;
+
+        // Without the overlay the renderer canvas is streamed directly
+        let stream;
+        if (this.options.includeOverlay) {
+            this.recordCanvas = this.composeFrame(document.createElement('canvas'));
+            stream = this.recordCanvas.captureStream(this.options.frameRate);
+        } else {
+            this.recordCanvas = null;
+            stream = this.getRendererCanvas().captureStream(this.options.frameRate);
+        }
+
+        const chunks = [];
+        const recorder = new MediaRecorder(stream, {
+            mimeType: mimeType || undefined,
+            videoBitsPerSecond: this.options.videoBitsPerSecond
+        });
+        this.recorder = recorder;
+
+        // After an error the recorder may or may not fire stop as well; either one ends the recording
+        const finish = () => {
+            clearTimeout(this.recordStopTimer);
+            this.recordStopTimer = null;
+            stream.getTracks().forEach(track => track.stop());
+            if (this.recorder === recorder) {
+                this.recorder = null;
+                this.recordCanvas = null;
+            }
+        };
+
+        return new Promise((resolve, reject) => {
+            recorder.ondataavailable = (event) => { if (event.data.size > 0) chunks.push(event.data); };
+            recorder.onerror = (event) => {
+                finish();
+                reject(event.error || new Error('Recording failed'));
+            };
+            recorder.onstop = () => {
+                finish();
+                resolve(new Blob(chunks, { type: recorder.mimeType || mimeType || 'video/webm' }));
+            };
+            recorder.start(1000);
+            this.recordStopTimer = setTimeout(() => this.stopRecording(), this.options.maxRecordSeconds * 1000);
+        });
+    }
+
+    stopRecording() {
+        if (this.isRecording) this.recorder.stop();
+    }
+}
+
+// Web Share sheet when files can be shared (mobile), download otherwise
+export async function shareOrDownload(blob, prefix) {
+    const extension = blob.type.includes('png') ? 'png' : (blob.type.includes('mp4') ? 'mp4' : 'webm');
+    const filename = timestampName(prefix, extension);
+    const file = new File([blob], filename, { type: blob.type });
+
+    if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        try {
+            await navigator.share({ files: [file], title: 'AR Wings' });
+            return 'shared';
+        } catch (err) {
+            if (err.name === 'AbortError') return 'cancelled';
+            // Share failed for another reason: fall through to a download
+        }
+    }
+    downloadBlob(blob, filename);
+    return 'downloaded';
+}
@@ -0,0 +1,18 @@
+// === LIBRARY ENTRY POINT ===
+// What embedding pages import (`npm run build:lib` bundles it to dist/lib/).
+// The demo page (index.html + script.js) is built on the same API.
+
+export { ARWingsSession, DEFAULT_SESSION_OPTIONS, SESSION_STATES } from './arWingsSession.js';
+export { SettingsStore, SETTINGS_SCHEMA } from './settings.js';
+export { WING_CATALOG, LOCAL_WING_MODES, createLocalWingStyle, getWingStyle } from './wingCatalog.js';
+export { SPLAT_FILE_ACCEPT, identifySplatFile } from './splatFormats.js';
+export { POSE_MODELS, DEFAULT_POSE_MODEL } from './poseDetector.js';
+export { VIEWPORT_FITS, computeViewport, videoToView, videoToNdc } from './viewportMapping.js';
+export { CALIBRATION_STEPS, CalibrationWizard, BodyProfileStore } from './bodyCalibration.js';
+export { ACCESSORY_CATALOG, normalizeAccessory, parseAccessoryCatalog } from './accessoryCatalog.js';
+export { BUILT_IN_GESTURES, GestureRecognizer } from './gestureRecognizer.js';
+export { DEFAULT_LIGHTING_OPTIONS, LIGHTING_MODES, LightingEstimator, analyzeLightingFrame, lightingToAdjustment } from './sceneLighting.js';
+export { AssetLoadError, AssetLoader } from './assetLoader.js';
+export { DIAGNOSTICS_FORMAT, DiagnosticsRecorder, FRAME_STAGES, LOG_LEVELS, drawDiagnosticsGraph } from './diagnostics.js';
+export { CAMERA_RESOLUTIONS, CameraError, listVideoDevices, getTrackFeatures, setTorch, setZoom } from './cameraDevices.js';
+export { KeypointReplay, VideoFileReplay, parseKeypointRecording } from './poseReplay.js';
@@ -0,0 +1,1559 @@
+// === AR WINGS SESSION ===
+// The whole effect (camera, pose detection, tracking, wing placement and
+// rendering) behind one object, so it can be embedded in any page:
+//
+//   const session = new ARWingsSession(container, { cameraMode: 'user' });
+//   session.on('tracking', ({ personId, to }) => ...);
+//   await session.start();
+//
+// The session draws into `container` (sized by the page) and owns every Three.js,
+// TF.js and media resource it creates; dispose() releases all of them.
+// Tuning values come from a SettingsStore (settings.js), so a settings panel,
+// presets and URL overrides work the same way as in the demo page.
+// Logs, errors, per-stage frame timings, detection stats and TF.js memory go to
+// session.diagnostics (diagnostics.js); getDiagnosticsReport() bundles them with
+// device, WebGL and settings info for bug reports.
+//
+// Events (listener gets the detail object; on() returns an unsubscribe function,
+// or use addEventListener and read event.detail):
+//   'state'        { state }                     idle | starting | running | paused | stopped | disposed
+//   'pose'         { poses, people, timestamp }  after every detection
+//   'tracking'     { personId, from, to, time }  tracking state machine transitions
+//   'asset-progress' { style, loaded, total, fraction, fromCache }  while wing files download (total / fraction null when unknown)
+//   'asset-loaded' { style, kind }               kind: 'splat' | 'boxes' (fallback)
+//   'accessories'  { accessories }               active accessories changed (setAccessories)
+//   'camera'       { deviceId, label, cameraMode, width, height, track }  a camera stream opened
+//   'fps'          { fps, quality }              once a second
+//   'render'       { time, poses, solved }       after every rendered frame
+//   'layout'       { viewport }                  video fitted to the view (start, resize, rotation, fit change)
+//   'gesture'      { type, gesture, progress, time }  type: progress | recognized | cancelled (gestureRecognizer.js)
+//   'lighting'     { estimate, adjustment, mode }  camera light measured or lighting settings changed (sceneLighting.js)
+//   'calibration'  { state, step, stepIndex, holding, progress, result }  during calibrate(); state: running | complete | failed | cancelled
+//   'error'        { kind, error, message }      kind: camera | model | asset | accessory | lighting | detection | segmentation | start
+//   'log'          { level, message, category }  info | success | warning; category: camera | model | asset | tracking | ...
+//   'status'       { field, text }               field: status | video | model | pose | asset
+
+import * as THREE from 'three';
+import { SplatMesh, SparkRenderer } from '@sparkjsdev/spark';
+import { createPoseDetector, getDetectorSpec } from './poseDetector.js';
+import { PerformanceGovernor } from './performanceGovernor.js';
+import { KeypointReplay } from './poseReplay.js';
+import { PersonOccluder } from './personOcclusion.js';
+import { WING_CATALOG, getWingStyle, getWingStyleUrls } from './wingCatalog.js';
+import { DEFAULT_MULTI_PERSON_OPTIONS, selectPeople } from './personTracker.js';
+import { DEFAULT_SOLVER_PARAMS, createSolverState, findKeypoint, solveWingPlacement } from './wingSolver.js';
+import { SettingsStore, getSettingDefinition } from './settings.js';
+import { KeypointFilter } from './keypointFilters.js';
+import { TrackingStateMachine } from './trackingState.js';
+import { CameraError, getTrackFacingMode, openCameraStream, stopStream, watchTrack } from './cameraDevices.js';
+import { CALIBRATION_SETTING_KEYS, CalibrationWizard } from './bodyCalibration.js';
+import { GestureRecognizer } from './gestureRecognizer.js';
+import { ACCESSORY_CATALOG, getAccessory } from './accessoryCatalog.js';
+import { AccessoryLayer } from './accessories.js';
+import { computeViewport, displayRect, videoToView, viewHalfExtents } from './viewportMapping.js';
+import { LightingEstimator, rimBoost } from './sceneLighting.js';
+import { AssetLoader } from './assetLoader.js';
+import { DiagnosticsRecorder, describeDevice, describeWebGL } from './diagnostics.js';
+import { getTfMemory } from './tfBackend.js';
+
+export const SESSION_STATES = ['idle', 'starting', 'running', 'paused', 'stopped', 'disposed'];
+
+export const DEFAULT_SESSION_OPTIONS = {
+    cameraMode: 'environment',   // facingMode when no deviceId is chosen
+    deviceId: null,              // A specific camera (e.g. one of several rear lenses)
+    wingStyle: null,             // Catalog id or style object; null = catalog default
+    accessories: [],             // Accessory catalog ids (or entries) worn with the wings
+    multiPerson: DEFAULT_MULTI_PERSON_OPTIONS,
+    preferWorker: true,          // Run pose detection in poseWorker.js when possible
+    debugOverlay: true,          // Shoulder dots / occlusion mask on the overlay canvas
+    useGaussianSplat: true,      // false = box placeholder wings
+    assetCache: true,            // Keep downloaded wing files in the Cache API for later (offline) visits
+    cameraFov: 65,               // Also handed to the solver for depth estimation
+    videoPlaneDepth: -10,
+    boxWingScale: 1.2
+};
+
+// One rig ({ group, left, right, solverState, keypoints }) per tracked person.
+// Single-person mode only ever uses the primary rig built on wingsGroup.
+const PRIMARY_PERSON_ID = 'primary';
+
+// Layers created by the session when the page does not hand its own elements in
+function createLayer(tagName, container, zIndex) {
+    const element = document.createElement(tagName);
+    Object.assign(element.style, { position: 'absolute', top: '0', left: '0', width: '100%', height: '100%', zIndex: String(zIndex) });
+    container.appendChild(element);
+    return element;
+}
+
+// screen.orientation where supported; older iOS Safari only has window 'orientationchange'
+function watchOrientation(onChange) {
+    const target = typeof screen !== 'undefined' && screen.orientation ? screen.orientation : window;
+    const type = target === window ? 'orientationchange' : 'change';
+    target.addEventListener(type, onChange);
+    return () => target.removeEventListener(type, onChange);
+}
+
+// Smaller wings on portrait video and short views, a bit larger on wide video
+function calculateResponsiveWingScale(videoWidth, videoHeight, viewHeight, baseScale) {
+    const aspect = videoWidth / videoHeight;
+    let scaleAdjustment = 1.0;
+
+    if (aspect < 1.0) {
+        scaleAdjustment = 0.85;
+    } else if (aspect > 1.7) {
+        scaleAdjustment = 1.1;
+    }
+
+    const screenHeightFactor = viewHeight / 800;
+
+    return baseScale * scaleAdjustment * Math.min(1.0, screenHeightFactor);
+}
+
+// Copies a { position, rotation, scale } transform from wingSolver.js onto a Three.js object
+function applyTransform(object3D, transform) {
+    object3D.position.set(transform.position.x, transform.position.y, transform.position.z);
+    object3D.rotation.set(transform.rotation.x, transform.rotation.y, transform.rotation.z);
+    object3D.scale.set(transform.scale.x, transform.scale.y, transform.scale.z);
+}
+
+// Fades one wing slot: SplatMesh opacity, or the material opacity of the box fallback
+function setWingOpacity(object3D, opacity) {
+    if (object3D instanceof SplatMesh) {
+        object3D.opacity = opacity;
+        return;
+    }
+    object3D.traverse(child => {
+        if (child.material) {
+            child.material.transparent = true;
+            child.material.opacity = opacity;
+        }
+    });
+}
+
+// Tints one wing slot for the scene light: SplatMesh recolor, or the box fallback's material color
+function setWingLighting(object3D, adjustment, side) {
+    const gain = adjustment.exposure * rimBoost(adjustment, side);
+    const { tint } = adjustment;
+    if (object3D instanceof SplatMesh) {
+        object3D.recolor.setRGB(tint.r * gain, tint.g * gain, tint.b * gain);
+        return;
+    }
+    object3D.traverse(child => {
+        if (!child.material || !child.material.color) return;
+        if (!child.userData.baseColor) child.userData.baseColor = child.material.color.clone();
+        const base = child.userData.baseColor;
+        child.material.color.setRGB(base.r * tint.r * gain, base.g * tint.g * gain, base.b * tint.b * gain);
+    });
+}
+
+function cloneWingAsset(asset) {
+    if (asset instanceof SplatMesh) {
+        // Share the already-decoded splat data instead of downloading it again
+        const clone = new SplatMesh({ packedSplats: asset.packedSplats });
+        clone.renderOrder = asset.renderOrder;
+        return clone;
+    }
+    // Own geometry and material: each person fades and tints separately, and is disposed on its own
+    const clone = asset.clone();
+    if (asset.isMesh) {
+        clone.geometry = asset.geometry.clone();
+        clone.material = asset.material.clone();
+    }
+    return clone;
+}
+
+function disposeObject(asset) {
+    if (asset instanceof SplatMesh) {
+        asset.dispose();
+    } else if (asset.isMesh) {
+        asset.geometry.dispose();
+        asset.material.dispose();
+    }
+}
+
+// Frees what a cloneWingAsset() clone owns; SplatMesh.dispose() would also free the template's shared splat data
+function disposeWingClone(clone, template) {
+    if (clone instanceof SplatMesh && template && clone.packedSplats === template.packedSplats) return;
+    disposeObject(clone);
+}
+
+export class ARWingsSession extends EventTarget {
+    /**
+     * @param {HTMLElement} container - Receives the WebGL canvas; its size is the view size.
+     * @param {object} [options] - Overrides for DEFAULT_SESSION_OPTIONS, plus:
+     * @param {SettingsStore} [options.settings] - Shared settings (defaults, not persisted, when omitted).
+     * @param {HTMLVideoElement} [options.video] - Video element to use (a hidden one is created otherwise).
+     * @param {HTMLCanvasElement} [options.overlayCanvas] - 2D debug overlay (created when omitted).
+     * @param {DiagnosticsRecorder} [options.diagnostics] - Shared with the page's own log (created when omitted).
+     */
+    constructor(container, options = {}) {
+        super();
+        if (!container) throw new Error('ARWingsSession needs a container element');
+        const { settings, video, overlayCanvas, diagnostics, ...rest } = options;
+        this.container = container;
+        this.options = { ...DEFAULT_SESSION_OPTIONS, ...rest };
+        this.settings = settings || new SettingsStore({ storage: null });
+        this.diagnostics = diagnostics || new DiagnosticsRecorder();
+        this.state = 'idle';
+
+        this.ownedElements = [];
+        this.video = video || this.ownElement(createLayer('video', container, 0));
+        this.video.playsInline = true;
+        this.video.muted = true;
+        if (!video) this.video.style.display = 'none';
+        this.overlayCanvas = overlayCanvas || this.ownElement(createLayer('canvas', container, 2));
+        this.overlayCtx = this.overlayCanvas.getContext('2d');
+
+        // --- Tuning (kept in sync with the settings store) ---
+        // Placement tuning for wingSolver.js (smoothing state lives on each person rig)
+        this.solverParams = { ...DEFAULT_SOLVER_PARAMS, cameraFov: this.options.cameraFov, ...this.settings.getTargetValues('solver') };
+        // Keypoint filter options for new rigs (keypointFilters.js); each rig filters its own person
+        this.filterOptions = this.settings.getTargetValues('filter');
+        // Tracking state machine options for new rigs (trackingState.js); acquiring needs the solver's shoulder confidence
+        this.trackingOptions = { ...this.settings.getTargetValues('tracking'), acquireScore: this.solverParams.minShoulderScore };
+        this.multiPerson = { ...DEFAULT_MULTI_PERSON_OPTIONS, ...this.options.multiPerson };
+        this.unsubscribeSettings = this.settings.subscribe((key, value, entry) => this.handleSettingChange(key, value, entry));
+
+        // --- Input ---
+        this.cameraMode = this.options.cameraMode;
+        this.deviceId = this.options.deviceId;
+        this.cameraTrack = null;
+        this.unwatchCameraTrack = null;
+        this.replay = null; // KeypointReplay or VideoFileReplay instead of the live camera
+        this.sourceSize = { width: 0, height: 0 };
+
+        // --- Detection ---
+        this.detector = null; // WorkerPoseDetector, or MainThreadPoseDetector as the fallback
+        this.detectorSpec = null; // getDetectorSpec() of the loaded model
+        this.modelGeneration = 0; // Ignores a load that finishes after the model was switched again
+        this.modelLoading = null;
+        this.pendingReplayPoses = null; // KeypointReplay poses waiting for this frame's takePoseResult()
+        this.detectionFrameCounter = 0;
+
+        // With 'adaptiveQuality' on, the governor picks the detection interval, model input size,
+        // pixel ratio and splat quality for 'targetFps'; otherwise pose detection runs every
+        // 'poseDetectionSkipFrames' frames at full quality.
+        this.governor = new PerformanceGovernor({
+            options: { targetFps: this.settings.get('targetFps') },
+            onChange: (level, decision) => {
+                this.log('info', `Quality ${decision.from} → ${decision.to} (${decision.reason})`, 'performance');
+                this.applyQualityLevel();
+            }
+        });
+        this.governor.setEnabled(this.settings.get('adaptiveQuality'));
+        this.occluder = new PersonOccluder({ skipFrames: this.settings.get('segmentationSkipFrames') });
+
+        // --- Scene (built on the first start, kept until dispose) ---
+        this.renderer = null;
+        this.sparkRenderer = null;
+        this.scene = null;
+        this.camera = null;
+        this.wingsGroup = null;
+        this.videoBackgroundPlane = null;
+        this.rigs = new Map();
+
+        // --- View layout (viewportMapping.js), redone on resize, rotation and input size changes ---
+        this.viewport = null;
+        this.layoutPending = false; // Applied at the start of the next frame while running
+        this.requestLayout = this.requestLayout.bind(this);
+        this.handleInputResize = this.handleInputResize.bind(this);
+        this.resizeObserver = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(this.requestLayout) : null;
+        if (this.resizeObserver) this.resizeObserver.observe(container);
+        this.unwatchOrientation = watchOrientation(this.requestLayout);
+        this.video.addEventListener('resize', this.handleInputResize); // Stream size flips when the device rotates
+
+        // --- Wing assets ---
+        this.currentStyle = this.resolveStyle(this.options.wingStyle);
+        this.fallbackStyle = this.currentStyle; // Restored when a local file fails to parse
+        this.wingScale = this.currentStyle.baseScale;
+        this.assetLeft = null;
+        this.assetRight = null;
+        this.isSplatAttempted = false;
+        this.isSplatDataReady = false;
+        this.splatLoadGeneration = 0; // Ignores onLoad callbacks from a style that was switched away from
+        this.loadedCount = 0;
+        this.expectedSplatLoads = 2;
+        // Downloads (with progress, retry and caching) for the wing files; versioned by the catalog
+        this.assetLoader = new AssetLoader({ useCache: this.options.assetCache, version: WING_CATALOG.assetVersion });
+        this.assetAbort = null; // Cancels the previous style's downloads when the style changes
+
+        // --- Accessories (halos, tails, trails; accessoryCatalog.js), placed per person with the wings ---
+        this.accessoryLayer = new AccessoryLayer({
+            onError: (accessory, err) => this.reportError('accessory', err, `Could not load accessory "${accessory.name}": ${err.message}`)
+        });
+        this.accessoryLayer.setAccessories(this.options.accessories.map(item => this.resolveAccessory(item)));
+
+        // Tint / exposure / rim light from the camera image, so the wings match the room
+        this.lighting = new LightingEstimator({
+            ...this.settings.getTargetValues('lighting'),
+            onError: err => this.reportError('lighting', err, `Lighting estimation unavailable: ${err.message}`)
+        });
+        this.lightingAdjustment = this.lighting.current;
+        this.ambientLight = null;
+
+        this.calibration = null; // { wizard, resolve } while calibrate() runs
+        // Hands-free commands from the first selected person; register custom gestures on session.gestures
+        this.gestures = new GestureRecognizer();
+        this.gestures.setEnabled(this.settings.get('gestureControl'));
+        this.gestures.subscribe(event => {
+            if (event.type === 'recognized') this.log('info', `Gesture: ${event.gesture.name}`, 'gesture');
+            this.emit('gesture', event);
+        });
+
+        // The video upload is timed on its own only where VideoTexture flags new frames itself
+        // (requestVideoFrameCallback); elsewhere uploading early would upload each frame twice
+        this.timeVideoUpload = typeof HTMLVideoElement !== 'undefined' && 'requestVideoFrameCallback' in HTMLVideoElement.prototype;
+        this.frameCount = 0;
+        this.lastFpsUpdate = performance.now();
+        this.rafId = null;
+        this.startPromise = null;
+        this.renderFrame = this.renderFrame.bind(this);
+    }
+
+    // --- EVENTS ---
+
+    /**
+     * @param {string} type - One of the events listed at the top of this file.
+     * @param {(detail: object) => void} listener
+     * @returns {() => void} unsubscribe
+     */
+    on(type, listener) {
+        const handler = (event) => listener(event.detail);
+        this.addEventListener(type, handler);
+        return () => this.removeEventListener(type, handler);
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    log(level, message, category = 'session') {
+        this.diagnostics.log(level, category, message);
+        this.emit('log', { level, message, category });
+    }
+    setStatus(field, text) { this.emit('status', { field, text }); }
+    reportError(kind, error, message = error.message) {
+        this.diagnostics.log('error', kind, message, { name: error && error.name, kind: error && error.kind });
+        this.emit('error', { kind, error, message });
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+        this.state = state;
+        this.emit('state', { state });
+    }
+
+    ownElement(element) {
+        this.ownedElements.push(element);
+        return element;
+    }
+
+    // --- LIFECYCLE ---
+
+    /**
+     * Opens the camera (or `replay`), builds the scene on first use and starts rendering.
+     * Failures are reported as an 'error' event (CameraError for camera problems).
+     * @param {{ replay?: KeypointReplay|VideoFileReplay }} [options]
+     * @returns {Promise<boolean>} true once running.
+     */
+    start({ replay } = {}) {
+        if (this.state === 'disposed') return Promise.reject(new Error('ARWingsSession was disposed'));
+        if (this.state === 'running') return Promise.resolve(true);
+        if (this.state === 'paused') return this.resume();
+        if (this.startPromise) return this.startPromise;
+        if (replay) this.replay = replay;
+
+        this.startPromise = this.startInput().finally(() => { this.startPromise = null; });
+        return this.startPromise;
+    }
+
+    async startInput() {
+        this.setState('starting');
+        this.ensurePoseModel();
+        try {
+            // Open the camera stream (or replay file) and wait for its size
+            this.sourceSize = await this.openInputSource();
+            if (this.state !== 'starting') {
+                this.closeInput(); // stop() / dispose() while the camera was opening
+                return false;
+            }
+
+            this.setStatus('status', 'Setting up 3D renderer...');
+            if (!this.scene) {
+                this.setupScene();
+                this.log('success', '3D renderer ready', 'render');
+            }
+            this.configureVideoLayer(); // Also sets the wing scale for the view
+            this.log('info', `Set initial wing scale to: ${this.wingScale.toFixed(2)}`, 'asset');
+
+            if (!this.isSplatAttempted) this.loadWingStyle(this.currentStyle);
+
+            this.setStatus('status', 'Running - Stand back!');
+            this.setState('running');
+            this.rafId = requestAnimationFrame(this.renderFrame);
+            return true;
+        } catch (error) {
+            this.closeInput();
+            this.setState('stopped');
+            if (error instanceof CameraError) {
+                this.reportCameraError(error);
+            } else {
+                this.reportError('start', error, `INIT ERROR: ${error.name}: ${error.message}`);
+                this.setStatus('status', 'FATAL ERROR');
+            }
+            return false;
+        }
+    }
+
+    // Freezes rendering and the input, keeping the camera stream, model and assets
+    pause() {
+        if (this.state !== 'running') return;
+        this.cancelFrame();
+        if (this.replay) this.replay.pause();
+        else this.video.pause();
+        this.setState('paused');
+        this.setStatus('status', 'Paused');
+    }
+
+    async resume() {
+        if (this.state !== 'paused') return this.state === 'running';
+        if (this.replay) await this.replay.play();
+        else await this.video.play().catch(error => this.log('warning', `Video play() failed: ${error.message}`, 'camera'));
+        this.setState('running');
+        this.setStatus('status', 'Running - Stand back!');
+        this.rafId = requestAnimationFrame(this.renderFrame);
+        return true;
+    }
+
+    // Stops rendering and releases the camera; start() can be called again
+    stop() {
+        if (this.state === 'idle' || this.state === 'stopped' || this.state === 'disposed') return;
+        this.cancelFrame();
+        this.cancelCalibration();
+        this.gestures.reset();
+        this.closeInput();
+        this.resetPersonRigs();
+        if (this.overlayCtx) this.overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
+        this.setState('stopped');
+        this.setStatus('status', 'Stopped');
+    }
+
+    // Releases everything: renderer, scene, wing assets, pose model, segmentation model, media
+    dispose() {
+        if (this.state === 'disposed') return;
+        this.stop();
+        this.setState('disposed');
+        this.unsubscribeSettings();
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        this.unwatchOrientation();
+        this.video.removeEventListener('resize', this.handleInputResize);
+        this.modelGeneration++;
+        if (this.detector) this.detector.dispose();
+        this.detector = null;
+        this.occluder.dispose();
+        this.disposeWingAssets();
+        this.accessoryLayer.dispose();
+        this.lighting.dispose();
+        if (this.assetAbort) this.assetAbort.abort();
+        this.assetAbort = null;
+
+        if (this.videoBackgroundPlane) {
+            this.videoBackgroundPlane.geometry.dispose();
+            this.videoBackgroundPlane.material.map.dispose();
+            this.videoBackgroundPlane.material.dispose();
+            this.videoBackgroundPlane = null;
+        }
+        if (this.renderer) {
+            this.renderer.domElement.remove();
+            this.renderer.dispose();
+            this.renderer.forceContextLoss();
+            this.renderer = null;
+        }
+        this.scene = null;
+        this.sparkRenderer = null;
+        this.wingsGroup = null;
+        this.ownedElements.forEach(element => element.remove());
+        this.ownedElements = [];
+    }
+
+    cancelFrame() {
+        if (this.rafId !== null) cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+    }
+
+    // --- CAMERA ---
+
+    /** Switches between the front ('user') and rear ('environment') camera; clears a chosen device. */
+    setCameraMode(mode) {
+        this.cameraMode = mode;
+        this.deviceId = null;
+        return this.restartCamera();
+    }
+
+    /** Uses a specific camera (deviceId from listVideoDevices()), or null for facingMode again. */
+    setCameraDevice(deviceId) {
+        this.deviceId = deviceId || null;
+        return this.restartCamera();
+    }
+
+    // Reopens the live camera with the current device, facing mode and resolution
+    async restartCamera() {
+        if (this.replay || this.state === 'idle' || this.state === 'disposed') return this.state === 'running';
+        this.stop();
+        return this.start();
+    }
+
+    /**
+     * Leaves a keypoint or video replay for the live camera. Tracking, keypoint filters and
+     * gestures start over, since nothing from the replay applies to the camera.
+     * @returns {Promise<boolean>} true once the camera is running.
+     */
+    async useCamera() {
+        if (!this.replay || this.state === 'disposed') return this.state === 'running';
+        this.stop(); // Closes the replay, drops every person rig (tracking + filters) and resets gestures
+        this.replay = null;
+        this.pendingReplayPoses = null;
+        this.detectNextFrame();
+        return this.start();
+    }
+
+    async openInputSource() {
+        if (this.replay instanceof KeypointReplay) {
+            this.cameraMode = this.replay.cameraMode;
+            this.replay.play();
+            this.setStatus('video', `Keypoint replay (${this.replay.frameCount} frames, ${this.cameraMode})`);
+            return this.replay.getVideoSize();
+        }
+
+        if (this.replay) {
+            await this.replay.open();
+            this.setStatus('video', `Video replay (${this.replay.fileName})`);
+            return { width: this.video.videoWidth, height: this.video.videoHeight };
+        }
+
+        // 1. Request Camera Stream (a selected device wins over cameraMode)
+        const stream = await this.openSelectedCamera();
+        const track = stream.getVideoTracks()[0];
+        this.video.srcObject = stream;
+        this.cameraTrack = track;
+        this.unwatchCameraTrack = watchTrack(track, error => this.handleCameraEnded(error));
+        // The chosen lens decides mirroring
+        const facing = getTrackFacingMode(track);
+        if (facing) this.cameraMode = facing;
+
+        // 2. CRITICAL: Attempt play()
+        this.video.play().catch(error => {
+            this.log('warning', `Video play() failed: ${error.message}`, 'camera');
+        });
+
+        // 3. CRITICAL: Wait for video metadata to load
+        await new Promise((resolve) => { this.video.onloadedmetadata = () => { resolve(this.video); }; });
+
+        const { videoWidth: width, videoHeight: height } = this.video;
+        this.setStatus('video', `${track.label || 'Camera'} ${width}x${height} (${this.cameraMode})`);
+        this.emit('camera', { deviceId: this.deviceId, label: track.label, cameraMode: this.cameraMode, width, height, track });
+        return { width, height };
+    }
+
+    // A remembered camera that is gone (unplugged, or ids reset after clearing site data) falls back to cameraMode
+    async openSelectedCamera() {
+        const resolution = this.settings.get('cameraResolution');
+        try {
+            return await openCameraStream({ deviceId: this.deviceId, facingMode: this.cameraMode, resolution });
+        } catch (err) {
+            if (!this.deviceId || (err.kind !== 'not-found' && err.kind !== 'overconstrained')) throw err;
+            this.log('warning', 'Selected camera is not available - using the default camera', 'camera');
+            this.deviceId = null;
+            return openCameraStream({ facingMode: this.cameraMode, resolution });
+        }
+    }
+
+    closeInput() {
+        if (this.unwatchCameraTrack) {
+            this.unwatchCameraTrack();
+            this.unwatchCameraTrack = null;
+        }
+        if (this.video.srcObject) {
+            stopStream(this.video.srcObject);
+            this.video.srcObject = null;
+        }
+        this.cameraTrack = null;
+        if (this.replay) this.replay.close();
+    }
+
+    // Track ended under us: unplugged, permission revoked, or taken by another app
+    handleCameraEnded(error) {
+        this.stop();
+        this.reportCameraError(error);
+    }
+
+    reportCameraError(error) {
+        this.setStatus('status', 'Camera error');
+        this.setStatus('video', `Unavailable (${error.kind})`);
+        this.reportError('camera', error, `CAMERA ERROR (${error.kind}): ${error.message}${error.cause ? ` [${error.cause.name}: ${error.cause.message}]` : ''}`);
+    }
+
+    // --- POSE MODEL ---
+
+    ensurePoseModel() {
+        if (this.detector || this.modelLoading) return;
+        this.loadPoseModel().catch(() => {}); // Reported as an 'error' event
+    }
+
+    /**
+     * Loads a pose model (POSE_MODELS id, default: the 'poseModel' setting), disposing the previous detector.
+     * @returns {Promise<void>} rejects (after an 'error' event) when the model cannot be loaded.
+     */
+    loadPoseModel(modelId = this.settings.get('poseModel')) {
+        const generation = ++this.modelGeneration;
+        const loading = this.createDetector(modelId, generation)
+            .catch(err => {
+                if (generation === this.modelGeneration) {
+                    this.reportError('model', err, `FATAL: Could not load Pose Model: ${err.message}`);
+                    this.setStatus('model', 'Failed');
+                }
+                throw err;
+            })
+            .finally(() => { if (this.modelLoading === loading) this.modelLoading = null; });
+        this.modelLoading = loading;
+        return loading;
+    }
+
+    async createDetector(modelId, generation) {
+        const spec = getDetectorSpec(modelId, { multiPerson: this.multiPerson.enabled });
+        if (spec.warning) this.log('warning', spec.warning, 'model');
+
+        if (this.detector) {
+            this.detector.dispose();
+            this.detector = null;
+            this.detectorSpec = null;
+            this.updateTrackedPeople([], performance.now()); // Old keypoints would freeze the wings in place
+        }
+
+        this.setStatus('status', `Loading AI model (${spec.label})...`);
+        this.setStatus('model', `Loading ${spec.label}...`);
+        // Inference runs in poseWorker.js when possible so it never blocks rendering
+        const detector = await createPoseDetector({
+            spec,
+            preferWorker: this.options.preferWorker,
+            onFallback: reason => this.log('warning', `${reason} - detecting on the main thread`, 'model')
+        });
+        if (generation !== this.modelGeneration) {
+            detector.dispose();
+            return;
+        }
+
+        this.detector = detector;
+        this.detectorSpec = spec;
+        detector.backendFailures.forEach(failure => {
+            this.log('warning', `TF backend ${failure.backend} unavailable (${failure.reason})`, 'model');
+        });
+        this.log('success', `AI model loaded! ${spec.label} (${detector.kind}, TF backend: ${detector.backend})`, 'model');
+        this.setStatus('model', (this.multiPerson.enabled
+            ? `${spec.label} (max ${this.multiPerson.maxPeople}, ${this.multiPerson.policy})`
+            : spec.label) + ` [${detector.kind}, ${detector.backend}]`);
+    }
+
+    // Poses for this detection tick: recorded keypoints, or the model run on the video frame
+    canDetectPoses() {
+        if (this.replay instanceof KeypointReplay) return true;
+        return this.video.readyState >= this.video.HAVE_ENOUGH_DATA && Boolean(this.detector);
+    }
+
+    // Starts a detection for the frame captured at `timestamp`; false while one is still in flight
+    requestPoses(timestamp, inputScale) {
+        if (this.replay instanceof KeypointReplay) {
+            this.pendingReplayPoses = { poses: this.replay.posesAt(), timestamp };
+            return true;
+        }
+        return this.detector.detect(this.video, timestamp, inputScale);
+    }
+
+    // Newest finished detection ({ poses, timestamp } or { error, timestamp }), or null
+    takePoseResult() {
+        if (this.pendingReplayPoses) {
+            const result = this.pendingReplayPoses;
+            this.pendingReplayPoses = null;
+            return result;
+        }
+        return this.detector ? this.detector.takeResult() : null;
+    }
+
+    // Forces detection on the next frame (e.g. after stepping a replay)
+    detectNextFrame() {
+        this.detectionFrameCounter = Infinity;
+    }
+
+    // --- SETTINGS ---
+
+    handleSettingChange(key, value, entry) {
+        if (entry.target === 'solver') {
+            this.solverParams[key] = value;
+            if (key === 'minShoulderScore') {
+                this.trackingOptions.acquireScore = value;
+                this.rigs.forEach(rig => rig.tracking.setOptions({ acquireScore: value }));
+            }
+        } else if (entry.target === 'tracking') {
+            this.trackingOptions[entry.option] = value;
+            this.rigs.forEach(rig => rig.tracking.setOptions({ [entry.option]: value }));
+        } else if (entry.target === 'lighting') {
+            this.lighting.setOptions({ [entry.option]: value });
+        } else if (entry.target === 'filter') {
+            this.filterOptions[entry.option] = value;
+            this.rigs.forEach(rig => rig.keypointFilter.setOptions({ [entry.option]: value }));
+        } else if (key === 'segmentationSkipFrames') {
+            this.occluder.options.skipFrames = value;
+        } else if (key === 'adaptiveQuality') {
+            this.governor.setEnabled(value);
+            this.applyQualityLevel();
+        } else if (key === 'targetFps') {
+            this.governor.setTargetFps(value);
+        } else if (key === 'gestureControl') {
+            this.gestures.setEnabled(value);
+        } else if (key === 'viewportFit') {
+            this.requestLayout();
+        } else if (key === 'cameraResolution') {
+            if (this.state === 'running' || this.state === 'paused') this.restartCamera();
+        } else if (key === 'poseModel') {
+            this.loadPoseModel(value).catch(() => {}); // Reported as an 'error' event
+        }
+    }
+
+    // --- BODY CALIBRATION ---
+
+    /**
+     * Guided T-pose / arms-down capture of the first selected person (bodyCalibration.js).
+     * Progress arrives as 'calibration' events. The result is only measured; hand it to
+     * applyBodyProfile() to use it.
+     * @param {object} [options] - Overrides for DEFAULT_CALIBRATION_OPTIONS.
+     * @returns {Promise<object|null>} { measurements, settings, source }, or null when cancelled or timed out.
+     */
+    calibrate(options) {
+        this.cancelCalibration();
+        this.gestures.reset(); // The T-pose step must not also trigger the T-pose gesture
+        return new Promise(resolve => {
+            const wizard = new CalibrationWizard(options);
+            this.calibration = { wizard, resolve };
+            this.emit('calibration', wizard.describe(false));
+        });
+    }
+
+    cancelCalibration() {
+        if (!this.calibration) return;
+        const { wizard, resolve } = this.calibration;
+        this.calibration = null;
+        this.emit('calibration', { ...wizard.describe(false), state: 'cancelled' });
+        resolve(null);
+    }
+
+    updateCalibration(people, timestamp) {
+        const person = people[0];
+        const status = this.calibration.wizard.update(
+            person ? person.keypoints : null,
+            person ? person.pose.keypoints3D || null : null,
+            timestamp
+        );
+        this.emit('calibration', status);
+        if (status.state === 'running') return;
+
+        const { resolve } = this.calibration;
+        this.calibration = null;
+        if (status.state === 'complete') {
+            const { measurements, settings, source } = status.result;
+            const measured = source === '3d'
+                ? `shoulders ${measurements.shoulderWidth.toFixed(2)} m, torso ${measurements.torsoLength.toFixed(2)} m, wrist span ${measurements.wristSpan.toFixed(2)} m`
+                : `wrist span ${measurements.spanToShoulder.toFixed(2)}x shoulders, depth settings at defaults`;
+            this.log('success', `Calibrated (${source}): ${measured}, wing scale x${settings.wingScaleMultiplier.toFixed(2)}`, 'calibration');
+        } else {
+            this.log('warning', 'Calibration timed out', 'calibration');
+        }
+        resolve(status.result);
+    }
+
+    /**
+     * Applies a calibration result or saved profile ({ settings }) through the settings store,
+     * so the panel, presets and exports see the personal values. Calibration settings the
+     * profile does not set go back to their defaults.
+     * @returns {Array<string>} settings that were ignored
+     */
+    applyBodyProfile(profile) {
+        CALIBRATION_SETTING_KEYS.forEach(key => this.settings.set(key, getSettingDefinition(key).defaultValue));
+        return this.settings.applyDisplayValues(profile.settings);
+    }
+
+    // === DIAGNOSTICS ===
+
+    /**
+     * Everything a bug report needs: diagnostics.js records plus device, WebGL, detector,
+     * camera and settings info. Plain JSON data.
+     */
+    getDiagnosticsReport() {
+        return this.diagnostics.toReport({
+            environment: this.describeEnvironment(),
+            settings: this.settings.toDisplayMap()
+        });
+    }
+
+    describeEnvironment() {
+        const trackSettings = this.cameraTrack && this.cameraTrack.getSettings ? this.cameraTrack.getSettings() : null;
+        return {
+            device: describeDevice(),
+            webgl: this.renderer ? describeWebGL(this.renderer) : null,
+            detector: this.detector
+                ? { kind: this.detector.kind, backend: this.detector.backend, backendFailures: this.detector.backendFailures, model: this.detectorSpec ? this.detectorSpec.label : null }
+                : null,
+            input: {
+                source: this.replay ? 'replay' : 'camera',
+                cameraMode: this.cameraMode,
+                width: this.sourceSize.width,
+                height: this.sourceSize.height,
+                camera: trackSettings ? { label: this.cameraTrack.label, width: trackSettings.width, height: trackSettings.height, frameRate: trackSettings.frameRate } : null
+            },
+            viewport: this.viewport ? { view: [this.viewport.viewWidth, this.viewport.viewHeight], fit: this.viewport.fit, scale: this.viewport.scale } : null,
+            quality: this.governor.enabled ? this.governor.describe() : 'manual',
+            state: this.state,
+            wingStyle: this.currentStyle.id,
+            splatsLoaded: this.isSplatDataReady,
+            occlusion: this.occluder.enabled,
+            trackedPeople: this.rigs.size
+        };
+    }
+
+    // === QUALITY LEVEL (performance governor) ===
+    // Renderer pixel ratio and splat quality for the governor's level; full quality when it is off
+    applyQualityLevel() {
+        const level = this.governor.enabled ? this.governor.level : null;
+        if (this.renderer) {
+            const pixelRatio = level ? Math.min(window.devicePixelRatio, level.pixelRatio) : window.devicePixelRatio;
+            if (this.renderer.getPixelRatio() !== pixelRatio) this.renderer.setPixelRatio(pixelRatio);
+        }
+        if (this.sparkRenderer) {
+            // quality 1 = Spark defaults (splats drawn out to sqrt(8) std devs, alpha >= 0.5/255);
+            // lower values trim the faint outer part of each splat, which is where fill rate goes
+            const quality = level ? level.splatQuality : 1;
+            this.sparkRenderer.maxStdDev = Math.sqrt(5 + 3 * quality);
+            this.sparkRenderer.minAlpha = (0.5 + 3.5 * (1 - quality)) / 255;
+        }
+    }
+
+    // === SCENE ===
+    // Renderer, camera, lights and the video background; built once and reused across restarts
+    setupScene() {
+        const rect = this.container.getBoundingClientRect();
+
+        this.renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.setSize(rect.width, rect.height);
+        this.renderer.setClearColor(0x000000, 0);
+        this.container.appendChild(this.renderer.domElement);
+
+        this.scene = new THREE.Scene();
+        // Kept so the performance governor can change splat quality
+        this.sparkRenderer = new SparkRenderer({ renderer: this.renderer });
+        this.scene.add(this.sparkRenderer);
+        this.applyQualityLevel();
+
+        this.wingsGroup = new THREE.Group();
+        this.scene.add(this.wingsGroup);
+        this.accessoryLayer.attach(this.scene);
+
+        this.camera = new THREE.PerspectiveCamera(this.options.cameraFov, rect.width / rect.height, 0.1, 100);
+        this.solverParams.cameraFov = this.camera.fov;
+        this.camera.position.set(0, 0, 0);
+        // Follows the lighting estimate too, for lit materials added to the scene
+        this.ambientLight = new THREE.AmbientLight(0xffffff, 1.0);
+        this.scene.add(this.ambientLight);
+
+        // Video Background Plane setup
+        const videoTexture = new THREE.VideoTexture(this.video);
+        videoTexture.flipY = false;
+        const planeGeometry = new THREE.PlaneGeometry(1, 1);
+        planeGeometry.scale(1, -1, 1);
+        // depthWrite off: with depth estimation the wings can sit further away than the plane
+        const planeMaterial = new THREE.MeshBasicMaterial({ map: videoTexture, side: THREE.DoubleSide, depthTest: false, depthWrite: false });
+        this.videoBackgroundPlane = new THREE.Mesh(planeGeometry, planeMaterial);
+        this.videoBackgroundPlane.position.z = this.options.videoPlaneDepth;
+        this.videoBackgroundPlane.renderOrder = 0;
+        this.scene.add(this.videoBackgroundPlane);
+    }
+
+    // Mirroring, layout and occluder for the current input (camera flips change all of them)
+    configureVideoLayer() {
+        const { width: videoWidth, height: videoHeight } = this.sourceSize;
+        const videoTexture = this.videoBackgroundPlane.material.map;
+        if (this.cameraMode === 'user') {
+            videoTexture.wrapS = THREE.RepeatWrapping; videoTexture.offset.x = 1; videoTexture.repeat.x = -1;
+        } else {
+            videoTexture.wrapS = THREE.ClampToEdgeWrapping; videoTexture.offset.x = 0; videoTexture.repeat.x = 1;
+        }
+        videoTexture.needsUpdate = true;
+        this.lighting.reset(); // Measured again from the new picture
+
+        this.layout();
+        this.occluder.attach(this.scene, this.videoBackgroundPlane, videoWidth, videoHeight);
+    }
+
+    // === VIEW LAYOUT ===
+    // Fits the video into the view ('viewportFit': cover crops, contain letterboxes) and sizes
+    // the renderer, camera, video plane and debug overlay to match. The solver and the debug
+    // drawing map keypoints through the same viewport, so they stay on the body.
+    layout() {
+        this.layoutPending = false;
+        const rect = this.container.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return; // Hidden container: keep the last layout
+        const viewport = computeViewport({
+            videoWidth: this.sourceSize.width,
+            videoHeight: this.sourceSize.height,
+            viewWidth: rect.width,
+            viewHeight: rect.height,
+            fit: this.settings.get('viewportFit'),
+            mirror: this.cameraMode === 'user'
+        });
+        this.viewport = viewport;
+
+        this.renderer.setSize(rect.width, rect.height);
+        this.camera.aspect = viewport.aspect;
+        this.camera.updateProjectionMatrix();
+
+        // The plane fills exactly the part of the view the video is shown in
+        const { halfWidth, halfHeight } = viewHalfExtents(viewport, this.camera.fov, Math.abs(this.options.videoPlaneDepth));
+        this.videoBackgroundPlane.scale.set(2 * halfWidth * viewport.ndcScaleX, 2 * halfHeight * viewport.ndcScaleY, 1);
+        this.occluder.syncToBackground();
+
+        // Debug overlay in view pixels (drawing goes through videoToView)
+        this.overlayCanvas.width = Math.round(rect.width);
+        this.overlayCanvas.height = Math.round(rect.height);
+
+        this.wingScale = this.computeWingScale(this.currentStyle);
+        this.emit('layout', { viewport });
+    }
+
+    // Container resized or device rotated: re-layout on the next frame, or right away when not rendering
+    requestLayout() {
+        if (!this.scene || !this.viewport) return;
+        if (this.state === 'running') {
+            this.layoutPending = true;
+            return;
+        }
+        this.layout();
+        if (this.state === 'paused') this.renderer.render(this.scene, this.camera);
+    }
+
+    // The camera delivers a different frame size (rotation on mobile, or a video replay's stream change)
+    handleInputResize() {
+        if (this.state !== 'running' && this.state !== 'paused') return;
+        if (this.replay instanceof KeypointReplay) return;
+        const { videoWidth: width, videoHeight: height } = this.video;
+        if (!width || !height || (width === this.sourceSize.width && height === this.sourceSize.height)) return;
+        this.log('info', `Input resized to ${width}x${height}`, 'camera');
+        this.sourceSize = { width, height };
+        this.resetPersonRigs(); // Held keypoints are in the old frame's pixels
+        this.configureVideoLayer();
+        if (this.state === 'paused') this.renderer.render(this.scene, this.camera);
+    }
+
+    computeWingScale(style) {
+        return calculateResponsiveWingScale(this.sourceSize.width, this.sourceSize.height, this.container.clientHeight, style.baseScale);
+    }
+
+    // --- WING ASSETS ---
+
+    resolveStyle(styleOrId) {
+        if (styleOrId && typeof styleOrId === 'object') return styleOrId;
+        if (styleOrId && !WING_CATALOG.styles.some(style => style.id === styleOrId)) {
+            throw new Error(`Unknown wing style "${styleOrId}"`);
+        }
+        return getWingStyle(WING_CATALOG, styleOrId || WING_CATALOG.defaultId);
+    }
+
+    /**
+     * Swaps the wings in place (catalog id or a style from wingCatalog.js / createLocalWingStyle);
+     * the camera stream and renderer keep running. 'asset-loaded' fires once it is ready.
+     */
+    setAsset(styleOrId) {
+        const style = this.resolveStyle(styleOrId);
+        if (style === this.currentStyle && this.isSplatAttempted) return;
+        this.currentStyle = style;
+        if (!style.isLocal) this.fallbackStyle = style;
+        if (!this.scene) return; // Picked before start(), loaded then
+
+        this.log('info', `Switching wings to ${style.name}`, 'asset');
+        this.wingScale = this.computeWingScale(style);
+        this.isSplatAttempted = false;
+        this.loadWingStyle(style);
+    }
+
+    // --- ACCESSORIES ---
+
+    resolveAccessory(idOrAccessory) {
+        if (idOrAccessory && typeof idOrAccessory === 'object') return idOrAccessory;
+        const accessory = getAccessory(ACCESSORY_CATALOG, idOrAccessory);
+        if (!accessory) throw new Error(`Unknown accessory "${idOrAccessory}"`);
+        return accessory;
+    }
+
+    /**
+     * Sets the accessories worn with the wings: catalog ids from accessoryCatalog.js or normalized
+     * entries. Any number can be active; they share each person's pose, depth and tracking fade.
+     */
+    setAccessories(list) {
+        const accessories = (list || []).map(item => this.resolveAccessory(item));
+        this.accessoryLayer.setAccessories(accessories);
+        this.log('info', accessories.length > 0 ? `Accessories: ${accessories.map(a => a.name).join(', ')}` : 'Accessories off', 'accessory');
+        this.emit('accessories', { accessories });
+    }
+
+    getAccessories() {
+        return this.accessoryLayer.accessories.slice();
+    }
+
+    loadWingStyle(style) {
+        if (!this.options.useGaussianSplat || typeof SplatMesh === 'undefined') {
+            this.createBoxWings();
+            return;
+        }
+
+        const urls = getWingStyleUrls(style);
+        const generation = ++this.splatLoadGeneration;
+        if (this.assetAbort) this.assetAbort.abort();
+        const abort = new AbortController();
+        this.assetAbort = abort;
+        this.setStatus('asset', `Loading ${style.name}...`);
+
+        // Each file downloads once; the bytes go to SplatMesh instead of letting it fetch the URL again
+        const progress = new Map(urls.map(url => [url, { loaded: 0, total: null, fromCache: false }]));
+        Promise.all(urls.map(url => this.assetLoader.load(url, {
+            signal: abort.signal,
+            onProgress: (p) => {
+                if (generation !== this.splatLoadGeneration) return;
+                progress.set(url, p);
+                this.reportAssetProgress(style, progress);
+            },
+            onRetry: ({ attempt, delayMs, error }) => {
+                this.log('warning', `${error.message} - retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt})`, 'asset');
+            }
+        })))
+        .then(results => {
+            if (generation !== this.splatLoadGeneration) return;
+            if (results.every(result => result.fromCache)) this.log('info', `${style.name} loaded from cache`, 'asset');
+            this.loadSplatModels(style, generation, new Map(urls.map((url, i) => [url, results[i].bytes])));
+        })
+        .catch(err => {
+            if (generation !== this.splatLoadGeneration || err.kind === 'aborted') return;
+            this.reportError('asset', err, `FATAL Asset Load Error: ${err.message}. Falling back to boxes.`);
+            this.createBoxWings();
+        });
+        this.isSplatAttempted = true;
+    }
+
+    // Sums the per-file progress into one status line and 'asset-progress' event
+    reportAssetProgress(style, progress) {
+        const files = Array.from(progress.values());
+        const loaded = files.reduce((sum, p) => sum + p.loaded, 0);
+        const total = files.every(p => p.total) ? files.reduce((sum, p) => sum + p.total, 0) : null;
+        const fraction = total ? Math.min(1, loaded / total) : null;
+        const fromCache = files.every(p => p.fromCache);
+        const mb = bytes => (bytes / (1024 * 1024)).toFixed(1);
+        this.setStatus('asset', fraction === null
+            ? `Downloading ${style.name} (${mb(loaded)} MB)`
+            : `${fromCache ? 'Loading' : 'Downloading'} ${style.name} ${Math.round(fraction * 100)}% (${mb(loaded)}/${mb(total)} MB)`);
+        this.emit('asset-progress', { style, loaded, total, fraction, fromCache });
+    }
+
+    /**
+     * @param {object} style
+     * @param {number} generation
+     * @param {Map<string, Uint8Array>} files - Downloaded bytes per style URL (assetLoader.js).
+     */
+    loadSplatModels(style, generation, files) {
+        this.disposeWingAssets();
+        this.isSplatDataReady = false;
+        this.loadedCount = 0;
+        this.setStatus('asset', `Loading ${style.name}...`);
+
+        // Spark may hand the buffer to its worker, so when both sides use one file ('mirrored')
+        // the first side gets a copy and the second the original
+        const copiedUrls = new Set();
+        const takeBytes = (url) => {
+            const bytes = files.get(url);
+            if (style.layout !== 'mirrored' || copiedUrls.has(url)) return bytes;
+            copiedUrls.add(url);
+            return bytes.slice();
+        };
+
+        const createSplat = (url) => {
+            const mesh = new SplatMesh({
+                fileBytes: takeBytes(url),
+                fileType: style.fileTypes[url],
+                onLoad: () => {
+                    if (generation === this.splatLoadGeneration) this.checkSplatDataReady(style);
+                }
+            });
+            if (mesh.initialized) {
+                mesh.initialized.catch(err => {
+                    if (generation === this.splatLoadGeneration) this.handleSplatParseError(style, url, err);
+                });
+            }
+            mesh.visible = false;
+            mesh.renderOrder = 1;
+            this.wingsGroup.add(mesh);
+            return mesh;
+        };
+
+        try {
+            if (style.layout === 'combined') {
+                this.assetLeft = createSplat(style.combinedUrl);
+                // Empty right slot keeps the rig shape the same for every layout
+                this.assetRight = new THREE.Group();
+                this.wingsGroup.add(this.assetRight);
+                this.expectedSplatLoads = 1;
+            } else {
+                // 'mirrored' loads the same file twice; the solver flips one side
+                this.assetLeft = createSplat(style.leftUrl);
+                this.assetRight = createSplat(style.rightUrl);
+                this.expectedSplatLoads = 2;
+            }
+        } catch (err) {
+            this.reportError('asset', err, `Splat instantiation error: ${err.message}. Falling back to boxes.`);
+            this.createBoxWings();
+        }
+    }
+
+    checkSplatDataReady(style) {
+        this.loadedCount++;
+        if (this.loadedCount === this.expectedSplatLoads) {
+            this.isSplatDataReady = true;
+            this.log('success', `Gaussian Splat data loaded and ready! (${style.name})`, 'asset');
+            this.setStatus('asset', `${style.name} active`);
+            this.loadedCount = 0;
+            this.emit('asset-loaded', { style, kind: 'splat' });
+        }
+    }
+
+    // Spark could not decode a file that passed the header checks
+    handleSplatParseError(style, url, err) {
+        const format = style.fileTypes[url];
+        this.reportError('asset', err, `Could not load ${format} wing data for "${style.name}": ${err.message}`);
+        this.setStatus('asset', `${style.name} failed (${format})`);
+        this.splatLoadGeneration++; // Ignore the other side's callbacks
+        if (style.isLocal && this.fallbackStyle !== style) {
+            this.log('info', `Restoring ${this.fallbackStyle.name}`, 'asset');
+            this.setAsset(this.fallbackStyle);
+        } else {
+            this.log('warning', 'Falling back to boxes.', 'asset');
+            this.createBoxWings();
+        }
+    }
+
+    createBoxWings() {
+        this.disposeWingAssets();
+
+        const wingGeometry = new THREE.BoxGeometry(0.5, 0.8, 0.08);
+        const wingMaterial = new THREE.MeshBasicMaterial({ color: 0x00ccff, transparent: true, opacity: 0.8 });
+
+        this.assetLeft = new THREE.Mesh(wingGeometry, wingMaterial);
+        this.assetRight = new THREE.Mesh(wingGeometry.clone(), wingMaterial.clone());
+
+        this.wingsGroup.add(this.assetLeft);
+        this.wingsGroup.add(this.assetRight);
+
+        this.assetLeft.visible = false;
+        this.assetRight.visible = false;
+        this.isSplatAttempted = false;
+        this.isSplatDataReady = true;
+
+        this.setStatus('asset', 'Box placeholder active (Fallback)');
+        this.emit('asset-loaded', { style: this.currentStyle, kind: 'boxes' });
+    }
+
+    // Removes the template wing meshes and frees their GPU data
+    disposeWingAssets() {
+        this.resetPersonRigs(); // Clones share the template splat data, so they go first
+        [this.assetLeft, this.assetRight].forEach(asset => {
+            if (!asset) return;
+            if (asset.parent) asset.parent.remove(asset);
+            disposeObject(asset);
+        });
+        this.assetLeft = null;
+        this.assetRight = null;
+    }
+
+    // === MAIN RENDER LOOP ===
+    // Nothing in here is awaited: detection and segmentation results arrive on later frames
+    renderFrame() {
+        if (this.state !== 'running') return;
+        this.rafId = requestAnimationFrame(this.renderFrame);
+        if (this.layoutPending) this.layout();
+
+        const frameTime = performance.now(); // Filters and solver run on timestamps, not frame counts
+        this.updateFps(frameTime);
+        this.governor.recordFrame(frameTime);
+        const ctx = this.overlayCtx;
+        ctx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
+
+        // Main-thread time per stage for diagnostics.js
+        const stages = {};
+        let mark = performance.now();
+        const lap = (stage) => {
+            const now = performance.now();
+            stages[stage] = now - mark;
+            mark = now;
+        };
+
+        const detectedPoses = this.runDetection(frameTime); // Only set on frames where a result arrived
+        lap('detect');
+        this.runSegmentation();
+        lap('segmentation');
+
+        this.updateLighting(frameTime);
+        lap('lighting');
+
+        // --- POSITIONING (every frame, once per person) ---
+        const solvedTransforms = this.updateRigs(frameTime);
+        lap('solve');
+
+        const videoTexture = this.videoBackgroundPlane.material.map;
+        if (videoTexture) {
+            videoTexture.needsUpdate = true;
+            if (this.timeVideoUpload) {
+                this.renderer.initTexture(videoTexture);
+                lap('upload');
+            }
+        }
+        this.renderer.render(this.scene, this.camera);
+        lap('render');
+        this.diagnostics.recordFrame(frameTime, stages);
+        // Listeners that read the WebGL canvas (capture) must do so synchronously here
+        this.emit('render', { time: frameTime, poses: detectedPoses, solved: solvedTransforms });
+    }
+
+    updateFps(time) {
+        this.frameCount++;
+        if (time - this.lastFpsUpdate < 1000) return;
+        const fps = this.frameCount / ((time - this.lastFpsUpdate) / 1000);
+        this.emit('fps', {
+            fps,
+            quality: this.governor.enabled
+                ? this.governor.describe()
+                : `manual | pose 1/${this.settings.get('poseDetectionSkipFrames')} @100%`
+        });
+        this.frameCount = 0;
+        this.lastFpsUpdate = time;
+        // Main-thread TF.js only when it is in use (asking earlier would initialize a backend)
+        const detectorOnMainThread = this.detector && this.detector.kind === 'main-thread';
+        if (detectorOnMainThread || this.occluder.enabled) this.diagnostics.recordMemory('main', getTfMemory(), time);
+    }
+
+    // Throttled pose detection, never awaited: results arrive on a later frame
+    runDetection(frameTime) {
+        if (this.canDetectPoses()) {
+            this.detectionFrameCounter++;
+
+            // Start the expensive AI operation only every N frames, and only once the previous one finished
+            const adaptive = this.governor.enabled;
+            const detectionInterval = adaptive ? this.governor.detectionInterval : this.settings.get('poseDetectionSkipFrames');
+            const inputScale = adaptive ? this.governor.level.inputScale : 1;
+            if (this.detectionFrameCounter >= detectionInterval && this.requestPoses(frameTime, inputScale)) {
+                this.detectionFrameCounter = 0;
+            }
+        }
+
+        const poseResult = this.takePoseResult();
+        if (!poseResult) return null;
+
+        // Filters are fed the capture time, so late results still line up
+        if (poseResult.error) {
+            this.reportError('detection', poseResult.error, `Pose detection error: ${poseResult.error.message}`);
+            // On error, let the wings fade out
+            this.updateTrackedPeople([], poseResult.timestamp);
+            return null;
+        }
+
+        const poses = poseResult.poses;
+        if (poseResult.inferenceMs !== undefined) this.governor.recordInference(poseResult.inferenceMs);
+        this.diagnostics.recordDetection({
+            time: performance.now(),
+            captureTime: poseResult.timestamp,
+            inferenceMs: poseResult.inferenceMs,
+            modelMs: poseResult.modelMs,
+            poses
+        });
+        if (poseResult.memory) this.diagnostics.recordMemory('worker', poseResult.memory);
+
+        // People are kept down to the release confidence; the tracking state machine
+        // decides whether that is enough to show (or keep showing) their wings
+        const selectionParams = { ...this.solverParams, minShoulderScore: Math.min(this.trackingOptions.releaseScore, this.solverParams.minShoulderScore) };
+        const people = this.multiPerson.enabled
+            ? selectPeople(poses, {
+                videoWidth: this.sourceSize.width,
+                videoHeight: this.sourceSize.height,
+                policy: this.multiPerson.policy,
+                maxPeople: this.multiPerson.maxPeople,
+                params: selectionParams
+            })
+            : selectPeople(poses.slice(0, 1), {
+                videoWidth: this.sourceSize.width,
+                videoHeight: this.sourceSize.height,
+                policy: 'all',
+                maxPeople: 1,
+                params: selectionParams
+            })
+                .map(person => ({ ...person, id: PRIMARY_PERSON_ID }));
+
+        if (poses.length === 0) {
+            this.setStatus('pose', 'No person detected');
+        } else if (people.length === 0) {
+            this.setStatus('pose', 'Low confidence / Person too far');
+        } else if (this.multiPerson.enabled) {
+            this.setStatus('pose', `Tracking ${people.length}/${poses.length} (ids: ${people.map(p => p.id).join(', ')})`);
+        } else {
+            const leftShoulder = findKeypoint(people[0].keypoints, 'left_shoulder');
+            const rightShoulder = findKeypoint(people[0].keypoints, 'right_shoulder');
+            this.setStatus('pose', `Detected (L:${leftShoulder.score.toFixed(2)}, R:${rightShoulder.score.toFixed(2)})`);
+        }
+        this.updateTrackedPeople(people, poseResult.timestamp);
+        if (this.calibration) {
+            this.updateCalibration(people, poseResult.timestamp);
+        } else {
+            this.gestures.update(people.length > 0 ? people[0].keypoints : null, poseResult.timestamp);
+        }
+        this.emit('pose', { poses, people, timestamp: poseResult.timestamp });
+        return poses;
+    }
+
+    // Measures the video background every few frames and eases the wing lighting towards it
+    updateLighting(frameTime) {
+        const source = this.videoBackgroundPlane.material.map ? this.videoBackgroundPlane.material.map.image : this.video;
+        const { adjustment, estimate, changed } = this.lighting.update(source, frameTime, this.viewport);
+        this.lightingAdjustment = adjustment;
+        const { tint, exposure } = adjustment;
+        this.ambientLight.color.setRGB(tint.r, tint.g, tint.b);
+        this.ambientLight.intensity = exposure;
+        if (changed) this.emit('lighting', { estimate, adjustment, mode: this.lighting.options.mode });
+    }
+
+    // Throttled person segmentation (occlusion, optional), never awaited: masks arrive on a later frame
+    runSegmentation() {
+        const { occluder, video } = this;
+        if (occluder.enabled && !(this.replay instanceof KeypointReplay) && video.readyState >= video.HAVE_ENOUGH_DATA) {
+            try {
+                occluder.update(video);
+            } catch (err) {
+                this.reportError('segmentation', err, `Segmentation error: ${err.message}. Occlusion disabled.`);
+                occluder.setEnabled(false);
+            }
+        }
+        if (this.options.debugOverlay) occluder.drawDebugMask(this.overlayCtx, this.overlayCanvas, this.cameraMode === 'user', displayRect(this.viewport));
+    }
+
+    // Places every person's wings; returns the first visible person's transforms
+    updateRigs(frameTime) {
+        let solvedTransforms = null;
+        const wingScale = (this.assetLeft instanceof SplatMesh ? this.wingScale : this.options.boxWingScale) * this.settings.get('wingScaleMultiplier');
+        // A keypoint filter already smooths; the solver's exponential smoothing would only add lag
+        const solverParams = this.filterOptions.type === 'none' ? this.solverParams : { ...this.solverParams, smoothingFactor: 1 };
+
+        this.rigs.forEach(rig => {
+            if (!rig.left || !rig.right) return;
+            let wingsShouldBeVisible = false;
+            const tracking = rig.tracking.tick(frameTime);
+
+            // Faded out after the grace period: drop the held pose (extra people leave entirely)
+            if (tracking.state === 'searching' && tracking.visibility === 0 && rig.keypoints) {
+                rig.keypoints = null;
+                rig.keypoints3D = null;
+                rig.keypointFilter.reset();
+                if (rig.id !== PRIMARY_PERSON_ID) {
+                    this.removePersonRig(rig.id);
+                    return;
+                }
+            }
+
+            if (rig.keypoints && this.isSplatDataReady && tracking.visibility > 0) {
+                // Extrapolated to this frame; between detections this is the filter's prediction
+                const keypoints = rig.keypointFilter.predict(frameTime);
+                const solved = solveWingPlacement({
+                    keypoints,
+                    keypoints3D: rig.keypoints3D,
+                    videoWidth: this.sourceSize.width,
+                    videoHeight: this.sourceSize.height,
+                    viewport: this.viewport,
+                    cameraMode: this.cameraMode,
+                    wingScale,
+                    asset: this.assetLeft instanceof SplatMesh ? this.currentStyle : undefined,
+                    timestamp: frameTime,
+                    state: rig.solverState,
+                    params: solverParams
+                });
+
+                if (solved) {
+                    wingsShouldBeVisible = true;
+                    rig.solverState = solved.state;
+
+                    applyTransform(rig.group, solved.group);
+                    applyTransform(rig.left, solved.left);
+                    applyTransform(rig.right, solved.right);
+                    rig.group.scale.multiplyScalar(tracking.scale); // Grow in / shrink out with the fade
+
+                    this.accessoryLayer.update(rig.id, {
+                        keypoints,
+                        videoWidth: this.sourceSize.width,
+                        videoHeight: this.sourceSize.height,
+                        viewport: this.viewport,
+                        cameraMode: this.cameraMode,
+                        body: rig.solverState, // This frame's depth and yaw
+                        params: solverParams,
+                        opacity: tracking.opacity,
+                        scale: tracking.scale,
+                        time: frameTime
+                    });
+
+                    if (tracking.state === 'tracked' && this.options.debugOverlay) {
+                        this.drawDebugPoints([findKeypoint(keypoints, 'left_shoulder'), findKeypoint(keypoints, 'right_shoulder')]);
+                    }
+                    if (!solvedTransforms) solvedTransforms = solved;
+                }
+            }
+
+            // Faded by the tracking state instead of toggled per detection
+            if (!wingsShouldBeVisible) this.accessoryLayer.hide(rig.id);
+            rig.left.visible = wingsShouldBeVisible;
+            rig.right.visible = wingsShouldBeVisible;
+            if (wingsShouldBeVisible) {
+                setWingOpacity(rig.left, tracking.opacity);
+                setWingOpacity(rig.right, tracking.opacity);
+                // Rim light goes to whichever wing is on the lit side of the screen. The solver mirrors
+                // positions, not the group, so the left slot is on the screen's right in both camera
+                // modes; a combined mesh holds both wings and gets half of the lit side's boost.
+                const combined = this.assetLeft instanceof SplatMesh && this.currentStyle.layout === 'combined';
+                const leftSide = combined ? Math.sign(this.lightingAdjustment.rim.x) * 0.5 : 1;
+                setWingLighting(rig.left, this.lightingAdjustment, leftSide);
+                setWingLighting(rig.right, this.lightingAdjustment, -1);
+            }
+        });
+        return solvedTransforms;
+    }
+
+    drawDebugPoints(keypoints) {
+        const ctx = this.overlayCtx;
+        ctx.fillStyle = '#00ff88';
+        keypoints.forEach(kp => {
+            if (kp.score > this.solverParams.minShoulderScore) {
+                const { x, y } = videoToView(this.viewport, kp.x, kp.y);
+                ctx.beginPath();
+                ctx.arc(x, y, 5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        });
+    }
+
+    // === PERSON RIGS ===
+
+    getPrimaryRig() {
+        let rig = this.rigs.get(PRIMARY_PERSON_ID);
+        if (!rig) {
+            rig = this.createRigState(PRIMARY_PERSON_ID);
+            this.rigs.set(PRIMARY_PERSON_ID, rig);
+        }
+        // The loaders may have swapped the assets since the rig was created
+        rig.group = this.wingsGroup;
+        rig.left = this.assetLeft;
+        rig.right = this.assetRight;
+        return rig;
+    }
+
+    getPersonRig(id) {
+        if (id === PRIMARY_PERSON_ID) return this.getPrimaryRig();
+        if (this.rigs.has(id)) return this.rigs.get(id);
+        if (!this.isSplatDataReady || !this.assetLeft || !this.assetRight) return null;
+        return this.createPersonRig(id);
+    }
+
+    // Per-person tracking state shared by the primary and extra rigs
+    createRigState(id) {
+        const rig = {
+            id,
+            solverState: createSolverState(),
+            keypointFilter: new KeypointFilter(this.filterOptions),
+            tracking: new TrackingStateMachine(this.trackingOptions),
+            keypoints: null,
+            keypoints3D: null
+        };
+        rig.tracking.subscribe(event => this.handleTrackingEvent(rig, event));
+        return rig;
+    }
+
+    // Extra people get their own group with clones of the loaded wing assets
+    createPersonRig(id) {
+        const group = new THREE.Group();
+        const left = cloneWingAsset(this.assetLeft);
+        const right = cloneWingAsset(this.assetRight);
+        left.visible = false;
+        right.visible = false;
+        group.add(left);
+        group.add(right);
+        this.scene.add(group);
+
+        const rig = { ...this.createRigState(id), group, left, right };
+        this.rigs.set(id, rig);
+        this.log('info', `Person ${id} entered - wings added (${this.rigs.size} active)`, 'tracking');
+        return rig;
+    }
+
+    // Runs before the template meshes are disposed (disposeWingAssets), so shared splat data is still recognized
+    removePersonRig(id) {
+        const rig = this.rigs.get(id);
+        if (!rig) return;
+        if (this.scene) this.scene.remove(rig.group);
+        disposeWingClone(rig.left, this.assetLeft);
+        disposeWingClone(rig.right, this.assetRight);
+        this.accessoryLayer.removePerson(id);
+        this.rigs.delete(id);
+        this.log('info', `Person ${id} left - wings removed (${this.rigs.size} active)`, 'tracking');
+    }
+
+    resetPersonRigs() {
+        Array.from(this.rigs.keys()).forEach(id => {
+            if (id !== PRIMARY_PERSON_ID) this.removePersonRig(id);
+        });
+        const primary = this.rigs.get(PRIMARY_PERSON_ID);
+        if (primary && primary.left) {
+            primary.left.visible = false;
+            primary.right.visible = false;
+        }
+        this.rigs.delete(PRIMARY_PERSON_ID);
+        this.accessoryLayer.clear();
+    }
+
+    // Feeds fresh keypoints into each selected person's filter and tracking state;
+    // people missing from this detection count as a miss (their last pose is held
+    // through the grace period, then faded out in the render loop).
+    // `timestamp` is when the detected frame was captured.
+    updateTrackedPeople(people, timestamp) {
+        const seen = new Set();
+        people.forEach(person => {
+            const leftShoulder = findKeypoint(person.keypoints, 'left_shoulder');
+            const rightShoulder = findKeypoint(person.keypoints, 'right_shoulder');
+            const score = Math.min(leftShoulder.score, rightShoulder.score);
+            // Below the acquire confidence a person only keeps an existing rig alive
+            if (!this.rigs.has(person.id) && score < this.trackingOptions.acquireScore) return;
+
+            const rig = this.getPersonRig(person.id);
+            if (!rig) return;
+            rig.keypoints = rig.keypointFilter.update(person.keypoints, timestamp); // 👈 Store the good data
+            rig.keypoints3D = person.pose.keypoints3D || null; // BlazePose only; already smoothed by the model
+            rig.tracking.update(score, timestamp);
+            seen.add(person.id);
+        });
+        this.rigs.forEach((rig, id) => {
+            if (!seen.has(id)) rig.tracking.update(null, timestamp);
+        });
+    }
+
+    handleTrackingEvent(rig, event) {
+        if (rig.id === PRIMARY_PERSON_ID || event.to === 'tracked' || event.to === 'lost') {
+            this.log(event.to === 'lost' ? 'warning' : 'info', `Tracking ${rig.id}: ${event.from} → ${event.to}`, 'tracking');
+        }
+        this.emit('tracking', { personId: rig.id, ...event });
+    }
+}
@@ -0,0 +1,209 @@
+// === ASSET LOADER ===
+// Downloads wing files once, with byte progress, and keeps them for later
+// visits. Network fetches are streamed so progress can be shown, retried with
+// exponential backoff on network errors and 5xx / 408 / 429, and stored in the
+// Cache API under a versioned cache name: bumping "assetVersion" in
+// assets/wings.json drops every cache of an older version. Cached files load
+// without the network. The bytes go straight to SplatMesh ({ fileBytes }), so
+// nothing is downloaded twice.
+
+export const DEFAULT_ASSET_LOADER_OPTIONS = {
+    cacheName: 'ar-wings-assets', // Stored as `${cacheName}-v${version}`
+    version: 1,
+    useCache: true,
+    retries: 3,                   // Extra attempts after the first one
+    retryDelayMs: 500,            // First backoff; doubled per attempt, with jitter
+    maxRetryDelayMs: 8000,
+    stallTimeoutMs: 20000         // Abort an attempt when no bytes arrive for this long
+};
+
+export class AssetLoadError extends Error {
+    /**
+     * @param {'http'|'network'|'aborted'} kind
+     * @param {string} message
+     * @param {object} [details] - { url, status, attempts, cause }
+     */
+    constructor(kind, message, { url, status = null, attempts = 1, cause } = {}) {
+        super(message);
+        this.name = 'AssetLoadError';
+        this.kind = kind;
+        this.url = url;
+        this.status = status;
+        this.attempts = attempts;
+        this.cause = cause;
+    }
+}
+
+// Worth another attempt: the connection failed, or the server says "later"
+function isRetryable(err) {
+    if (err.kind === 'network') return true;
+    return err.kind === 'http' && (err.status >= 500 || err.status === 408 || err.status === 429);
+}
+
+// Local files (picked or dropped) are already in memory; caching them would only fill the quota
+function isLocalUrl(url) {
+    return /^(blob:|data:)/.test(url);
+}
+
+// Backoff delay; the abort listener is removed again so a long-lived signal does not collect them
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new AssetLoadError('aborted', 'Download cancelled'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Streams a response body into one Uint8Array, reporting progress.
+ * total is null when the server sends no Content-Length (or compresses the body).
+ */
+async function readBody(response, onChunk) {
+    const length = Number(response.headers.get('Content-Length'));
+    const total = length > 0 && !response.headers.get('Content-Encoding') ? length : null;
+    if (!response.body) {
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        onChunk(bytes.length, bytes.length);
+        return bytes;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.length;
+        onChunk(loaded, total);
+    }
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes;
+}
+
+export class AssetLoader {
+    constructor(options) {
+        this.options = { ...DEFAULT_ASSET_LOADER_OPTIONS, ...options };
+        this.cachePromise = null;
+    }
+
+    get cacheKey() {
+        return `${this.options.cacheName}-v${this.options.version}`;
+    }
+
+    // The current version's cache, after deleting older versions; null where the Cache API is missing
+    openCache() {
+        if (!this.options.useCache || typeof caches === 'undefined') return Promise.resolve(null);
+        if (!this.cachePromise) {
+            const prefix = `${this.options.cacheName}-v`;
+            this.cachePromise = caches.keys()
+                .then(keys => Promise.all(keys
+                    .filter(key => key.startsWith(prefix) && key !== this.cacheKey)
+                    .map(key => caches.delete(key))))
+                .then(() => caches.open(this.cacheKey))
+                .catch(() => null); // Private mode / insecure context: download every time
+        }
+        return this.cachePromise;
+    }
+
+    /**
+     * Loads one asset: from the cache when present, otherwise downloaded (with retries) and cached.
+     * @param {string} url
+     * @param {object} [options]
+     * @param {(progress: { url, loaded, total, fromCache }) => void} [options.onProgress]
+     * @param {(retry: { url, attempt, delayMs, error }) => void} [options.onRetry]
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<{ bytes: Uint8Array, fromCache: boolean }>}
+     * @throws {AssetLoadError}
+     */
+    async load(url, { onProgress = () => {}, onRetry = () => {}, signal } = {}) {
+        const cache = isLocalUrl(url) ? null : await this.openCache();
+        if (cache) {
+            const cached = await cache.match(url).catch(() => null);
+            if (cached) {
+                const bytes = new Uint8Array(await cached.arrayBuffer());
+                onProgress({ url, loaded: bytes.length, total: bytes.length, fromCache: true });
+                return { bytes, fromCache: true };
+            }
+        }
+
+        const { retries, retryDelayMs, maxRetryDelayMs } = this.options;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const bytes = await this.download(url, onProgress, signal, attempt);
+                if (cache) await this.store(cache, url, bytes);
+                return { bytes, fromCache: false };
+            } catch (err) {
+                if (err.kind === 'aborted' || !isRetryable(err) || attempt > retries) throw err;
+                const delayMs = Math.min(maxRetryDelayMs, retryDelayMs * 2 ** (attempt - 1)) * (0.5 + Math.random() * 0.5);
+                onRetry({ url, attempt: attempt + 1, delayMs, error: err });
+                await wait(delayMs, signal);
+            }
+        }
+    }
+
+    // One attempt; aborted when `signal` fires or the transfer stalls
+    async download(url, onProgress, signal, attempt) {
+        if (signal && signal.aborted) throw new AssetLoadError('aborted', 'Download cancelled', { url, attempts: attempt });
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', abort, { once: true });
+        let stalled = false;
+        let stallTimer = null;
+        const armStallTimer = () => {
+            clearTimeout(stallTimer);
+            stallTimer = setTimeout(() => { stalled = true; controller.abort(); }, this.options.stallTimeoutMs);
+        };
+
+        try {
+            armStallTimer();
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) {
+                throw new AssetLoadError('http', `${url} failed: ${response.status}`, { url, status: response.status, attempts: attempt });
+            }
+            return await readBody(response, (loaded, total) => {
+                armStallTimer();
+                onProgress({ url, loaded, total, fromCache: false });
+            });
+        } catch (err) {
+            if (err instanceof AssetLoadError) throw err;
+            if (controller.signal.aborted && !stalled) throw new AssetLoadError('aborted', 'Download cancelled', { url, attempts: attempt, cause: err });
+            const reason = stalled ? `no data for ${Math.round(this.options.stallTimeoutMs / 1000)}s` : err.message;
+            throw new AssetLoadError('network', `${url} failed: ${reason}`, { url, attempts: attempt, cause: err });
+        } finally {
+            clearTimeout(stallTimer);
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+    }
+
+    // A full quota only costs the next visit a download
+    async store(cache, url, bytes) {
+        try {
+            await cache.put(url, new Response(bytes, {
+                headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': String(bytes.length) }
+            }));
+        } catch (err) {
+            // Not cached; loads from the network next time
+        }
+    }
+
+    // Drops every cached asset of every version
+    async clear() {
+        this.cachePromise = null;
+        if (typeof caches === 'undefined') return;
+        const prefix = `${this.options.cacheName}-v`;
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(key => key.startsWith(prefix)).map(key => caches.delete(key)));
+    }
+}
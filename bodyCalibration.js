@@ -0,0 +1,278 @@
+// === BODY CALIBRATION ===
+// A short guided capture (T-pose, then arms down) that measures the user and
+// turns the shipped one-size-fits-all placement constants into personal ones:
+//
+//   T-pose     -> arm span (wrist to wrist)
+//   arms down  -> shoulder width and torso length in a relaxed stance
+//
+// Metres come straight from BlazePose's 3D keypoints when present, and set
+// the depth constants as well as the wing scale, offset and vertical anchor.
+// Image keypoints (MoveNet) only give proportions: scale, offset and anchor
+// follow the arm span and torso relative to the shoulders, and the depth
+// constants are left alone since nothing was measured in metres.
+//
+// Results are settings values (settings.js keys), saved as named profiles in
+// localStorage so a returning user can pick theirs instead of recalibrating.
+
+import { DEFAULT_SOLVER_PARAMS, findKeypoint } from './wingSolver.js';
+
+const PROFILES_STORAGE_KEY = 'ar-wings.body-profiles';
+const ACTIVE_PROFILE_STORAGE_KEY = 'ar-wings.active-body-profile';
+
+export const CALIBRATION_STEPS = [
+    { id: 't-pose', prompt: 'Stand back and hold a T-pose: arms straight out to the sides' },
+    { id: 'arms-down', prompt: 'Now relax: arms down by your sides' }
+];
+
+export const DEFAULT_CALIBRATION_OPTIONS = {
+    holdMs: 2000,                // How long each pose has to be held
+    minScore: 0.5,               // Shoulders, hips and (T-pose) wrists
+    tPoseMinSpanRatio: 2.2,      // Wrist span / shoulder width
+    tPoseMaxWristDrop: 0.35,     // Wrist height off the shoulder line, in torso lengths
+    armsDownMaxSpanRatio: 1.8,
+    armsDownMinWristDrop: 0.6,
+    referenceWristSpanMeters: 1.45, // Average adult, wrist to wrist: the body the shipped wing scale is made for
+    maxDurationMs: 30000         // Gives up when the poses are never held this long
+};
+
+// Reference body behind the shipped constants; a measured body scales them proportionally
+const REFERENCE_BODY = {
+    shoulderWidth: DEFAULT_SOLVER_PARAMS.shoulderWidthMeters,
+    torsoLength: DEFAULT_SOLVER_PARAMS.torsoHeightMeters,
+    wristSpan: DEFAULT_CALIBRATION_OPTIONS.referenceWristSpanMeters
+};
+const REFERENCE_SPAN_TO_SHOULDER = REFERENCE_BODY.wristSpan / REFERENCE_BODY.shoulderWidth;
+const REFERENCE_TORSO_TO_SHOULDER = REFERENCE_BODY.torsoLength / REFERENCE_BODY.shoulderWidth;
+
+// Settings a calibration may write; cleared back to defaults before a profile is applied, so
+// values from an earlier profile never outlive one that does not set them
+export const CALIBRATION_SETTING_KEYS = [
+    'shoulderWidthMeters', 'torsoHeightMeters', 'minHorizontalOffset', 'wingVerticalShift', 'wingScaleMultiplier'
+];
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0));
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: ((a.z || 0) + (b.z || 0)) / 2 });
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Shoulder width, torso length and wrist span of one pose (any units), or null without the joints
+function measurePose(keypoints, minScore) {
+    const get = name => {
+        const kp = findKeypoint(keypoints, name);
+        return kp && (kp.score === undefined || kp.score >= minScore) ? kp : null;
+    };
+    const leftShoulder = get('left_shoulder');
+    const rightShoulder = get('right_shoulder');
+    const leftHip = get('left_hip');
+    const rightHip = get('right_hip');
+    if (!leftShoulder || !rightShoulder || !leftHip || !rightHip) return null;
+
+    const shoulderMid = midpoint(leftShoulder, rightShoulder);
+    const leftWrist = get('left_wrist');
+    const rightWrist = get('right_wrist');
+    return {
+        shoulderWidth: distance(leftShoulder, rightShoulder),
+        torsoLength: distance(shoulderMid, midpoint(leftHip, rightHip)),
+        wristSpan: leftWrist && rightWrist ? distance(leftWrist, rightWrist) : null,
+        // Image y grows downwards; how far the wrists hang below the shoulder line
+        wristDrop: leftWrist && rightWrist ? ((leftWrist.y + rightWrist.y) / 2) - shoulderMid.y : null
+    };
+}
+
+function matchesStep(stepId, m, o) {
+    if (!m || m.wristSpan === null) return false;
+    if (stepId === 't-pose') {
+        return m.wristSpan >= m.shoulderWidth * o.tPoseMinSpanRatio &&
+            Math.abs(m.wristDrop) <= m.torsoLength * o.tPoseMaxWristDrop;
+    }
+    return m.wristSpan <= m.shoulderWidth * o.armsDownMaxSpanRatio &&
+        m.wristDrop >= m.torsoLength * o.armsDownMinWristDrop;
+}
+
+/**
+ * Turns calibration measurements into settings values (settings.js keys).
+ * Each placement constant scales with the body part it follows. With proportions only
+ * (shoulderWidth null) the arm span stands in for body size: scale and offset follow the
+ * span / shoulder ratio, the vertical anchor the torso / shoulder ratio, and the depth
+ * constants (metres) are left out.
+ */
+export function measurementsToSettings(measurements) {
+    const p = DEFAULT_SOLVER_PARAMS;
+    const round = (value, step) => Math.round(value / step) * step;
+    if (measurements.shoulderWidth === null) {
+        const span = measurements.spanToShoulder / REFERENCE_SPAN_TO_SHOULDER;
+        return {
+            minHorizontalOffset: round(p.minHorizontalOffset / span, 0.01), // Relatively wider shoulders, wider roots
+            wingVerticalShift: round(p.wingVerticalShift * measurements.torsoToShoulder / REFERENCE_TORSO_TO_SHOULDER, 0.01),
+            wingScaleMultiplier: round(span, 0.01)
+        };
+    }
+    return {
+        shoulderWidthMeters: round(measurements.shoulderWidth, 0.005),
+        torsoHeightMeters: round(measurements.torsoLength, 0.005),
+        minHorizontalOffset: round(p.minHorizontalOffset * measurements.shoulderWidth / REFERENCE_BODY.shoulderWidth, 0.01),
+        wingVerticalShift: round(p.wingVerticalShift * measurements.torsoLength / REFERENCE_BODY.torsoLength, 0.01),
+        wingScaleMultiplier: round(measurements.wristSpan / REFERENCE_BODY.wristSpan, 0.01)
+    };
+}
+
+/**
+ * Step-by-step capture. Feed it every detection with update(); it reports the
+ * current step, how long the pose has been held and, once both steps are done,
+ * the result ({ measurements, settings, source }). measurements has shoulderWidth,
+ * torsoLength and wristSpan in metres (null for source 'proportions') plus the
+ * spanToShoulder and torsoToShoulder ratios.
+ */
+export class CalibrationWizard {
+    constructor(options) {
+        this.options = { ...DEFAULT_CALIBRATION_OPTIONS, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.stepIndex = 0;
+        this.holdStart = null;
+        this.startTime = null;
+        this.samples = CALIBRATION_STEPS.map(() => []);
+        this.result = null;
+        this.state = 'running'; // running | complete | failed
+    }
+
+    get step() {
+        return CALIBRATION_STEPS[Math.min(this.stepIndex, CALIBRATION_STEPS.length - 1)];
+    }
+
+    /**
+     * @param {Array|null} keypoints - Image keypoints (video pixels) of the person being calibrated.
+     * @param {Array|null} keypoints3D - BlazePose world keypoints (metres), when available.
+     * @param {number} timestamp - ms
+     * @returns {{ state, step, stepIndex, holding: boolean, progress: number, result }}
+     */
+    update(keypoints, keypoints3D, timestamp) {
+        if (this.state !== 'running') return this.describe(false);
+        if (this.startTime === null) this.startTime = timestamp;
+        if (timestamp - this.startTime > this.options.maxDurationMs) {
+            this.state = 'failed';
+            this.holdStart = null;
+            return this.describe(false);
+        }
+
+        const measured = keypoints ? measurePose(keypoints, this.options.minScore) : null;
+        if (!matchesStep(this.step.id, measured, this.options)) {
+            // Breaking the pose starts the hold (and its samples) over
+            this.holdStart = null;
+            this.samples[this.stepIndex] = [];
+            return this.describe(false);
+        }
+
+        if (this.holdStart === null) this.holdStart = timestamp;
+        const world = keypoints3D ? measurePose(keypoints3D, this.options.minScore) : null;
+        this.samples[this.stepIndex].push({ image: measured, world: world && world.wristSpan !== null ? world : null });
+
+        if (timestamp - this.holdStart >= this.options.holdMs) {
+            this.stepIndex++;
+            this.holdStart = null;
+            if (this.stepIndex >= CALIBRATION_STEPS.length) {
+                this.result = this.computeResult();
+                this.state = 'complete';
+            }
+        }
+        return this.describe(true, timestamp);
+    }
+
+    describe(holding, timestamp) {
+        const progress = this.holdStart !== null ? Math.min(1, (timestamp - this.holdStart) / this.options.holdMs) : 0;
+        return {
+            state: this.state,
+            step: this.step,
+            stepIndex: Math.min(this.stepIndex, CALIBRATION_STEPS.length - 1),
+            holding,
+            progress: this.state === 'complete' ? 1 : progress,
+            result: this.result
+        };
+    }
+
+    computeResult() {
+        const [tPose, armsDown] = this.samples;
+        const medianOf = (samples, space, field) => median(samples.map(sample => sample[space][field]));
+        // Ratios come from one frame each, so they do not depend on how far away the user stood
+        const ratioOf = (samples, space, field) => median(samples.map(sample => sample[space][field] / sample[space].shoulderWidth));
+
+        // Metric 3D keypoints for every sample of both steps, or proportions from the image
+        const use3D = tPose.every(s => s.world) && armsDown.every(s => s.world);
+        const space = use3D ? 'world' : 'image';
+        const measurements = {
+            shoulderWidth: use3D ? medianOf(armsDown, 'world', 'shoulderWidth') : null,
+            torsoLength: use3D ? medianOf(armsDown, 'world', 'torsoLength') : null,
+            wristSpan: use3D ? medianOf(tPose, 'world', 'wristSpan') : null,
+            spanToShoulder: ratioOf(tPose, space, 'wristSpan'),
+            torsoToShoulder: ratioOf(armsDown, space, 'torsoLength')
+        };
+        return { measurements, settings: measurementsToSettings(measurements), source: use3D ? '3d' : 'proportions' };
+    }
+}
+
+// --- Named profiles (localStorage) ---
+// { [name]: { measurements, settings, source, savedAt } }
+export class BodyProfileStore {
+    constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null } = {}) {
+        this.storage = storage;
+    }
+
+    readProfiles() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(PROFILES_STORAGE_KEY)) || {};
+        } catch (err) {
+            return {};
+        }
+    }
+
+    list() {
+        return Object.keys(this.readProfiles()).sort();
+    }
+
+    get(name) {
+        return this.readProfiles()[name] || null;
+    }
+
+    save(name, result) {
+        if (!this.storage) throw new Error('localStorage is not available');
+        const profiles = this.readProfiles();
+        profiles[name] = { measurements: result.measurements, settings: result.settings, source: result.source, savedAt: new Date().toISOString() };
+        this.storage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+        this.setActive(name);
+    }
+
+    delete(name) {
+        if (!this.storage) return;
+        const profiles = this.readProfiles();
+        delete profiles[name];
+        this.storage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+        if (this.getActive() === name) this.setActive(null);
+    }
+
+    // Last profile used on this device, offered first next time
+    getActive() {
+        if (!this.storage) return null;
+        try {
+            return this.storage.getItem(ACTIVE_PROFILE_STORAGE_KEY);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    setActive(name) {
+        if (!this.storage) return;
+        try {
+            if (name) this.storage.setItem(ACTIVE_PROFILE_STORAGE_KEY, name);
+            else this.storage.removeItem(ACTIVE_PROFILE_STORAGE_KEY);
+        } catch (err) {
+            // Private mode / storage full: the profile just is not preselected next time
+        }
+    }
+}
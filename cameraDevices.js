@@ -0,0 +1,142 @@
+// === CAMERA DEVICES ===
+// Device listing, stream constraints, torch/zoom and readable camera errors.
+// Phones often expose several rear lenses (wide, ultra-wide, tele) that
+// facingMode alone cannot choose between, so a specific deviceId can be used.
+
+export const CAMERA_RESOLUTIONS = {
+    '480p': { width: 640, height: 480 },
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 },
+    '4k': { width: 3840, height: 2160 }
+};
+export const DEFAULT_CAMERA_RESOLUTION = '720p';
+
+export class CameraError extends Error {
+    /**
+     * @param {'permission-denied'|'not-found'|'in-use'|'overconstrained'|'ended'|'unsupported'|'unknown'} kind
+     * @param {string} message - Shown to the user.
+     * @param {string} hint - What the user can do about it.
+     */
+    constructor(kind, message, hint, cause) {
+        super(message);
+        this.name = 'CameraError';
+        this.kind = kind;
+        this.hint = hint;
+        this.cause = cause;
+    }
+}
+
+// Maps getUserMedia DOMExceptions to something a user can act on
+export function classifyCameraError(err) {
+    if (err instanceof CameraError) return err;
+    switch (err && err.name) {
+        case 'NotAllowedError':
+        case 'SecurityError':
+            return new CameraError('permission-denied', 'Camera access was blocked.',
+                'Allow camera access in the browser\'s site settings, then retry.', err);
+        case 'NotFoundError':
+        case 'DevicesNotFoundError':
+            return new CameraError('not-found', 'No camera was found.',
+                'Connect a camera or pick another one, then retry.', err);
+        case 'NotReadableError':
+        case 'TrackStartError':
+        case 'AbortError':
+            return new CameraError('in-use', 'The camera could not be started.',
+                'Close other apps or tabs using the camera, then retry.', err);
+        case 'OverconstrainedError':
+            return new CameraError('overconstrained', 'The selected camera does not support this setting.',
+                'Pick a lower resolution or another camera, then retry.', err);
+        default:
+            return new CameraError('unknown', `Camera error: ${err && err.message ? err.message : err}`,
+                'Retry, or reload the page.', err);
+    }
+}
+
+export function isCameraSupported() {
+    return Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+/**
+ * Video inputs. Labels are empty until camera permission has been granted once.
+ * @returns {Promise<Array<{ deviceId: string, label: string }>>}
+ */
+export async function listVideoDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+        .filter(device => device.kind === 'videoinput')
+        .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Camera ${index + 1}` }));
+}
+
+// A chosen device wins over facingMode; resolution stays a preference so odd cameras still open
+export function buildVideoConstraints({ deviceId, facingMode, resolution }) {
+    const size = CAMERA_RESOLUTIONS[resolution] || CAMERA_RESOLUTIONS[DEFAULT_CAMERA_RESOLUTION];
+    const constraints = { width: { ideal: size.width }, height: { ideal: size.height } };
+    if (deviceId) {
+        constraints.deviceId = { exact: deviceId };
+    } else {
+        constraints.facingMode = facingMode;
+    }
+    return constraints;
+}
+
+/**
+ * @returns {Promise<MediaStream>}
+ * @throws {CameraError}
+ */
+export async function openCameraStream(options) {
+    if (!isCameraSupported()) {
+        throw new CameraError('unsupported', 'This browser cannot access the camera.',
+            'Open the page over HTTPS in a current browser.');
+    }
+    try {
+        return await navigator.mediaDevices.getUserMedia({ video: buildVideoConstraints(options) });
+    } catch (err) {
+        throw classifyCameraError(err);
+    }
+}
+
+export function stopStream(stream) {
+    if (stream) stream.getTracks().forEach(track => track.stop());
+}
+
+// 'user' / 'environment' from the track, or null when the browser does not say
+export function getTrackFacingMode(track) {
+    const settings = track.getSettings ? track.getSettings() : {};
+    return settings.facingMode === 'user' || settings.facingMode === 'environment' ? settings.facingMode : null;
+}
+
+/**
+ * Torch and zoom support of a live track.
+ * @returns {{ torch: boolean, zoom: { min: number, max: number, step: number, value: number }|null }}
+ */
+export function getTrackFeatures(track) {
+    const capabilities = track.getCapabilities ? track.getCapabilities() : {};
+    const settings = track.getSettings ? track.getSettings() : {};
+    return {
+        torch: Boolean(capabilities.torch),
+        zoom: capabilities.zoom
+            ? { min: capabilities.zoom.min, max: capabilities.zoom.max, step: capabilities.zoom.step || 0.1, value: settings.zoom || capabilities.zoom.min }
+            : null
+    };
+}
+
+export function setTorch(track, on) {
+    return track.applyConstraints({ advanced: [{ torch: on }] });
+}
+
+export function setZoom(track, zoom) {
+    return track.applyConstraints({ advanced: [{ zoom }] });
+}
+
+/**
+ * Calls onEnded once when the track stops for a reason other than stopStream():
+ * device unplugged, permission revoked, or the OS taking the camera away.
+ * @returns {() => void} stops watching (call before stopping the track yourself)
+ */
+export function watchTrack(track, onEnded) {
+    const handleEnded = () => onEnded(new CameraError('ended', 'The camera stopped.',
+        'It may have been unplugged, taken by another app, or its permission revoked. Retry or pick another camera.'));
+    track.addEventListener('ended', handleEnded, { once: true });
+    return () => track.removeEventListener('ended', handleEnded);
+}
@@ -0,0 +1,325 @@
+// === DIAGNOSTICS ===
+// What a tester can attach to a "wings lag on my phone" ticket: structured
+// log records (level + category), per-frame stage timings, detection latency
+// and keypoint confidence histograms, TF.js memory samples, and device /
+// WebGL info, all exported as one JSON report. Everything is kept in bounded
+// ring buffers, so it can stay on for a whole session. The recorder itself is
+// headless; describeDevice() / describeWebGL() and drawDiagnosticsGraph() are
+// the browser-only helpers.
+
+import { downloadBlob } from './sessionRecorder.js';
+
+export const DIAGNOSTICS_FORMAT = 'ar-wings-diagnostics';
+export const DIAGNOSTICS_FORMAT_VERSION = 1;
+
+export const LOG_LEVELS = ['debug', 'info', 'success', 'warning', 'error'];
+
+// Render-loop stages in order, as main-thread wall time (the GPU finishes asynchronously, so render is submit time)
+export const FRAME_STAGES = ['detect', 'segmentation', 'lighting', 'solve', 'upload', 'render'];
+
+export const DEFAULT_DIAGNOSTICS_OPTIONS = {
+    maxRecords: 500,
+    maxFrames: 900,          // ~30 s at 30 FPS
+    maxDetections: 300,
+    maxMemorySamples: 300,
+    histogramBins: 10        // Confidence 0-1 in equal bins
+};
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const pushBounded = (list, item, max) => {
+    list.push(item);
+    if (list.length > max) list.splice(0, list.length - max);
+};
+
+// mean / p95 / max of a list of numbers (null when empty)
+function summarize(values) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return {
+        mean: round(mean),
+        p95: round(sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))]),
+        max: round(sorted[sorted.length - 1]),
+        count: values.length
+    };
+}
+
+export class DiagnosticsRecorder {
+    constructor({ options, now = () => performance.now() } = {}) {
+        this.options = { ...DEFAULT_DIAGNOSTICS_OPTIONS, ...options };
+        this.now = now;
+        this.listeners = new Set();
+        this.reset();
+    }
+
+    reset() {
+        this.startTime = this.now();
+        this.startedAt = new Date().toISOString();
+        this.records = [];
+        this.frames = [];
+        this.detections = [];
+        this.memory = [];
+        this.histograms = {
+            keypoints: new Array(this.options.histogramBins).fill(0),   // Every keypoint of every pose
+            poses: new Array(this.options.histogramBins).fill(0),       // Pose scores
+            byKeypoint: {}                                              // Keypoint name -> bins
+        };
+        this.lastFrameTime = null;
+    }
+
+    /**
+     * Subscribes to new log records.
+     * @param {(record: { t, time, level, category, message, data }) => void} listener
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * @param {string} level - One of LOG_LEVELS.
+     * @param {string} category - Where it comes from: camera, model, asset, tracking, ...
+     * @param {string} message
+     * @param {object} [data] - Extra structured fields for the report.
+     */
+    log(level, category, message, data) {
+        const record = {
+            t: round(this.now() - this.startTime, 1),
+            time: new Date().toISOString(),
+            level: LOG_LEVELS.includes(level) ? level : 'info',
+            category,
+            message
+        };
+        if (data !== undefined) record.data = data;
+        pushBounded(this.records, record, this.options.maxRecords);
+        this.listeners.forEach(listener => listener(record));
+        return record;
+    }
+
+    /**
+     * Records one rendered frame.
+     * @param {number} time - Frame start (performance.now()).
+     * @param {object} stages - Milliseconds per FRAME_STAGES name; missing stages did not run.
+     */
+    recordFrame(time, stages) {
+        const frame = {
+            t: round(time - this.startTime, 1),
+            interval: this.lastFrameTime === null ? null : round(time - this.lastFrameTime),
+            total: round(Object.values(stages).reduce((sum, ms) => sum + ms, 0)),
+            stages: {}
+        };
+        Object.keys(stages).forEach(stage => { frame.stages[stage] = round(stages[stage], 3); });
+        this.lastFrameTime = time;
+        pushBounded(this.frames, frame, this.options.maxFrames);
+    }
+
+    /**
+     * Records one finished pose detection.
+     * @param {object} detection
+     * @param {number} detection.time - When the result was picked up.
+     * @param {number} detection.captureTime - When the frame was captured.
+     * @param {number} [detection.inferenceMs] - Request to result (includes the worker round trip).
+     * @param {number} [detection.modelMs] - The model alone.
+     * @param {Array} detection.poses
+     */
+    recordDetection({ time, captureTime, inferenceMs, modelMs, poses }) {
+        const bins = this.options.histogramBins;
+        const bin = score => Math.min(bins - 1, Math.max(0, Math.floor(score * bins)));
+        poses.forEach(pose => {
+            if (typeof pose.score === 'number') this.histograms.poses[bin(pose.score)]++;
+            pose.keypoints.forEach(kp => {
+                if (typeof kp.score !== 'number') return;
+                this.histograms.keypoints[bin(kp.score)]++;
+                if (!kp.name) return;
+                if (!this.histograms.byKeypoint[kp.name]) this.histograms.byKeypoint[kp.name] = new Array(bins).fill(0);
+                this.histograms.byKeypoint[kp.name][bin(kp.score)]++;
+            });
+        });
+
+        const detection = { t: round(time - this.startTime, 1), latency: round(time - captureTime), poses: poses.length };
+        if (inferenceMs !== undefined) detection.inference = round(inferenceMs);
+        if (modelMs !== undefined) detection.model = round(modelMs);
+        pushBounded(this.detections, detection, this.options.maxDetections);
+    }
+
+    /**
+     * @param {'main'|'worker'} source - Which TF.js instance (the pose worker has its own).
+     * @param {{ numTensors: number, numBytes: number, numDataBuffers: number }} memory - tf.memory()
+     */
+    recordMemory(source, memory, time = this.now()) {
+        pushBounded(this.memory, {
+            t: round(time - this.startTime, 1),
+            source,
+            numTensors: memory.numTensors,
+            numBytes: memory.numBytes,
+            numDataBuffers: memory.numDataBuffers
+        }, this.options.maxMemorySamples);
+    }
+
+    // Newest memory sample per source
+    latestMemory() {
+        const latest = {};
+        this.memory.forEach(sample => { latest[sample.source] = sample; });
+        return latest;
+    }
+
+    /** mean / p95 / max per stage, plus frame total, interval, detection latency and inference. */
+    getSummary(lastFrames = this.frames.length) {
+        const frames = this.frames.slice(-lastFrames);
+        const stages = {};
+        FRAME_STAGES.forEach(stage => {
+            const values = frames.filter(f => f.stages[stage] !== undefined).map(f => f.stages[stage]);
+            if (values.length > 0) stages[stage] = summarize(values);
+        });
+        const intervals = frames.map(f => f.interval).filter(v => v !== null);
+        const intervalStats = summarize(intervals);
+        return {
+            fps: intervalStats && intervalStats.mean > 0 ? round(1000 / intervalStats.mean, 1) : null,
+            frame: summarize(frames.map(f => f.total)),
+            interval: intervalStats,
+            stages,
+            detectionLatency: summarize(this.detections.map(d => d.latency)),
+            inference: summarize(this.detections.filter(d => d.inference !== undefined).map(d => d.inference)),
+            model: summarize(this.detections.filter(d => d.model !== undefined).map(d => d.model)),
+            warnings: this.records.filter(r => r.level === 'warning').length,
+            errors: this.records.filter(r => r.level === 'error').length
+        };
+    }
+
+    /**
+     * The whole report as plain JSON data.
+     * @param {object} [context] - { environment, settings, session }: filled in by the session.
+     */
+    toReport(context = {}) {
+        return {
+            format: DIAGNOSTICS_FORMAT,
+            version: DIAGNOSTICS_FORMAT_VERSION,
+            startedAt: this.startedAt,
+            createdAt: new Date().toISOString(),
+            durationMs: round(this.now() - this.startTime, 0),
+            ...context,
+            summary: this.getSummary(),
+            histograms: {
+                bins: this.options.histogramBins,
+                keypoints: this.histograms.keypoints.slice(),
+                poses: this.histograms.poses.slice(),
+                byKeypoint: JSON.parse(JSON.stringify(this.histograms.byKeypoint))
+            },
+            memory: this.memory.slice(),
+            detections: this.detections.slice(),
+            frames: this.frames.slice(),
+            log: this.records.slice()
+        };
+    }
+
+    // Triggers a browser download of a report (ARWingsSession.getDiagnosticsReport() adds the environment)
+    download(report = this.toReport()) {
+        const stamp = report.createdAt.replace(/[:.]/g, '-');
+        downloadBlob(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }), `ar-wings-diagnostics-${stamp}.json`);
+        return report;
+    }
+}
+
+// --- ENVIRONMENT (browser only) ---
+
+export function describeDevice() {
+    if (typeof navigator === 'undefined') return null;
+    return {
+        userAgent: navigator.userAgent,
+        platform: navigator.platform,
+        language: navigator.language,
+        hardwareConcurrency: navigator.hardwareConcurrency || null,
+        deviceMemoryGB: navigator.deviceMemory || null,
+        devicePixelRatio: typeof window !== 'undefined' ? window.devicePixelRatio : null,
+        screen: typeof screen !== 'undefined'
+            ? { width: screen.width, height: screen.height, orientation: screen.orientation ? screen.orientation.type : null }
+            : null,
+        crossOriginIsolated: typeof crossOriginIsolated !== 'undefined' ? crossOriginIsolated : null
+    };
+}
+
+// GPU and limits of a Three.js WebGLRenderer's context
+export function describeWebGL(renderer) {
+    const gl = renderer.getContext();
+    const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+    const { capabilities } = renderer;
+    return {
+        version: gl.getParameter(gl.VERSION),
+        shadingLanguage: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
+        vendor: debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : gl.getParameter(gl.VENDOR),
+        renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER),
+        isWebGL2: capabilities.isWebGL2 !== undefined ? capabilities.isWebGL2 : true,
+        precision: capabilities.precision,
+        maxTextureSize: capabilities.maxTextureSize,
+        maxTextures: capabilities.maxTextures,
+        drawingBuffer: { width: gl.drawingBufferWidth, height: gl.drawingBufferHeight },
+        pixelRatio: renderer.getPixelRatio(),
+        renderInfo: { calls: renderer.info.render.calls, triangles: renderer.info.render.triangles, textures: renderer.info.memory.textures }
+    };
+}
+
+// --- MINI GRAPH (debug panel) ---
+
+export const STAGE_COLORS = {
+    detect: '#ff8c00',
+    segmentation: '#b266ff',
+    lighting: '#ffd700',
+    solve: '#00ccff',
+    upload: '#ff5577',
+    render: '#55ff55'
+};
+
+/**
+ * Stacked per-frame stage times (left) and the keypoint confidence histogram (right).
+ * The dashed line is one frame at `budgetMs`.
+ */
+export function drawDiagnosticsGraph(ctx, recorder, { budgetMs = 1000 / 30 } = {}) {
+    const { width, height } = ctx.canvas;
+    ctx.clearRect(0, 0, width, height);
+    const graphWidth = Math.floor(width * 0.72);
+    const scaleMs = budgetMs * 1.5; // Full height
+    const y = ms => height - Math.min(height, (ms / scaleMs) * height);
+
+    // Stage bars, newest on the right, one pixel column per frame
+    const frames = recorder.frames.slice(-graphWidth);
+    const x0 = graphWidth - frames.length;
+    frames.forEach((frame, i) => {
+        let top = 0;
+        FRAME_STAGES.forEach(stage => {
+            const ms = frame.stages[stage];
+            if (!ms) return;
+            ctx.fillStyle = STAGE_COLORS[stage];
+            ctx.fillRect(x0 + i, y(top + ms), 1, y(top) - y(top + ms));
+            top += ms;
+        });
+        // Frame interval as a dot: above the bars = time spent outside the loop (GPU, other tasks)
+        if (frame.interval !== null) {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(x0 + i, y(frame.interval), 1, 1);
+        }
+    });
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(0, y(budgetMs) + 0.5);
+    ctx.lineTo(graphWidth, y(budgetMs) + 0.5);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Keypoint confidence histogram
+    const bins = recorder.histograms.keypoints;
+    const peak = Math.max(1, ...bins);
+    const histX = graphWidth + 6;
+    const binWidth = (width - histX) / bins.length;
+    bins.forEach((count, i) => {
+        const barHeight = (count / peak) * (height - 10);
+        ctx.fillStyle = i >= bins.length / 2 ? '#55ff55' : '#ff5555';
+        ctx.fillRect(histX + i * binWidth, height - barHeight, Math.max(1, binWidth - 1), barHeight);
+    });
+    ctx.fillStyle = '#aaaaaa';
+    ctx.font = '8px sans-serif';
+    ctx.fillText('conf 0→1', histX, 8);
+    ctx.fillText(`${Math.round(budgetMs)} ms`, 2, y(budgetMs) - 2);
+}
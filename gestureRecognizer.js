@@ -0,0 +1,255 @@
+// === POSE GESTURE RECOGNIZER ===
+// Hands-free commands from the keypoints the session already detects: both
+// hands up, a held T-pose, a wave, hands together. Each gesture is a small
+// definition ({ id, name, holdMs, cooldownMs, detect }) and code can register
+// its own. The recognizer only reports; what a gesture does is up to the page
+// (see the gesture actions in script.js).
+//
+// Every update() a gesture's detect() says whether the pose is there. It has
+// to stay there for holdMs (short dropouts up to releaseGraceMs are ignored),
+// then fires once; it fires again only after the pose was released and
+// cooldownMs has passed. Events: 'progress' while holding, 'recognized' when
+// it fires, 'cancelled' when a hold is abandoned.
+
+import { findKeypoint } from './wingSolver.js';
+
+export const DEFAULT_GESTURE_OPTIONS = {
+    minScore: 0.35,        // Keypoints below this count as missing
+    releaseGraceMs: 150,   // Detection dropouts shorter than this do not break a hold
+    historyMs: 2000        // Keypoint history kept for motion gestures (wave)
+};
+
+// Per-frame body measurements every detector gets, in video pixels (y grows downwards)
+function createPoseFrame(keypoints, time, minScore) {
+    const get = name => {
+        const kp = findKeypoint(keypoints, name);
+        return kp && kp.score >= minScore ? kp : null;
+    };
+    const leftShoulder = get('left_shoulder');
+    const rightShoulder = get('right_shoulder');
+    if (!leftShoulder || !rightShoulder) return null;
+    return {
+        time,
+        get,
+        leftShoulder,
+        rightShoulder,
+        shoulderY: (leftShoulder.y + rightShoulder.y) / 2,
+        shoulderWidth: Math.hypot(leftShoulder.x - rightShoulder.x, leftShoulder.y - rightShoulder.y)
+    };
+}
+
+// Counts direction reversals of one raised wrist's x across the history
+function countWaveReversals(history, side, minSwing) {
+    let reversals = 0;
+    let direction = 0; // +1 / -1 once the wrist has moved minSwing from where it started
+    let start = null;
+    let extreme = null; // Furthest x in the current direction
+    history.forEach(frame => {
+        const wrist = frame.get(`${side}_wrist`);
+        const elbow = frame.get(`${side}_elbow`);
+        if (!wrist || !elbow || wrist.y > elbow.y || wrist.y > frame.shoulderY) {
+            // Hand dropped: the wave starts over
+            direction = 0;
+            start = null;
+            return;
+        }
+        const x = wrist.x;
+        if (start === null) {
+            start = x;
+            return;
+        }
+        if (direction === 0) {
+            if (Math.abs(x - start) >= minSwing) {
+                direction = Math.sign(x - start);
+                extreme = x;
+            }
+            return;
+        }
+        if ((x - extreme) * direction > 0) {
+            extreme = x;
+        } else if (Math.abs(x - extreme) >= minSwing) {
+            reversals++;
+            direction = -direction;
+            extreme = x;
+        }
+    });
+    return reversals;
+}
+
+// --- BUILT-IN GESTURES ---
+// detect(frame, history) -> boolean; frame from createPoseFrame(), history = recent frames, oldest first
+export const BUILT_IN_GESTURES = [
+    {
+        id: 'hands-up',
+        name: 'Both hands up',
+        holdMs: 800,
+        cooldownMs: 1500,
+        detect: (frame) => {
+            const nose = frame.get('nose');
+            const top = nose ? nose.y : frame.shoulderY - frame.shoulderWidth * 0.6;
+            const leftWrist = frame.get('left_wrist');
+            const rightWrist = frame.get('right_wrist');
+            return Boolean(leftWrist && rightWrist && leftWrist.y < top && rightWrist.y < top);
+        }
+    },
+    {
+        id: 't-pose',
+        name: 'T-pose',
+        holdMs: 1200,
+        cooldownMs: 3000,
+        detect: (frame) => {
+            const leftWrist = frame.get('left_wrist');
+            const rightWrist = frame.get('right_wrist');
+            if (!leftWrist || !rightWrist) return false;
+            const span = Math.abs(leftWrist.x - rightWrist.x);
+            const level = Math.max(Math.abs(leftWrist.y - frame.shoulderY), Math.abs(rightWrist.y - frame.shoulderY));
+            return span > frame.shoulderWidth * 2.4 && level < frame.shoulderWidth * 0.5;
+        }
+    },
+    {
+        id: 'wave',
+        name: 'Wave',
+        holdMs: 0,
+        cooldownMs: 2000,
+        detect: (frame, history) => {
+            const recent = history.filter(f => frame.time - f.time <= 1500);
+            const minSwing = frame.shoulderWidth * 0.25;
+            return countWaveReversals(recent, 'left', minSwing) >= 3 || countWaveReversals(recent, 'right', minSwing) >= 3;
+        }
+    },
+    {
+        id: 'hands-together',
+        name: 'Hands together',
+        holdMs: 700,
+        cooldownMs: 1500,
+        detect: (frame) => {
+            const leftWrist = frame.get('left_wrist');
+            const rightWrist = frame.get('right_wrist');
+            if (!leftWrist || !rightWrist) return false;
+            const apart = Math.hypot(leftWrist.x - rightWrist.x, leftWrist.y - rightWrist.y);
+            // In front of the chest: between the shoulder line and two shoulder widths below it
+            const midY = (leftWrist.y + rightWrist.y) / 2;
+            return apart < frame.shoulderWidth * 0.4 && midY > frame.shoulderY && midY < frame.shoulderY + frame.shoulderWidth * 2;
+        }
+    }
+];
+
+export class GestureRecognizer {
+    constructor(options) {
+        this.options = { ...DEFAULT_GESTURE_OPTIONS, ...options };
+        this.gestures = new Map(); // id -> { definition, holdStart, lastSeen, latched, lastFired }
+        this.history = [];
+        this.listeners = new Set();
+        this.enabled = true;
+        BUILT_IN_GESTURES.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Adds (or replaces) a gesture.
+     * @param {object} definition
+     * @param {string} definition.id
+     * @param {string} [definition.name]
+     * @param {(frame: object, history: Array<object>) => boolean} definition.detect - frame.get(name) returns a
+     *        confident keypoint or null; frame also has shoulderWidth, shoulderY and time.
+     * @param {number} [definition.holdMs=500] - How long the pose has to be held.
+     * @param {number} [definition.cooldownMs=1000] - Minimum time between two firings.
+     * @returns {() => void} unregister
+     */
+    register(definition) {
+        if (!definition || typeof definition.id !== 'string' || typeof definition.detect !== 'function') {
+            throw new Error('A gesture needs an id and a detect(frame, history) function');
+        }
+        const gesture = {
+            definition: { name: definition.id, holdMs: 500, cooldownMs: 1000, ...definition },
+            holdStart: null,
+            lastSeen: -Infinity,
+            latched: false,
+            lastFired: -Infinity
+        };
+        this.gestures.set(definition.id, gesture);
+        return () => this.unregister(definition.id);
+    }
+
+    unregister(id) {
+        this.gestures.delete(id);
+    }
+
+    list() {
+        return Array.from(this.gestures.values()).map(gesture => gesture.definition);
+    }
+
+    /**
+     * Subscribes to gesture events.
+     * @param {(event: { type: 'progress'|'recognized'|'cancelled', gesture: object, progress: number, time: number }) => void} listener
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(type, gesture, progress, time) {
+        const event = { type, gesture: gesture.definition, progress, time };
+        this.listeners.forEach(listener => listener(event));
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.reset();
+    }
+
+    // Drops holds and history (person lost, calibration started, input changed)
+    reset() {
+        this.history = [];
+        this.gestures.forEach(gesture => {
+            if (gesture.holdStart !== null && !gesture.latched) this.emit('cancelled', gesture, 0, gesture.lastSeen);
+            gesture.holdStart = null;
+            gesture.latched = false;
+        });
+    }
+
+    /**
+     * Feeds one detection of the person giving commands.
+     * @param {Array|null} keypoints - Image keypoints in video pixels, or null when nobody is tracked.
+     * @param {number} time - Capture time in ms.
+     */
+    update(keypoints, time) {
+        if (!this.enabled) return;
+        const frame = keypoints ? createPoseFrame(keypoints, time, this.options.minScore) : null;
+        if (frame) this.history.push(frame);
+        while (this.history.length > 0 && time - this.history[0].time > this.options.historyMs) this.history.shift();
+
+        this.gestures.forEach(gesture => {
+            const { definition } = gesture;
+            let present = false;
+            if (frame) {
+                try {
+                    present = Boolean(definition.detect(frame, this.history));
+                } catch (err) {
+                    // A broken custom gesture must not stop the others
+                    present = false;
+                }
+            }
+
+            if (present) {
+                gesture.lastSeen = time;
+                if (gesture.latched) return; // Fired already: waits for the pose to be released
+                if (gesture.holdStart === null) gesture.holdStart = time;
+                const progress = definition.holdMs > 0 ? Math.min(1, (time - gesture.holdStart) / definition.holdMs) : 1;
+                if (progress >= 1 && time - gesture.lastFired >= definition.cooldownMs) {
+                    gesture.latched = true;
+                    gesture.lastFired = time;
+                    this.emit('recognized', gesture, 1, time);
+                } else if (progress < 1) {
+                    this.emit('progress', gesture, progress, time);
+                }
+                return;
+            }
+
+            if (time - gesture.lastSeen <= this.options.releaseGraceMs) return;
+            if (gesture.holdStart !== null && !gesture.latched) this.emit('cancelled', gesture, 0, time);
+            gesture.holdStart = null;
+            gesture.latched = false;
+        });
+    }
+}
@@ -0,0 +1,215 @@
+// === KEYPOINT FILTERS ===
+// Smooths keypoints between pose detections and predicts them for the frames
+// where detection is skipped. Filters work on timestamps (ms), not frame
+// counts, so the result is the same at 30 or 120 fps.
+//
+// Every keypoint coordinate gets its own scalar filter from the registry:
+//   none     - passes the last detection through (the solver's exponential smoothing applies)
+//   oneEuro  - One Euro filter (Casiez et al. 2012); speed-adaptive low-pass
+//   kalman   - constant-velocity Kalman filter
+// New filters can be added with registerKeypointFilter().
+
+export const DEFAULT_FILTER_OPTIONS = {
+    type: 'oneEuro',
+    // One Euro: cutoff (Hz) at rest, how fast it opens up with speed, derivative cutoff (Hz)
+    minCutoff: 1.0,
+    beta: 0.01,
+    dCutoff: 1.0,
+    // Kalman: acceleration noise (px²/s³) and detection noise (px²)
+    processNoise: 3000,
+    measurementNoise: 16,
+    // Predictions are never extrapolated further than this past the last detection
+    maxPredictionMs: 150,
+    // A detection after a longer gap restarts the filter instead of sweeping from the old pose
+    resetAfterMs: 500
+};
+
+const smoothingAlpha = (cutoff, dt) => {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+};
+
+export class OneEuroFilter {
+    constructor(options) {
+        this.options = options;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+        this.time = null;
+    }
+
+    update(value, time) {
+        if (this.value === null) {
+            this.value = value;
+            this.time = time;
+            return value;
+        }
+        const dt = (time - this.time) / 1000;
+        if (dt <= 0) return this.value;
+
+        const { minCutoff, beta, dCutoff } = this.options;
+        const rawDerivative = (value - this.value) / dt;
+        this.derivative += (rawDerivative - this.derivative) * smoothingAlpha(dCutoff, dt);
+        const cutoff = minCutoff + beta * Math.abs(this.derivative);
+        this.value += (value - this.value) * smoothingAlpha(cutoff, dt);
+        this.time = time;
+        return this.value;
+    }
+
+    predict(time) {
+        const dt = Math.min(time - this.time, this.options.maxPredictionMs) / 1000;
+        return dt > 0 ? this.value + this.derivative * dt : this.value;
+    }
+}
+
+export class ConstantVelocityKalmanFilter {
+    constructor(options) {
+        this.options = options;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.velocity = 0;
+        this.time = null;
+        // Covariance [[p00, p01], [p01, p11]]
+        this.p00 = 0;
+        this.p01 = 0;
+        this.p11 = 0;
+    }
+
+    update(value, time) {
+        const { processNoise: q, measurementNoise: r } = this.options;
+        if (this.value === null) {
+            this.value = value;
+            this.velocity = 0;
+            this.time = time;
+            this.p00 = r;
+            this.p01 = 0;
+            this.p11 = q;
+            return value;
+        }
+        const dt = (time - this.time) / 1000;
+        if (dt <= 0) return this.value;
+
+        // Predict: x += v dt, P = F P F' + Q (white-noise acceleration)
+        this.value += this.velocity * dt;
+        const p00 = this.p00 + 2 * dt * this.p01 + dt * dt * this.p11 + q * dt * dt * dt / 3;
+        const p01 = this.p01 + dt * this.p11 + q * dt * dt / 2;
+        const p11 = this.p11 + q * dt;
+
+        // Correct with the measured position
+        const innovation = value - this.value;
+        const s = p00 + r;
+        const k0 = p00 / s;
+        const k1 = p01 / s;
+        this.value += k0 * innovation;
+        this.velocity += k1 * innovation;
+        this.p00 = (1 - k0) * p00;
+        this.p01 = (1 - k0) * p01;
+        this.p11 = p11 - k1 * p01;
+        this.time = time;
+        return this.value;
+    }
+
+    predict(time) {
+        const dt = Math.min(time - this.time, this.options.maxPredictionMs) / 1000;
+        return dt > 0 ? this.value + this.velocity * dt : this.value;
+    }
+}
+
+// Holds the last value; used for 'none'
+class PassThroughFilter {
+    constructor() { this.reset(); }
+    reset() { this.value = null; }
+    update(value) { this.value = value; return value; }
+    predict() { return this.value; }
+}
+
+const FILTER_REGISTRY = new Map([
+    ['none', () => new PassThroughFilter()],
+    ['oneEuro', (options) => new OneEuroFilter(options)],
+    ['kalman', (options) => new ConstantVelocityKalmanFilter(options)]
+]);
+
+/**
+ * Adds a scalar filter type.
+ * @param {string} type
+ * @param {(options: object) => { update(value: number, time: number): number, predict(time: number): number, reset(): void }} create
+ *        Called once per keypoint coordinate; `options` is the live options object.
+ */
+export function registerKeypointFilter(type, create) {
+    FILTER_REGISTRY.set(type, create);
+}
+
+export function getKeypointFilterTypes() {
+    return Array.from(FILTER_REGISTRY.keys());
+}
+
+/**
+ * Filters one person's keypoints. Call update() with every detection and
+ * predict() on every rendered frame.
+ */
+export class KeypointFilter {
+    constructor(options) {
+        this.options = { ...DEFAULT_FILTER_OPTIONS, ...options };
+        this.tracks = new Map(); // keypoint name -> { x, y, score }
+        this.lastKeypoints = null;
+        this.lastTime = null;
+    }
+
+    get type() { return this.options.type; }
+
+    // Options are shared with the scalar filters, so tuning applies immediately; a new type restarts
+    setOptions(options) {
+        const typeChanged = options.type !== undefined && options.type !== this.options.type;
+        Object.assign(this.options, options);
+        if (typeChanged) this.reset();
+    }
+
+    reset() {
+        this.tracks.clear();
+        this.lastKeypoints = null;
+        this.lastTime = null;
+    }
+
+    createTrack() {
+        const create = FILTER_REGISTRY.get(this.options.type) || FILTER_REGISTRY.get('none');
+        return { x: create(this.options), y: create(this.options), score: 0 };
+    }
+
+    /**
+     * @param {Array<{ name: string, x: number, y: number, score: number }>} keypoints - One detection.
+     * @param {number} time - When the detected frame was captured (ms).
+     * @returns {Array} the filtered keypoints.
+     */
+    update(keypoints, time) {
+        if (this.lastTime !== null && time - this.lastTime > this.options.resetAfterMs) this.reset();
+
+        this.lastKeypoints = keypoints.map(kp => {
+            let track = this.tracks.get(kp.name);
+            if (!track) {
+                track = this.createTrack();
+                this.tracks.set(kp.name, track);
+            }
+            track.score = kp.score;
+            return { ...kp, x: track.x.update(kp.x, time), y: track.y.update(kp.y, time) };
+        });
+        this.lastTime = time;
+        return this.lastKeypoints;
+    }
+
+    /**
+     * Keypoints extrapolated to `time`; null before the first detection.
+     */
+    predict(time) {
+        if (!this.lastKeypoints) return null;
+        return this.lastKeypoints.map(kp => {
+            const track = this.tracks.get(kp.name);
+            return { ...kp, x: track.x.predict(time), y: track.y.predict(time) };
+        });
+    }
+}
@@ -0,0 +1,143 @@
+// === PERFORMANCE GOVERNOR ===
+// Picks a quality level from measured frame times and inference durations so
+// the app holds a target frame rate: fast phones get more frequent, sharper
+// detection and full-resolution rendering; slow ones back off until they keep up.
+//
+// Each level sets:
+//   detectionInterval - run pose detection every N rendered frames
+//   inputScale        - fraction of the video resolution handed to the model
+//   pixelRatio        - cap for the renderer pixel ratio (never above devicePixelRatio)
+//   splatQuality      - 0..1, mapped to Spark's splat cut-offs by the caller
+
+export const QUALITY_LEVELS = [
+    { name: 'ultra', detectionInterval: 1, inputScale: 1.0, pixelRatio: 2.0, splatQuality: 1.0 },
+    { name: 'high', detectionInterval: 2, inputScale: 1.0, pixelRatio: 1.5, splatQuality: 1.0 },
+    { name: 'medium', detectionInterval: 3, inputScale: 0.75, pixelRatio: 1.25, splatQuality: 0.75 },
+    { name: 'low', detectionInterval: 4, inputScale: 0.5, pixelRatio: 1.0, splatQuality: 0.5 },
+    { name: 'minimum', detectionInterval: 6, inputScale: 0.5, pixelRatio: 0.75, splatQuality: 0.25 }
+];
+
+export const DEFAULT_GOVERNOR_OPTIONS = {
+    targetFps: 30,
+    initialLevel: 2,         // 'medium' until there is data
+    evaluationMs: 1000,      // How often the averages are checked
+    frameSmoothing: 0.1,     // EMA weight of each new frame time
+    downgradeTolerance: 0.1, // Step down below targetFps * (1 - tolerance)
+    upgradeAfterMs: 3000,    // Time at or above target before trying a better level
+    cooldownMs: 2000,        // No decisions right after a change (let the averages settle)
+    retryBackoffMs: 10000    // A level that was just too slow is not retried for this long (doubles each time)
+};
+
+export class PerformanceGovernor {
+    /**
+     * @param {object} [config]
+     * @param {object} [config.options] - Overrides for DEFAULT_GOVERNOR_OPTIONS.
+     * @param {(level: object, decision: object) => void} [config.onChange] - Called after every level change.
+     */
+    constructor({ options, onChange } = {}) {
+        this.options = { ...DEFAULT_GOVERNOR_OPTIONS, ...options };
+        this.onChange = onChange || (() => {});
+        this.levelIndex = this.options.initialLevel;
+        this.enabled = true;
+
+        this.avgFrameMs = null;
+        this.avgInferenceMs = null;
+        this.lastFrameTime = null;
+        this.lastEvaluation = 0;
+        this.lastChange = 0;
+        this.meetingTargetSince = null;
+        this.blockedUntil = QUALITY_LEVELS.map(() => 0);
+        this.backoffMs = QUALITY_LEVELS.map(() => this.options.retryBackoffMs);
+        this.lastDecision = null;
+    }
+
+    get level() { return QUALITY_LEVELS[this.levelIndex]; }
+    get fps() { return this.avgFrameMs ? 1000 / this.avgFrameMs : 0; }
+    get targetFrameMs() { return 1000 / this.options.targetFps; }
+
+    // Slow inference stretches the interval further, so a blocking detector cannot eat every frame
+    get detectionInterval() {
+        const inferenceFrames = this.avgInferenceMs ? Math.ceil(this.avgInferenceMs / this.targetFrameMs) : 1;
+        return Math.max(this.level.detectionInterval, inferenceFrames);
+    }
+
+    setTargetFps(fps) {
+        this.options.targetFps = fps;
+        this.meetingTargetSince = null;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.meetingTargetSince = null;
+        this.lastFrameTime = null;
+    }
+
+    // Call once per rendered frame with performance.now()
+    recordFrame(time) {
+        if (this.lastFrameTime !== null) {
+            const frameMs = time - this.lastFrameTime;
+            // Ignore pauses (tab hidden, debugger) so they do not count as slow frames
+            if (frameMs < 1000) {
+                this.avgFrameMs = this.avgFrameMs === null ? frameMs
+                    : this.avgFrameMs + (frameMs - this.avgFrameMs) * this.options.frameSmoothing;
+            }
+        }
+        this.lastFrameTime = time;
+
+        if (this.enabled && time - this.lastEvaluation >= this.options.evaluationMs) {
+            this.lastEvaluation = time;
+            this.evaluate(time);
+        }
+    }
+
+    recordInference(durationMs) {
+        this.avgInferenceMs = this.avgInferenceMs === null ? durationMs
+            : this.avgInferenceMs + (durationMs - this.avgInferenceMs) * 0.2;
+    }
+
+    evaluate(time) {
+        if (this.avgFrameMs === null || time - this.lastChange < this.options.cooldownMs) return;
+        const fps = this.fps;
+        const target = this.options.targetFps;
+
+        if (fps < target * (1 - this.options.downgradeTolerance)) {
+            this.meetingTargetSince = null;
+            if (this.levelIndex < QUALITY_LEVELS.length - 1) {
+                // The level we leave was too heavy: do not climb back straight away
+                const failed = this.levelIndex;
+                this.blockedUntil[failed] = time + this.backoffMs[failed];
+                this.backoffMs[failed] *= 2;
+                this.changeLevel(failed + 1, time, `${fps.toFixed(1)} fps < ${target} target`);
+            }
+            return;
+        }
+
+        if (fps >= target * 0.95) {
+            if (this.meetingTargetSince === null) this.meetingTargetSince = time;
+            const next = this.levelIndex - 1;
+            if (next >= 0 && time - this.meetingTargetSince >= this.options.upgradeAfterMs && time >= this.blockedUntil[next]) {
+                this.changeLevel(next, time, `${fps.toFixed(1)} fps holding ${target} target`);
+            }
+        } else {
+            this.meetingTargetSince = null;
+        }
+    }
+
+    changeLevel(index, time, reason) {
+        const from = this.level.name;
+        this.levelIndex = index;
+        this.lastChange = time;
+        this.meetingTargetSince = null;
+        this.lastDecision = { time, from, to: this.level.name, reason };
+        this.onChange(this.level, this.lastDecision);
+    }
+
+    // One line for the debug panel
+    describe() {
+        const level = this.level;
+        const inference = this.avgInferenceMs !== null ? `${this.avgInferenceMs.toFixed(0)} ms` : 'n/a';
+        return `${level.name} | ${this.fps.toFixed(1)}/${this.options.targetFps} fps | `
+            + `pose 1/${this.detectionInterval} @${Math.round(level.inputScale * 100)}% | `
+            + `DPR ≤${level.pixelRatio} | splat ${Math.round(level.splatQuality * 100)}% | infer ${inference}`;
+    }
+}
@@ -0,0 +1,215 @@
+// === PERSON OCCLUSION (BODY SEGMENTATION) ===
+// Optional pass that segments the person out of the same video frames used for
+// pose detection and redraws them on top of the wings, so the wings appear to
+// sit behind the body instead of covering arms and head.
+//
+// Compositing order: video background plane (renderOrder 0) -> wing splats ->
+// occluder plane (video texture, alpha = person mask, renderOrder 10).
+//
+// Like pose detection, segmentation never blocks a frame: update() starts one
+// unless it is still in flight, and the finished mask is applied on a later frame.
+
+import * as THREE from 'three';
+import * as bodySegmentation from '@tensorflow-models/body-segmentation';
+
+export const DEFAULT_OCCLUSION_OPTIONS = {
+    skipFrames: 6,          // Run segmentation only once every N frames (like pose detection)
+    maskThreshold: 0.6,     // Person probability above which a pixel counts as foreground
+    featherPx: 4,           // Blur applied to the mask edge, in mask pixels
+    maskScale: 0.5          // Mask resolution relative to the video
+};
+
+const OCCLUDER_RENDER_ORDER = 10;
+const MASK_FOREGROUND = { r: 255, g: 255, b: 255, a: 255 };
+const MASK_BACKGROUND = { r: 0, g: 0, b: 0, a: 255 };
+const DEBUG_FOREGROUND = { r: 0, g: 255, b: 136, a: 110 };
+const DEBUG_BACKGROUND = { r: 0, g: 0, b: 0, a: 0 };
+
+export class PersonOccluder {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OCCLUSION_OPTIONS, ...options };
+        this.segmenter = null;
+        this.enabled = false;
+        this.showDebugMask = false;
+        this.frameCounter = 0;
+        this.hasMask = false;
+        this.busy = false;
+        this.result = null;     // Newest finished segmentation ({ mask, debugMask } or { error })
+        this.generation = 0;    // Bumped on attach / enable so masks started before are dropped
+
+        // Mask is written here, then feathered into maskCanvas for the GPU
+        this.rawCanvas = document.createElement('canvas');
+        this.rawCtx = this.rawCanvas.getContext('2d');
+        this.maskCanvas = document.createElement('canvas');
+        this.maskCtx = this.maskCanvas.getContext('2d');
+        this.maskTexture = new THREE.CanvasTexture(this.maskCanvas);
+        this.maskTexture.flipY = false;
+        this.debugCanvas = document.createElement('canvas');
+        this.debugCtx = this.debugCanvas.getContext('2d');
+        this.occluderPlane = null;
+    }
+
+    get isLoaded() { return this.segmenter !== null; }
+
+    async load() {
+        if (this.segmenter) return;
+        this.segmenter = await bodySegmentation.createSegmenter(
+            bodySegmentation.SupportedModels.MediaPipeSelfieSegmentation,
+            { runtime: 'tfjs', modelType: 'general' }
+        );
+    }
+
+    // Builds the occluder on top of the video background plane (call after every setupThreeJS)
+    attach(scene, videoBackgroundPlane, videoWidth, videoHeight) {
+        this.detach();
+        this.maskCanvas.width = Math.max(1, Math.round(videoWidth * this.options.maskScale));
+        this.maskCanvas.height = Math.max(1, Math.round(videoHeight * this.options.maskScale));
+        this.maskCtx.fillStyle = '#000';
+        this.maskCtx.fillRect(0, 0, this.maskCanvas.width, this.maskCanvas.height);
+        this.hasMask = false;
+        this.generation++;
+        this.result = null;
+
+        // Same texture transform as the background so mirroring lines up
+        const videoTexture = videoBackgroundPlane.material.map;
+        this.maskTexture.wrapS = videoTexture.wrapS;
+        this.maskTexture.offset.copy(videoTexture.offset);
+        this.maskTexture.repeat.copy(videoTexture.repeat);
+        this.maskTexture.needsUpdate = true;
+
+        const material = new THREE.MeshBasicMaterial({
+            map: videoTexture,
+            alphaMap: this.maskTexture,
+            transparent: true,
+            side: THREE.DoubleSide,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.occluderPlane = new THREE.Mesh(videoBackgroundPlane.geometry, material);
+        this.occluderPlane.renderOrder = OCCLUDER_RENDER_ORDER;
+        this.backgroundPlane = videoBackgroundPlane;
+        this.scene = scene;
+        this.syncToBackground();
+        this.occluderPlane.visible = this.enabled && this.hasMask;
+        scene.add(this.occluderPlane);
+    }
+
+    detach() {
+        if (!this.occluderPlane) return;
+        if (this.scene) this.scene.remove(this.occluderPlane);
+        this.occluderPlane.material.dispose();
+        this.occluderPlane = null;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.frameCounter = this.options.skipFrames; // Segment on the next frame
+        this.generation++;
+        this.result = null;
+        if (this.occluderPlane) this.occluderPlane.visible = enabled && this.hasMask;
+    }
+
+    syncToBackground() {
+        if (!this.occluderPlane || !this.backgroundPlane) return;
+        this.occluderPlane.position.copy(this.backgroundPlane.position);
+        this.occluderPlane.scale.copy(this.backgroundPlane.scale);
+        this.occluderPlane.rotation.copy(this.backgroundPlane.rotation);
+    }
+
+    /**
+     * Throttled, non-blocking segmentation, called once per frame: applies the newest finished
+     * mask, then starts segmenting the current video frame unless one is still in flight.
+     * @returns {boolean} true when a new mask was applied this frame.
+     * @throws {Error} When the segmentation that finished since the last call failed.
+     */
+    update(video) {
+        if (!this.enabled || !this.segmenter || !this.occluderPlane) return false;
+        this.syncToBackground();
+
+        const result = this.result;
+        this.result = null;
+
+        this.frameCounter++;
+        if (!this.busy && this.frameCounter >= this.options.skipFrames) {
+            this.frameCounter = 0;
+            this.busy = true;
+            const generation = this.generation;
+            this.segment(video)
+                .then(masks => { if (generation === this.generation) this.result = masks; })
+                .catch(err => { if (generation === this.generation) this.result = { error: err }; })
+                .finally(() => { this.busy = false; });
+        }
+
+        if (!result) return false;
+        if (result.error) throw result.error;
+        this.applyMask(result.mask, result.debugMask);
+        return true;
+    }
+
+    // Runs the model on one frame; resolves with the binary mask(s) as ImageData
+    async segment(video) {
+        const segmentation = await this.segmenter.segmentPeople(video);
+        try {
+            const mask = await bodySegmentation.toBinaryMask(
+                segmentation, MASK_FOREGROUND, MASK_BACKGROUND, false, this.options.maskThreshold
+            );
+            const debugMask = this.showDebugMask
+                ? await bodySegmentation.toBinaryMask(
+                    segmentation, DEBUG_FOREGROUND, DEBUG_BACKGROUND, false, this.options.maskThreshold
+                )
+                : null;
+            return { mask, debugMask };
+        } finally {
+            // The tfjs runtime hands back GPU tensors that we own
+            for (const s of segmentation) {
+                if (s.mask.getUnderlyingType() === 'tensor') (await s.mask.toTensor()).dispose();
+            }
+        }
+    }
+
+    // Puts a finished mask into the occluder texture (and the debug canvas)
+    applyMask(mask, debugMask) {
+        if (debugMask) {
+            this.debugCanvas.width = debugMask.width;
+            this.debugCanvas.height = debugMask.height;
+            this.debugCtx.putImageData(debugMask, 0, 0);
+        }
+
+        // toBinaryMask returns ImageData at video resolution; scale + feather into the texture canvas
+        if (this.rawCanvas.width !== mask.width || this.rawCanvas.height !== mask.height) {
+            this.rawCanvas.width = mask.width;
+            this.rawCanvas.height = mask.height;
+        }
+        this.rawCtx.putImageData(mask, 0, 0);
+        this.maskCtx.filter = this.options.featherPx > 0 ? `blur(${this.options.featherPx}px)` : 'none';
+        this.maskCtx.drawImage(this.rawCanvas, 0, 0, this.maskCanvas.width, this.maskCanvas.height);
+        this.maskCtx.filter = 'none';
+        this.maskTexture.needsUpdate = true;
+
+        this.hasMask = true;
+        this.occluderPlane.visible = true;
+    }
+
+    // Tinted mask drawn over the debug canvas, mirrored like the debug points.
+    // `rect` is where the video is shown on the canvas (viewportMapping.js displayRect); whole canvas when omitted.
+    drawDebugMask(ctx, canvas, mirror, rect = null) {
+        if (!this.enabled || !this.showDebugMask || this.debugCanvas.width === 0) return;
+        ctx.save();
+        if (mirror) {
+            ctx.translate(canvas.width, 0);
+            ctx.scale(-1, 1);
+        }
+        if (rect) ctx.drawImage(this.debugCanvas, rect.x, rect.y, rect.width, rect.height);
+        else ctx.drawImage(this.debugCanvas, 0, 0, canvas.width, canvas.height);
+        ctx.restore();
+    }
+
+    dispose() {
+        this.detach();
+        this.maskTexture.dispose();
+        if (this.segmenter) this.segmenter.dispose();
+        this.segmenter = null;
+        this.generation++; // An in-flight segmentation is dropped
+        this.result = null;
+    }
+}
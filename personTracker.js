@@ -0,0 +1,82 @@
+// === MULTI-PERSON SELECTION ===
+// Chooses which detected people get wings when MoveNet MultiPose returns more
+// than one pose. Relies on the MoveNet tracker's stable `pose.id`; the render
+// loop keeps one wings group and smoothing state per id.
+
+import { findKeypoint, hasConfidentShoulders } from './wingSolver.js';
+
+export const PERSON_POLICIES = ['largest', 'central', 'all'];
+
+export const DEFAULT_MULTI_PERSON_OPTIONS = {
+    enabled: false,
+    maxPeople: 3,
+    policy: 'largest'
+};
+
+// Rough on-screen size: tracker bounding box area, else squared shoulder span
+function poseSize(pose, leftShoulder, rightShoulder, videoWidth) {
+    if (pose.box && pose.box.width > 0 && pose.box.height > 0) {
+        return pose.box.width * pose.box.height;
+    }
+    const span = Math.abs(leftShoulder.x - rightShoulder.x) / videoWidth;
+    return span * span;
+}
+
+// Distance of the shoulder midpoint from the frame centre (0 = dead centre)
+function poseCentreDistance(leftShoulder, rightShoulder, videoWidth, videoHeight) {
+    const dx = (leftShoulder.x + rightShoulder.x) / 2 / videoWidth - 0.5;
+    const dy = (leftShoulder.y + rightShoulder.y) / 2 / videoHeight - 0.5;
+    return Math.hypot(dx, dy);
+}
+
+/**
+ * Filters poses down to confident people and ranks them by policy.
+ *
+ * @param {Array} poses - estimatePoses() result.
+ * @param {object} options
+ * @param {number} options.videoWidth
+ * @param {number} options.videoHeight
+ * @param {'largest'|'central'|'all'} options.policy - 'all' keeps detection-score order.
+ * @param {number} options.maxPeople
+ * @param {object} [options.params] - Solver params (for the shoulder confidence threshold).
+ * @returns {Array<{ id: (number|string), pose: object, keypoints: Array }>}
+ */
+export function selectPeople(poses, { videoWidth, videoHeight, policy, maxPeople, params }) {
+    const candidates = [];
+    poses.forEach((pose, index) => {
+        if (!hasConfidentShoulders(pose.keypoints, params)) return;
+        const leftShoulder = findKeypoint(pose.keypoints, 'left_shoulder');
+        const rightShoulder = findKeypoint(pose.keypoints, 'right_shoulder');
+        candidates.push({
+            id: pose.id !== undefined ? pose.id : `pose-${index}`,
+            pose,
+            keypoints: pose.keypoints,
+            size: poseSize(pose, leftShoulder, rightShoulder, videoWidth),
+            centreDistance: poseCentreDistance(leftShoulder, rightShoulder, videoWidth, videoHeight),
+            score: pose.score !== undefined ? pose.score : 0
+        });
+    });
+
+    if (policy === 'largest') {
+        candidates.sort((a, b) => b.size - a.size);
+    } else if (policy === 'central') {
+        candidates.sort((a, b) => a.centreDistance - b.centreDistance);
+    } else {
+        candidates.sort((a, b) => b.score - a.score);
+    }
+
+    return candidates
+        .slice(0, Math.max(1, maxPeople))
+        .map(({ id, pose, keypoints }) => ({ id, pose, keypoints }));
+}
+
+// Reads ?multi=1&maxPeople=3&policy=central style overrides
+export function readMultiPersonOptions(search) {
+    const query = new URLSearchParams(search);
+    const options = { ...DEFAULT_MULTI_PERSON_OPTIONS };
+    if (query.has('multi')) options.enabled = query.get('multi') !== '0';
+    const maxPeople = parseInt(query.get('maxPeople'), 10);
+    if (maxPeople > 0) options.maxPeople = Math.min(maxPeople, 6); // MultiPose returns at most 6
+    if (PERSON_POLICIES.includes(query.get('policy'))) options.policy = query.get('policy');
+    return options;
+}
@@ -0,0 +1,290 @@
+// === POSE DETECTOR (WORKER OR MAIN THREAD) ===
+// Both detectors share one non-blocking interface so the render loop never
+// waits on inference:
+//   detect(source, timestamp, inputScale) starts a detection unless one is in flight,
+//   takeResult() hands back the newest finished one ({ poses, timestamp, inferenceMs },
+//   plus modelMs / memory from the worker, or { error, timestamp }) exactly once.
+// An inputScale below 1 downsizes the frame before inference; keypoints are
+// scaled back to video coordinates.
+// The worker is used when Workers, OffscreenCanvas and createImageBitmap exist;
+// otherwise (or with ?worker=0, or if the worker fails to start) the model runs
+// on the main thread as before. Either way TF.js falls back webgl -> wasm -> cpu.
+
+import * as poseDetection from '@tensorflow-models/pose-detection';
+import { initTfBackend } from './tfBackend.js';
+
+// --- MODELS ---
+// BlazePose is single-person and adds metric 3D keypoints (keypoints3D) that drive the wing orientation
+export const POSE_MODELS = {
+    'movenet-lightning': {
+        label: 'MoveNet Lightning',
+        model: poseDetection.SupportedModels.MoveNet,
+        config: { modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING }
+    },
+    'movenet-thunder': {
+        label: 'MoveNet Thunder',
+        model: poseDetection.SupportedModels.MoveNet,
+        config: { modelType: poseDetection.movenet.modelType.SINGLEPOSE_THUNDER }
+    },
+    'blazepose-lite': {
+        label: 'BlazePose Lite',
+        model: poseDetection.SupportedModels.BlazePose,
+        config: { runtime: 'tfjs', modelType: 'lite', enableSmoothing: true },
+        has3D: true
+    },
+    'blazepose-full': {
+        label: 'BlazePose Full',
+        model: poseDetection.SupportedModels.BlazePose,
+        config: { runtime: 'tfjs', modelType: 'full', enableSmoothing: true },
+        has3D: true
+    },
+    'blazepose-heavy': {
+        label: 'BlazePose Heavy',
+        model: poseDetection.SupportedModels.BlazePose,
+        config: { runtime: 'tfjs', modelType: 'heavy', enableSmoothing: true },
+        has3D: true
+    }
+};
+export const DEFAULT_POSE_MODEL = 'movenet-lightning';
+
+// MoveNet's only multi-person variant
+const MULTIPOSE_CONFIG = {
+    modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING,
+    enableTracking: true,
+    trackerType: poseDetection.TrackerType.BoundingBox
+};
+
+/**
+ * What to load for a model id. Multi-person always uses MoveNet MultiPose Lightning,
+ * which is reported in `warning` when a different model was asked for.
+ * @returns {{ id: string, label: string, model: string, detectorConfig: object, has3D: boolean, warning: string|null }}
+ */
+export function getDetectorSpec(modelId, { multiPerson = false } = {}) {
+    const id = POSE_MODELS[modelId] ? modelId : DEFAULT_POSE_MODEL;
+    const entry = POSE_MODELS[id];
+    if (multiPerson) {
+        return {
+            id,
+            label: 'MoveNet MultiPose Lightning',
+            model: poseDetection.SupportedModels.MoveNet,
+            detectorConfig: { ...MULTIPOSE_CONFIG },
+            has3D: false,
+            warning: id !== DEFAULT_POSE_MODEL ? `${entry.label} is single-person; using MoveNet MultiPose` : null
+        };
+    }
+    return { id, label: entry.label, model: entry.model, detectorConfig: { ...entry.config }, has3D: Boolean(entry.has3D), warning: null };
+}
+
+export function supportsWorkerDetection() {
+    return typeof Worker !== 'undefined'
+        && typeof OffscreenCanvas !== 'undefined'
+        && typeof createImageBitmap !== 'undefined';
+}
+
+// ?worker=0 keeps detection on the main thread (debugging, comparisons)
+export function readDetectionOptions(search) {
+    const params = new URLSearchParams(search);
+    return { preferWorker: params.get('worker') !== '0' };
+}
+
+const sourceSize = (source) => ({
+    width: source.videoWidth || source.width,
+    height: source.videoHeight || source.height
+});
+
+// Downsized copy of the frame for the model
+function resizeFrame(source, inputScale) {
+    const { width, height } = sourceSize(source);
+    return createImageBitmap(source, {
+        resizeWidth: Math.max(1, Math.round(width * inputScale)),
+        resizeHeight: Math.max(1, Math.round(height * inputScale)),
+        resizeQuality: 'low'
+    });
+}
+
+const scalePoses = (poses, factor) => (factor === 1 ? poses : poses.map(pose => ({
+    ...pose,
+    keypoints: pose.keypoints.map(kp => ({ ...kp, x: kp.x * factor, y: kp.y * factor }))
+})));
+
+// Grabs the current video frame as something transferable; VideoFrame is cheaper where supported
+async function captureFrame(source, inputScale) {
+    if (inputScale < 1) return resizeFrame(source, inputScale);
+    if (typeof VideoFrame !== 'undefined') {
+        try {
+            return new VideoFrame(source);
+        } catch (err) {
+            // Fall through: some browsers reject VideoFrame(video) before the first frame
+        }
+    }
+    return createImageBitmap(source);
+}
+
+export class WorkerPoseDetector {
+    constructor() {
+        this.kind = 'worker';
+        this.backend = null;
+        this.backendFailures = [];
+        this.worker = null;
+        this.busy = false;
+        this.result = null;
+        this.nextId = 0;
+        this.inputScale = 1;
+        this.startedAt = 0;
+    }
+
+    /** @param {{ model: string, detectorConfig: object }} spec - From getDetectorSpec(). */
+    load(spec) {
+        return new Promise((resolve, reject) => {
+            this.worker = new Worker(new URL('./poseWorker.js', import.meta.url), { type: 'module' });
+
+            this.worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'ready') {
+                    this.backend = message.backend;
+                    this.backendFailures = message.backendFailures;
+                    resolve();
+                } else if (message.type === 'init-error') {
+                    reject(new Error(message.message));
+                } else if (message.type === 'poses') {
+                    this.result = {
+                        poses: scalePoses(message.poses, 1 / this.inputScale),
+                        timestamp: message.timestamp,
+                        inferenceMs: performance.now() - this.startedAt,
+                        modelMs: message.modelMs,
+                        memory: message.memory
+                    };
+                    this.busy = false;
+                } else if (message.type === 'detect-error') {
+                    this.result = { error: new Error(message.message), timestamp: message.timestamp };
+                    this.busy = false;
+                }
+            };
+            // Script load failures and uncaught worker errors
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                const error = new Error(event.message || 'Pose worker failed');
+                if (!this.backend) {
+                    reject(error);
+                } else {
+                    this.result = { error, timestamp: performance.now() };
+                    this.busy = false;
+                }
+            };
+
+            this.worker.postMessage({ type: 'init', model: spec.model, detectorConfig: spec.detectorConfig });
+        });
+    }
+
+    /** @returns {boolean} false when a detection is still in flight. */
+    detect(source, timestamp, inputScale = 1) {
+        if (this.busy || !this.worker) return false;
+        this.busy = true;
+        this.inputScale = inputScale;
+        this.startedAt = performance.now();
+        const id = this.nextId++;
+        captureFrame(source, inputScale)
+            .then(frame => this.worker.postMessage({ type: 'detect', id, timestamp, frame }, [frame]))
+            .catch(err => {
+                this.result = { error: err, timestamp };
+                this.busy = false;
+            });
+        return true;
+    }
+
+    takeResult() {
+        const result = this.result;
+        this.result = null;
+        return result;
+    }
+
+    dispose() {
+        if (!this.worker) return;
+        this.worker.postMessage({ type: 'dispose' });
+        this.worker.terminate();
+        this.worker = null;
+        this.busy = false;
+        this.result = null;
+    }
+}
+
+export class MainThreadPoseDetector {
+    constructor() {
+        this.kind = 'main-thread';
+        this.backend = null;
+        this.backendFailures = [];
+        this.detector = null;
+        this.busy = false;
+        this.result = null;
+    }
+
+    /** @param {{ model: string, detectorConfig: object }} spec - From getDetectorSpec(). */
+    async load(spec) {
+        const { backend, failures } = await initTfBackend();
+        this.backend = backend;
+        this.backendFailures = failures;
+        this.detector = await poseDetection.createDetector(spec.model, spec.detectorConfig);
+    }
+
+    /** @returns {boolean} false when a detection is still in flight. */
+    detect(source, timestamp, inputScale = 1) {
+        if (this.busy || !this.detector) return false;
+        this.busy = true;
+        const startedAt = performance.now();
+        this.estimate(source, inputScale)
+            .then(poses => { this.result = { poses, timestamp, inferenceMs: performance.now() - startedAt }; })
+            .catch(err => { this.result = { error: err, timestamp }; })
+            .finally(() => { this.busy = false; });
+        return true;
+    }
+
+    async estimate(source, inputScale) {
+        if (inputScale >= 1) return this.detector.estimatePoses(source);
+        const frame = await resizeFrame(source, inputScale);
+        try {
+            return scalePoses(await this.detector.estimatePoses(frame), 1 / inputScale);
+        } finally {
+            frame.close();
+        }
+    }
+
+    takeResult() {
+        const result = this.result;
+        this.result = null;
+        return result;
+    }
+
+    dispose() {
+        if (this.detector) this.detector.dispose();
+        this.detector = null;
+        this.busy = false;
+        this.result = null;
+    }
+}
+
+/**
+ * Loads a pose model in a worker when possible, falling back to the main thread.
+ * @param {object} options
+ * @param {object} options.spec - From getDetectorSpec().
+ * @param {boolean} [options.preferWorker=true]
+ * @param {(reason: string) => void} [options.onFallback] - Called when the worker path is skipped or fails.
+ * @returns {Promise<WorkerPoseDetector|MainThreadPoseDetector>}
+ */
+export async function createPoseDetector({ spec, preferWorker = true, onFallback = () => {} }) {
+    if (preferWorker && supportsWorkerDetection()) {
+        const workerDetector = new WorkerPoseDetector();
+        try {
+            await workerDetector.load(spec);
+            return workerDetector;
+        } catch (err) {
+            workerDetector.dispose();
+            onFallback(`Pose worker failed to start (${err.message})`);
+        }
+    } else if (preferWorker) {
+        onFallback('Workers / OffscreenCanvas not supported');
+    }
+
+    const mainDetector = new MainThreadPoseDetector();
+    await mainDetector.load(spec);
+    return mainDetector;
+}
@@ -0,0 +1,187 @@
+// === POSE REPLAY SOURCES ===
+// Stand-ins for the live camera so tracking and placement can be reproduced on
+// a laptop: a local video file (fed through the normal pose model), or a
+// recorded sequence of timestamped keypoints (fed straight into the render loop).
+// Both expose the same play / pause / step / loop controls.
+
+export const SESSION_FORMAT = 'ar-wings-session';
+export const SESSION_FORMAT_VERSION = 1;
+
+const DEFAULT_FRAME_STEP_SECONDS = 1 / 30;
+
+/**
+ * Parses and validates a recorded keypoint session:
+ * { format, version, cameraMode, videoWidth, videoHeight, frames: [{ t, poses, detected }] }
+ * where `t` is milliseconds from the start and `poses` is an estimatePoses() result.
+ * Frames with `detected: false` (detection did not run) are skipped.
+ */
+export function parseKeypointRecording(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Recording is not valid JSON: ${err.message}`);
+    }
+    if (!data || data.format !== SESSION_FORMAT) {
+        throw new Error(`Not an ${SESSION_FORMAT} recording`);
+    }
+    if (data.version > SESSION_FORMAT_VERSION) {
+        throw new Error(`Recording version ${data.version} is newer than supported (${SESSION_FORMAT_VERSION})`);
+    }
+    if (!(data.videoWidth > 0 && data.videoHeight > 0)) {
+        throw new Error('Recording is missing its video size');
+    }
+
+    const frames = (Array.isArray(data.frames) ? data.frames : [])
+        .filter(frame => frame && typeof frame.t === 'number' && Array.isArray(frame.poses) && frame.detected !== false)
+        .sort((a, b) => a.t - b.t);
+    if (frames.length === 0) {
+        throw new Error('Recording contains no frames');
+    }
+    const t0 = frames[0].t;
+
+    return {
+        ...data,
+        cameraMode: data.cameraMode === 'user' ? 'user' : 'environment',
+        frames: frames.map(frame => ({ ...frame, t: frame.t - t0 }))
+    };
+}
+
+// --- KEYPOINT REPLAY (no video, no model) ---
+export class KeypointReplay {
+    constructor(recording, { loop = true, now = () => performance.now() } = {}) {
+        this.recording = recording;
+        this.frames = recording.frames;
+        this.cameraMode = recording.cameraMode;
+        this.loop = loop;
+        this.now = now;
+        this.position = 0;
+        this.playing = false;
+        this.lastTick = this.now();
+    }
+
+    get frameCount() { return this.frames.length; }
+    get duration() { return this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0; }
+    get isPlaying() { return this.playing; }
+    get currentTime() { this.update(); return this.position; }
+
+    getVideoSize() {
+        return { width: this.recording.videoWidth, height: this.recording.videoHeight };
+    }
+
+    play() {
+        if (!this.loop && this.position >= this.duration) this.position = 0;
+        this.lastTick = this.now();
+        this.playing = true;
+    }
+
+    pause() {
+        this.update();
+        this.playing = false;
+    }
+
+    setLoop(loop) { this.loop = loop; }
+
+    // Pauses and advances to the next recorded frame
+    step() {
+        this.pause();
+        if (this.frames.length === 0) return;
+        let next = this.frameIndexAt(this.position) + 1;
+        if (next >= this.frames.length) next = this.loop ? 0 : this.frames.length - 1;
+        this.position = this.frames[next].t;
+    }
+
+    // Advances the playback clock by real elapsed time
+    update() {
+        const tick = this.now();
+        if (this.playing) {
+            this.position += tick - this.lastTick;
+            if (this.position > this.duration) {
+                if (this.loop && this.duration > 0) {
+                    this.position %= this.duration;
+                } else {
+                    this.position = this.duration;
+                    this.playing = false;
+                }
+            }
+        }
+        this.lastTick = tick;
+    }
+
+    // Index of the last frame recorded at or before `time`
+    frameIndexAt(time) {
+        let lo = 0;
+        let hi = this.frames.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (this.frames[mid].t <= time) lo = mid; else hi = mid - 1;
+        }
+        return lo;
+    }
+
+    // Same shape as MoveNet estimatePoses() for the current playback time
+    posesAt() {
+        this.update();
+        if (this.frames.length === 0) return [];
+        return this.frames[this.frameIndexAt(this.position)].poses;
+    }
+
+    close() { this.playing = false; }
+}
+
+// --- VIDEO FILE REPLAY (runs through the pose model like the camera) ---
+export class VideoFileReplay {
+    constructor(video, file, { loop = true, frameStep = DEFAULT_FRAME_STEP_SECONDS } = {}) {
+        this.video = video;
+        this.file = file;
+        this.fileName = file.name;
+        this.frameStep = frameStep;
+        this.loop = loop;
+        this.objectUrl = null;
+    }
+
+    get isPlaying() { return !this.video.paused; }
+    get currentTime() { return this.video.currentTime * 1000; }
+    get duration() { return this.video.duration * 1000; }
+
+    async open() {
+        this.objectUrl = URL.createObjectURL(this.file);
+        this.video.srcObject = null;
+        this.video.loop = this.loop;
+        const metadataLoaded = new Promise((resolve, reject) => {
+            this.video.onloadedmetadata = () => resolve();
+            this.video.onerror = () => reject(new Error(`Cannot decode video file ${this.fileName}`));
+        });
+        this.video.src = this.objectUrl;
+        await metadataLoaded;
+        this.video.onerror = null;
+        await this.play();
+    }
+
+    play() {
+        return this.video.play();
+    }
+
+    pause() { this.video.pause(); }
+
+    setLoop(loop) {
+        this.loop = loop;
+        this.video.loop = loop;
+    }
+
+    // Pauses and seeks forward by one frame (wrapping when looping)
+    step() {
+        this.pause();
+        let next = this.video.currentTime + this.frameStep;
+        if (next >= this.video.duration) next = this.loop ? 0 : this.video.duration;
+        this.video.currentTime = next;
+    }
+
+    close() {
+        this.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+        if (this.objectUrl) URL.revokeObjectURL(this.objectUrl);
+        this.objectUrl = null;
+    }
+}
@@ -0,0 +1,92 @@
+// === POSE DETECTION WORKER ===
+// Runs the pose model off the main thread. TF.js renders to an OffscreenCanvas
+// here, so inference never competes with the splat renderer for the main thread.
+//
+// Messages in:  { type: 'init', model, detectorConfig }
+//               { type: 'detect', id, timestamp, frame }   frame: ImageBitmap or VideoFrame (transferred)
+// Messages out: { type: 'ready', backend, backendFailures } | { type: 'init-error', message }
+//               { type: 'poses', id, timestamp, poses, modelMs, memory } | { type: 'detect-error', id, timestamp, message }
+//               (modelMs: estimatePoses() alone; memory: this worker's tf.memory() counts)
+
+import * as poseDetection from '@tensorflow-models/pose-detection';
+import { TF_BACKEND_ORDER, getTfMemory, initTfBackend } from './tfBackend.js';
+
+let detector = null;
+
+function hasOffscreenWebGL() {
+    if (typeof OffscreenCanvas === 'undefined') return false;
+    try {
+        const canvas = new OffscreenCanvas(1, 1);
+        return Boolean(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+    } catch (err) {
+        return false;
+    }
+}
+
+async function init(model, detectorConfig) {
+    // WebGL needs OffscreenCanvas inside a worker; without it start at wasm
+    const candidates = hasOffscreenWebGL() ? TF_BACKEND_ORDER : TF_BACKEND_ORDER.filter(name => name !== 'webgl');
+    const result = await initTfBackend(candidates);
+    if (detector) detector.dispose();
+    detector = await poseDetection.createDetector(model, detectorConfig);
+    return result;
+}
+
+// pose-detection takes ImageBitmap but not VideoFrame
+async function toDetectorInput(frame) {
+    if (typeof VideoFrame !== 'undefined' && frame instanceof VideoFrame) {
+        try {
+            return await createImageBitmap(frame);
+        } finally {
+            frame.close();
+        }
+    }
+    return frame;
+}
+
+// Only plain data can be posted back
+const serializePoses = (poses) => poses.map(pose => ({
+    id: pose.id,
+    score: pose.score,
+    keypoints: pose.keypoints.map(kp => ({ x: kp.x, y: kp.y, score: kp.score, name: kp.name })),
+    keypoints3D: pose.keypoints3D
+        ? pose.keypoints3D.map(kp => ({ x: kp.x, y: kp.y, z: kp.z, score: kp.score, name: kp.name }))
+        : undefined,
+    box: pose.box ? { ...pose.box } : undefined
+}));
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    if (message.type === 'init') {
+        try {
+            const { backend, failures } = await init(message.model, message.detectorConfig);
+            self.postMessage({ type: 'ready', backend, backendFailures: failures });
+        } catch (err) {
+            self.postMessage({ type: 'init-error', message: err.message });
+        }
+        return;
+    }
+
+    if (message.type === 'detect') {
+        const { id, timestamp } = message;
+        let input = null;
+        try {
+            input = await toDetectorInput(message.frame);
+            const startedAt = performance.now();
+            const poses = await detector.estimatePoses(input);
+            const modelMs = performance.now() - startedAt;
+            self.postMessage({ type: 'poses', id, timestamp, poses: serializePoses(poses), modelMs, memory: getTfMemory() });
+        } catch (err) {
+            self.postMessage({ type: 'detect-error', id, timestamp, message: err.message });
+        } finally {
+            if (input && input.close) input.close();
+        }
+        return;
+    }
+
+    if (message.type === 'dispose') {
+        if (detector) detector.dispose();
+        detector = null;
+    }
+};
@@ -0,0 +1,260 @@
+// === SCENE LIGHTING ESTIMATION ===
+// Makes the wings sit in the camera's light instead of rendering at full
+// brightness everywhere. Every few frames the video behind the scene is drawn
+// into a tiny canvas and measured: brightness, color temperature and which
+// side the light comes from. The measurement becomes a tint, an exposure
+// factor and a rim boost for the wing facing the light, eased in over time so
+// lamps switching or auto-exposure pumping do not flicker the wings.
+// analyzeLightingFrame() and lightingToAdjustment() work on plain RGBA
+// pixels, no DOM, so they can be tested outside the browser.
+
+import { visibleVideoRect } from './viewportMapping.js';
+
+// auto = measured from the video, manual = the manual exposure / temperature, off = unchanged wings
+export const LIGHTING_MODES = ['auto', 'manual', 'off'];
+
+export const DEFAULT_LIGHTING_OPTIONS = {
+    mode: 'auto',
+    sampleFrames: 6,             // Measure every N rendered frames
+    sampleWidth: 32,             // Analysis width in pixels (height follows the shown video's aspect)
+    smoothingMs: 800,            // Time constant for easing the wings towards a new measurement
+    referenceBrightness: 0.45,   // Scene brightness (0-1) that leaves the wings unchanged
+    minExposure: 0.35,
+    maxExposure: 1.25,
+    tintStrength: 0.6,           // 0 = no tint, 1 = the full color of the measured light
+    rimStrength: 0.35,           // Extra brightness for the wing on the lit side
+    manualExposure: 1,
+    manualTemperature: 6500      // Kelvin; 6500 is neutral
+};
+
+const NEUTRAL_KELVIN = 6500;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// sRGB 0-1 -> linear light
+const toLinear = c => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+
+/**
+ * Approximate RGB (0-1) of a black body at `kelvin` (Tanner Helland's fit, 1000-40000 K).
+ */
+export function kelvinToRgb(kelvin) {
+    const t = clamp(kelvin, 1000, 40000) / 100;
+    const r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+    const g = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    let b = 255;
+    if (t < 66) b = t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+    return { r: clamp(r, 0, 255) / 255, g: clamp(g, 0, 255) / 255, b: clamp(b, 0, 255) / 255 };
+}
+
+// Correlated color temperature of a linear RGB color (McCamy's approximation on its xy chromaticity)
+function estimateKelvin(r, g, b) {
+    const X = 0.4124 * r + 0.3576 * g + 0.1805 * b;
+    const Y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    const Z = 0.0193 * r + 0.1192 * g + 0.9505 * b;
+    const sum = X + Y + Z;
+    if (sum <= 1e-6) return NEUTRAL_KELVIN;
+    const n = (X / sum - 0.3320) / (0.1858 - Y / sum);
+    return clamp(449 * n ** 3 + 3525 * n ** 2 + 6823.3 * n + 5520.33, 1500, 15000);
+}
+
+/**
+ * Measures one low-resolution frame.
+ * @param {Uint8ClampedArray|Array<number>} data - RGBA pixels, row by row.
+ * @param {number} width
+ * @param {number} height
+ * @returns {object|null} { brightness (0-1, sRGB luma), color (linear average), temperature (K),
+ *          direction: { x, y, strength } } - x / y point from the centre towards the light in image
+ *          space (y up), strength 0 (flat light) to 1 (strongly one-sided).
+ */
+export function analyzeLightingFrame(data, width, height) {
+    const count = width * height;
+    if (count === 0 || data.length < count * 4) return null;
+
+    const lumas = new Float32Array(count);
+    let luma = 0;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (let i = 0; i < count; i++) {
+        const sr = data[i * 4] / 255;
+        const sg = data[i * 4 + 1] / 255;
+        const sb = data[i * 4 + 2] / 255;
+        lumas[i] = 0.2126 * sr + 0.7152 * sg + 0.0722 * sb;
+        luma += lumas[i];
+        r += toLinear(sr);
+        g += toLinear(sg);
+        b += toLinear(sb);
+    }
+    const brightness = luma / count;
+
+    // Light direction: where the brighter-than-average pixels sit, seen from the centre
+    let dx = 0;
+    let dy = 0;
+    let weight = 0;
+    let variance = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const deviation = lumas[y * width + x] - brightness;
+            variance += deviation * deviation;
+            if (deviation <= 0) continue;
+            dx += deviation * (((x + 0.5) / width) * 2 - 1);
+            dy += deviation * (1 - ((y + 0.5) / height) * 2);
+            weight += deviation;
+        }
+    }
+    // Contrast decides how much the direction counts: an evenly lit room has no real light side
+    const contrast = Math.sqrt(variance / count);
+    const direction = weight > 0
+        ? { x: dx / weight, y: dy / weight, strength: clamp(contrast / 0.2, 0, 1) }
+        : { x: 0, y: 0, strength: 0 };
+
+    const color = { r: r / count, g: g / count, b: b / count };
+    return { brightness, color, temperature: estimateKelvin(color.r, color.g, color.b), direction };
+}
+
+/**
+ * Turns a measurement (or the manual values) into what is applied to the wings.
+ * @param {object|null} estimate - analyzeLightingFrame() result; null = nothing measured yet.
+ * @param {object} [options] - Overrides for DEFAULT_LIGHTING_OPTIONS.
+ * @returns {{ tint: {r,g,b}, exposure: number, rim: { x: number, strength: number } }}
+ */
+export function lightingToAdjustment(estimate, options) {
+    const o = { ...DEFAULT_LIGHTING_OPTIONS, ...options };
+    const neutral = { tint: { r: 1, g: 1, b: 1 }, exposure: 1, rim: { x: 0, strength: 0 } };
+    if (o.mode === 'off' || (o.mode === 'auto' && !estimate)) return neutral;
+
+    const manual = o.mode === 'manual';
+    const temperature = manual ? o.manualTemperature : estimate.temperature;
+    // Relative to neutral white, normalized so the tint only ever takes light away
+    const light = kelvinToRgb(temperature);
+    const white = kelvinToRgb(NEUTRAL_KELVIN);
+    const ratio = { r: light.r / white.r, g: light.g / white.g, b: light.b / white.b };
+    const peak = Math.max(ratio.r, ratio.g, ratio.b) || 1;
+    const strength = manual ? 1 : o.tintStrength;
+    const tint = {
+        r: 1 + (ratio.r / peak - 1) * strength,
+        g: 1 + (ratio.g / peak - 1) * strength,
+        b: 1 + (ratio.b / peak - 1) * strength
+    };
+
+    if (manual) return { tint, exposure: o.manualExposure, rim: neutral.rim };
+    // Square root: a dim scene dims the wings, but less than linearly so they stay readable
+    const exposure = clamp(Math.sqrt(estimate.brightness / o.referenceBrightness), o.minExposure, o.maxExposure);
+    return { tint, exposure, rim: { x: estimate.direction.x, strength: o.rimStrength * estimate.direction.strength } };
+}
+
+/**
+ * Brightness multiplier for one wing from the rim light.
+ * @param {object} adjustment - lightingToAdjustment() result.
+ * @param {number} side - Screen side of the wing: -1 left, 1 right; in between scales the boost
+ *        (e.g. one mesh holding both wings).
+ */
+export function rimBoost(adjustment, side) {
+    return 1 + adjustment.rim.strength * Math.max(0, side * adjustment.rim.x);
+}
+
+export class LightingEstimator {
+    /**
+     * @param {object} [options] - Overrides for DEFAULT_LIGHTING_OPTIONS, plus:
+     * @param {(error: Error) => void} [options.onError] - The video could not be read (e.g. a
+     *        cross-origin file); sampling stops until reset().
+     */
+    constructor({ onError, ...options } = {}) {
+        this.options = { ...DEFAULT_LIGHTING_OPTIONS, ...options };
+        this.onError = onError || (() => {});
+        this.canvas = null;
+        this.ctx = null;
+        this.reset();
+    }
+
+    setOptions(options) {
+        Object.assign(this.options, options);
+        this.optionsChanged = true;
+    }
+
+    // Back to unchanged wings (new input, stop)
+    reset() {
+        this.estimate = null;
+        this.current = lightingToAdjustment(null);
+        this.frameCounter = Infinity; // Measure on the first frame
+        this.lastTime = null;
+        this.failed = false;
+        this.optionsChanged = false;
+    }
+
+    /**
+     * Called once per rendered frame.
+     * @param {HTMLVideoElement|HTMLCanvasElement} source - What the video background shows.
+     * @param {number} time - Frame time in ms.
+     * @param {object} [viewport] - computeViewport() result; only the shown part is measured and
+     *        the direction is mirrored with the preview.
+     * @returns {{ adjustment: object, estimate: object|null, changed: boolean }} changed: measured this
+     *          frame, or the options changed since the last update.
+     */
+    update(source, time, viewport) {
+        let changed = this.optionsChanged;
+        this.optionsChanged = false;
+        this.frameCounter++;
+        if (this.options.mode === 'auto' && !this.failed && this.frameCounter >= this.options.sampleFrames) {
+            const estimate = this.sample(source, viewport);
+            if (estimate) {
+                this.estimate = estimate;
+                this.frameCounter = 0;
+                changed = true;
+            }
+        }
+
+        // Eased towards the target on the frame clock, so the sampling rate does not show
+        const target = lightingToAdjustment(this.estimate, this.options);
+        const dt = this.lastTime === null ? Infinity : time - this.lastTime;
+        this.lastTime = time;
+        const k = this.options.smoothingMs > 0 ? 1 - Math.exp(-dt / this.options.smoothingMs) : 1;
+        const ease = (from, to) => from + (to - from) * k;
+        const { current } = this;
+        this.current = {
+            tint: { r: ease(current.tint.r, target.tint.r), g: ease(current.tint.g, target.tint.g), b: ease(current.tint.b, target.tint.b) },
+            exposure: ease(current.exposure, target.exposure),
+            rim: { x: ease(current.rim.x, target.rim.x), strength: ease(current.rim.strength, target.rim.strength) }
+        };
+        return { adjustment: this.current, estimate: this.estimate, changed };
+    }
+
+    // Draws the shown part of the video small and measures it; null when there is no frame yet
+    sample(source, viewport) {
+        const sourceWidth = source ? source.videoWidth || source.width : 0;
+        const sourceHeight = source ? source.videoHeight || source.height : 0;
+        if (!sourceWidth || !sourceHeight) return null;
+        if (source.readyState !== undefined && source.readyState < 2) return null; // HAVE_CURRENT_DATA
+
+        const rect = viewport ? visibleVideoRect(viewport) : { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+        const width = this.options.sampleWidth;
+        const height = Math.max(1, Math.round(width * rect.height / rect.width));
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        let pixels;
+        try {
+            this.ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height);
+            pixels = this.ctx.getImageData(0, 0, width, height).data;
+        } catch (err) {
+            this.failed = true;
+            this.onError(err);
+            return null;
+        }
+
+        const estimate = analyzeLightingFrame(pixels, width, height);
+        if (estimate && viewport && viewport.mirror) estimate.direction.x = -estimate.direction.x;
+        return estimate;
+    }
+
+    dispose() {
+        this.canvas = null;
+        this.ctx = null;
+    }
+}
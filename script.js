@@ -1,66 +1,65 @@
 // --- MODULE IMPORTS ---
-import * as THREE from 'three';
-import * as tf from '@tensorflow/tfjs';
-import * as poseDetection from '@tensorflow-models/pose-detection'; 
-import { SplatMesh, SparkRenderer } from "@sparkjsdev/spark"; 
-
-// Global variables for the scene and pose detection
-let scene, camera;
-let threeRendererInstance; 
-let wingsAssetLeft, wingsAssetRight; 
-let wingsGroup; 
-let video, canvas, ctx;
-let poseModel;
+import { ARWingsSession } from './arWingsSession.js';
+import { readDetectionOptions } from './poseDetector.js';
+import { KeypointReplay, VideoFileReplay, parseKeypointRecording } from './poseReplay.js';
+import { SessionRecorder } from './sessionRecorder.js';
+import { ARCapture, shareOrDownload } from './arCapture.js';
+import { WING_CATALOG, LOCAL_WING_MODES, createLocalWingStyle, getWingStyleUrls } from './wingCatalog.js';
+import { SPLAT_FILE_ACCEPT, identifySplatFile } from './splatFormats.js';
+import { readMultiPersonOptions } from './personTracker.js';
+import { SettingsStore } from './settings.js';
+import { setupSettingsPanel } from './settingsPanel.js';
+import { CAMERA_RESOLUTIONS, getTrackFeatures, listVideoDevices, setTorch, setZoom } from './cameraDevices.js';
+import { BodyProfileStore, CALIBRATION_STEPS } from './bodyCalibration.js';
+import { ACCESSORY_CATALOG } from './accessoryCatalog.js';
+import { DiagnosticsRecorder, LOG_LEVELS, drawDiagnosticsGraph } from './diagnostics.js';
+
+// The demo page: binds the page's controls and debug panel to one ARWingsSession
+// (arWingsSession.js), which owns the camera, detection, tracking and rendering.
+let session;
 let debugLogger;
-let isRunning = false;
-let frameCount = 0;
-let lastFpsUpdate = Date.now();
-let videoBackgroundPlane; 
-
-// --- STATE FLAGS ---
-let isSplatAttempted = false;
-let isSplatDataReady = false; 
-let lastGoodPoseKeypoints = null; // 👈 CRITICAL: Stores the last known reliable pose data
-
-// *** PERFORMANCE OPTIMIZATION VARIABLES ***
-const POSE_DETECTION_SKIP_FRAMES = 3; // Run AI only once every 3 frames
-let poseDetectionFrameCounter = 0; 
-// ******************************************
-
-// Smoothing variable for stable Group positioning
-let smoothedGroupPosition = { x: 0, y: 0, z: 0 }; 
-const SMOOTHING_FACTOR = 0.6; 
-
-// Gaussian Splatting configuration
-const USE_GAUSSIAN_SPLAT = true; 
-
-// *** ASSET PATHS (Ensure these files exist in your 'assets' folder) ***
-const SPLAT_PATH_LEFT_WING = new URL('./assets/leftwing.ksplat', import.meta.url).href;
-const SPLAT_PATH_RIGHT_WING = new URL('./assets/rightwing.ksplat', import.meta.url).href;
-
-// --- CRITICAL WING CONSTANTS ---
-const WING_SPLAT_SCALE_FACTOR_BASE = 1.8; 
-let currentWingScale = WING_SPLAT_SCALE_FACTOR_BASE;
-let currentHorizontalOffset = 0; 
-const WING_VERTICAL_SHIFT = 0.5; 
-const SHOULDER_PIVOT_MULTIPLIER = 0.55; 
-const MIN_HORIZONTAL_OFFSET = 0.25; 
-const MAX_X_ROTATION = Math.PI / 6; 
-const Y_DIFFERENCE_SENSITIVITY = 150; 
-
-let CAMERA_MODE = 'environment'; 
-
-// --- AR SETTINGS (FIXED VALUES) ---
-const TEST_DEPTH_Z = -5.0; 
-const BACK_OFFSET_Z = -5.0; 
-const VIDEO_PLANE_DEPTH = -10.0; 
-const SPLAY_ANGLE = Math.PI / 12; 
-
-
-// === DEBUG LOGGER CLASS (STANDARD - UNCHANGED) ===
+let arCapture;
+let replaySource = null; // KeypointReplay or VideoFileReplay when not using the live camera
+const sessionRecorder = new SessionRecorder(); 
+// One structured log for the page and the session; the debug panel shows it, "Report" exports it
+const diagnostics = new DiagnosticsRecorder();
+let lastGraphDraw = 0;
+
+// --- RUNTIME SETTINGS (settings panel, URL params like ?smoothingFactor=0.4, presets) ---
+const settingsStore = new SettingsStore();
+const urlSettings = settingsStore.applyUrlParams(window.location.search);
+
+const DETECTION_OPTIONS = readDetectionOptions(window.location.search); // ?worker=0 forces the main thread
+const MULTI_PERSON = readMultiPersonOptions(window.location.search); // ?multi=1&maxPeople=3&policy=largest|central|all
+
+// A specific camera (e.g. one of several rear lenses) is remembered per browser
+const CAMERA_DEVICE_STORAGE_KEY = 'ar-wings.camera-device';
+let torchOn = false;
+
+// What each recognized gesture does on this page (gestureRecognizer.js has the gestures themselves).
+// Gestures registered with session.gestures.register() without an entry here still show feedback
+// and are re-dispatched on window as 'ar-wings:gesture'.
+const GESTURE_ACTIONS = {
+    'hands-up': { label: 'Next wings', run: () => cycleWingStyle() },
+    't-pose': { label: 'Photo', run: () => capturePhoto(true) },
+    'wave': { label: 'Accessories on/off', run: () => toggleAccessories() },
+    'hands-together': { label: 'Occlusion on/off', run: () => toggleOcclusion() }
+};
+let gestureFeedbackTimer = null;
+let lastAccessoryIds = ['halo']; // Brought back by the accessory toggle gesture
+
+const bodyProfiles = new BodyProfileStore();
+let calibrationResult = null; // Latest calibration, already applied; kept until saved as a profile
+
+
+// === DEBUG LOGGER CLASS ===
+// Page messages go into the shared DiagnosticsRecorder; the panel lists every record at or
+// above the chosen level (session records included)
 class DebugLogger {
     constructor() {
         this.logsContainer = document.getElementById('debug-logs');
+        this.levelSelect = document.getElementById('debug-log-level');
+        this.minLevel = 'info';
         this.statusText = document.getElementById('status-text');
         this.videoStatus = document.getElementById('video-status');
         this.modelStatus = document.getElementById('model-status');
@@ -68,8 +67,12 @@ class DebugLogger {
         this.assetStatus = document.getElementById('asset-status');
         this.fpsCounter = document.getElementById('fps-counter');
         this.positionStatus = document.getElementById('position-status'); 
+        this.recordingStatus = document.getElementById('recording-status');
+        this.perfStatus = document.getElementById('perf-status');
+        this.lightingStatus = document.getElementById('lighting-status');
         this.maxLogs = 30;
         this.setupControls();
+        diagnostics.subscribe(record => this.showRecord(record));
     }
     setupControls() {
         const panel = document.getElementById('debug-panel');
@@ -82,11 +85,28 @@ class DebugLogger {
                 this.logsContainer.innerHTML = '';
             });
         }
+        if (this.levelSelect) {
+            LOG_LEVELS.forEach(level => this.levelSelect.add(new Option(level, level)));
+            this.levelSelect.value = this.minLevel;
+            this.levelSelect.addEventListener('change', () => {
+                this.minLevel = this.levelSelect.value;
+                this.logsContainer.innerHTML = '';
+                diagnostics.records
+                    .filter(record => LOG_LEVELS.indexOf(record.level) >= LOG_LEVELS.indexOf(this.minLevel))
+                    .slice(-this.maxLogs)
+                    .forEach(record => this.showRecord(record));
+            });
+        }
+    }
+    updateRecordingStatus(status) { if(this.recordingStatus) this.recordingStatus.textContent = status; }
+    log(type, message, category = 'page') {
+        diagnostics.log(type, category, message);
     }
-    log(type, message) {
+    showRecord(record) {
+        if (LOG_LEVELS.indexOf(record.level) < LOG_LEVELS.indexOf(this.minLevel)) return;
         const logEntry = document.createElement('div');
-        logEntry.className = `debug-log ${type}`;
-        logEntry.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
+        logEntry.className = `debug-log ${record.level}`;
+        logEntry.textContent = `[${new Date(record.time).toLocaleTimeString()}] ${record.category}: ${record.message}`;
         if (this.logsContainer && this.logsContainer.children.length >= this.maxLogs) {
             this.logsContainer.removeChild(this.logsContainer.lastChild);
         }
@@ -99,103 +119,319 @@ class DebugLogger {
     updateModelStatus(status) { if(this.modelStatus) this.modelStatus.textContent = status; }
     updatePoseStatus(status) { if(this.poseStatus) this.poseStatus.textContent = status; } 
     updateAssetStatus(status) { if(this.assetStatus) this.assetStatus.textContent = status; }
+    updatePerfStatus(status) { if(this.perfStatus) this.perfStatus.textContent = status; }
+    updateLightingStatus({ estimate, adjustment, mode }) {
+        if (!this.lightingStatus) return;
+        const applied = `exposure ${adjustment.exposure.toFixed(2)}, rim ${adjustment.rim.strength.toFixed(2)}`;
+        this.lightingStatus.textContent = estimate && mode === 'auto'
+            ? `${Math.round(estimate.brightness * 100)}% ${Math.round(estimate.temperature)}K dir (${estimate.direction.x.toFixed(2)}, ${estimate.direction.y.toFixed(2)}) → ${applied}`
+            : `${mode} → ${applied}`;
+    }
     updateFPS(fps) { if(this.fpsCounter) this.fpsCounter.textContent = fps.toFixed(1); }
-    updatePositionStatus(posL, rotL, posR, rotR) {
+    updatePositionStatus(posL, rotL, posR, rotR, offset, body) {
         if (this.positionStatus) {
-            this.positionStatus.textContent = `L P: (${posL.x.toFixed(2)}, ${posL.y.toFixed(2)}) R P: (${posR.x.toFixed(2)}, ${posR.y.toFixed(2)}) Offset: ${currentHorizontalOffset.toFixed(2)}`;
+            const depth = body && body.depth !== null ? `${body.depth.toFixed(2)}m` : 'fixed';
+            const yaw = body ? `${(body.yaw * 180 / Math.PI).toFixed(0)}°${body.yawSource === '3d' ? ' (3D)' : ''}` : '0°';
+            this.positionStatus.textContent = `L P: (${posL.x.toFixed(2)}, ${posL.y.toFixed(2)}) R P: (${posR.x.toFixed(2)}, ${posR.y.toFixed(2)}) Offset: ${offset.toFixed(2)} Depth: ${depth} Yaw: ${yaw}`;
         }
     }
 }
 // === END DEBUG LOGGER CLASS ===
 
-// --- CAMERA SWITCHING LOGIC (UNCHANGED) ---
+// --- SESSION EVENTS → DEBUG PANEL ---
+
+function setupSessionEvents() {
+    const statusUpdaters = {
+        status: text => debugLogger.updateStatus(text),
+        video: text => debugLogger.updateVideoStatus(text),
+        model: text => debugLogger.updateModelStatus(text),
+        pose: text => debugLogger.updatePoseStatus(text),
+        asset: text => debugLogger.updateAssetStatus(text)
+    };
+    session.on('status', ({ field, text }) => statusUpdaters[field](text));
+    // Session logs and errors reach the debug panel through the shared diagnostics log
+    session.on('error', ({ kind, error }) => {
+        if (kind === 'camera') showCameraError(error);
+        if (kind === 'asset') hideAssetProgress();
+    });
 
-function setupCameraToggle() {
-    const toggleBtn = document.getElementById('camera-toggle-btn');
-    if (toggleBtn) {
-        toggleBtn.textContent = `Switch to ${CAMERA_MODE === 'user' ? 'Rear' : 'Front'} Camera`;
-        toggleBtn.addEventListener('click', switchCamera);
+    session.on('asset-progress', ({ fraction }) => {
+        const bar = document.getElementById('asset-progress');
+        if (!bar) return;
+        bar.classList.remove('hidden');
+        bar.classList.toggle('indeterminate', fraction === null);
+        if (fraction !== null) {
+            bar.setAttribute('aria-valuenow', String(Math.round(fraction * 100)));
+            document.getElementById('asset-progress-bar').style.width = `${fraction * 100}%`;
+        }
+    });
+
+    session.on('lighting', detail => debugLogger.updateLightingStatus(detail));
+
+    session.on('fps', ({ fps, quality }) => {
+        debugLogger.updateFPS(fps);
+        debugLogger.updatePerfStatus(quality);
+        updateDiagnosticsStatus();
+    });
+
+    session.on('state', ({ state }) => {
+        if (state === 'running') {
+            sessionRecorder.updateSource({ cameraMode: session.cameraMode, videoWidth: session.sourceSize.width, videoHeight: session.sourceSize.height });
+        }
+    });
+
+    // A rotated camera changes the frame size mid-session; plain view resizes are not recorded
+    let layoutSize = null;
+    session.on('layout', ({ viewport }) => {
+        const size = `${viewport.videoWidth}x${viewport.videoHeight}`;
+        if (layoutSize && size !== layoutSize && session.state === 'running') {
+            sessionRecorder.updateSource({ cameraMode: session.cameraMode, videoWidth: viewport.videoWidth, videoHeight: viewport.videoHeight });
+        }
+        layoutSize = size;
+    });
+
+    session.on('camera', ({ deviceId, cameraMode, track }) => {
+        storeCameraId(deviceId); // Cleared when a remembered camera was gone
+        updateCameraToggleLabel(cameraMode);
+        updateCameraFeatures(track);
+        refreshCameraDevices(); // Labels are only available once permission is granted
+    });
+
+    session.on('asset-loaded', ({ style }) => {
+        hideAssetProgress();
+        const picker = document.getElementById('wing-style-picker');
+        if (picker && style) picker.value = style.id;
+    });
+
+    // --- TRACKING EVENTS ---
+    // Re-dispatched on window as 'ar-wings:tracking' ({ detail: { personId, from, to, time } })
+    // so code outside this page script can follow tracking without polling
+    session.on('tracking', detail => {
+        window.dispatchEvent(new CustomEvent('ar-wings:tracking', { detail }));
+    });
+
+    // --- GESTURE COMMANDS ---
+    session.on('gesture', event => {
+        window.dispatchEvent(new CustomEvent('ar-wings:gesture', { detail: event }));
+        showGestureFeedback(event);
+        const action = GESTURE_ACTIONS[event.gesture.id];
+        if (event.type === 'recognized' && action) action.run();
+    });
+
+    session.on('render', ({ poses, solved }) => {
+        if (solved) {
+            debugLogger.updatePositionStatus(solved.left.position, solved.left.rotation, solved.right.position, solved.right.rotation, solved.horizontalOffset, solved.body);
+        }
+        if (replaySource) updateReplayTime();
+
+        if (sessionRecorder.isRecording) {
+            if (!sessionRecorder.recordFrame({ poses, transforms: solved })) {
+                debugLogger.log('warning', 'Session recording hit its frame limit and stopped');
+                const recordBtn = document.getElementById('record-session-btn');
+                if (recordBtn) recordBtn.textContent = 'Record';
+            }
+            if (poses) updateRecordingStatus();
+        }
+
+        // The WebGL buffer is only readable right after render
+        if (arCapture) arCapture.onFrameRendered();
+    });
+}
+
+// --- CAMERA SELECTION, TORCH/ZOOM & RECOVERY ---
+
+function readStoredCameraId() {
+    try {
+        return localStorage.getItem(CAMERA_DEVICE_STORAGE_KEY) || null;
+    } catch (err) {
+        return null;
     }
 }
 
-async function switchCamera() {
-    debugLogger.log('info', `Switching camera from ${CAMERA_MODE} to ${CAMERA_MODE === 'user' ? 'environment' : 'user'}...`);
-    
-    isRunning = false; 
-    if (video && video.srcObject) {
-        const tracks = video.srcObject.getTracks();
-        tracks.forEach(track => track.stop());
-        video.srcObject = null;
+function storeCameraId(deviceId) {
+    try {
+        if (deviceId) localStorage.setItem(CAMERA_DEVICE_STORAGE_KEY, deviceId);
+        else localStorage.removeItem(CAMERA_DEVICE_STORAGE_KEY);
+    } catch (err) {
+        // Private mode: the choice just isn't remembered
     }
-    
-    CAMERA_MODE = CAMERA_MODE === 'user' ? 'environment' : 'user';
+}
 
+function setupCameraControls() {
     const toggleBtn = document.getElementById('camera-toggle-btn');
-    if (toggleBtn) {
-        toggleBtn.textContent = `Switch to ${CAMERA_MODE === 'user' ? 'Rear' : 'Front'} Camera`;
+    const deviceSelect = document.getElementById('camera-device-select');
+    const resolutionSelect = document.getElementById('camera-resolution-select');
+    const torchBtn = document.getElementById('camera-torch-btn');
+    const zoomRange = document.getElementById('camera-zoom-range');
+    const retryBtn = document.getElementById('camera-retry-btn');
+    const defaultBtn = document.getElementById('camera-default-btn');
+
+    updateCameraToggleLabel(session.cameraMode);
+    if (toggleBtn) toggleBtn.addEventListener('click', switchCamera);
+    if (deviceSelect) deviceSelect.addEventListener('change', () => selectCamera(deviceSelect.value || null));
+
+    if (resolutionSelect) {
+        Object.keys(CAMERA_RESOLUTIONS).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            resolutionSelect.appendChild(option);
+        });
+        resolutionSelect.value = settingsStore.get('cameraResolution');
+        // Goes through the settings store so the panel, presets and URL stay in sync
+        resolutionSelect.addEventListener('change', () => settingsStore.set('cameraResolution', resolutionSelect.value));
+    }
+
+    if (torchBtn) {
+        torchBtn.addEventListener('click', () => {
+            if (!session.cameraTrack) return;
+            setTorch(session.cameraTrack, !torchOn)
+                .then(() => {
+                    torchOn = !torchOn;
+                    torchBtn.textContent = `Torch: ${torchOn ? 'On' : 'Off'}`;
+                })
+                .catch(err => debugLogger.log('warning', `Torch failed: ${err.message}`));
+        });
+    }
+    if (zoomRange) {
+        zoomRange.addEventListener('input', () => {
+            if (!session.cameraTrack) return;
+            setZoom(session.cameraTrack, Number(zoomRange.value))
+                .catch(err => debugLogger.log('warning', `Zoom failed: ${err.message}`));
+        });
+    }
+
+    if (retryBtn) {
+        retryBtn.addEventListener('click', () => {
+            hideCameraError();
+            session.start();
+        });
     }
-    
-    // Clear smoothed group position and pose data
-    smoothedGroupPosition = { x: 0, y: 0, z: 0 };
-    lastGoodPoseKeypoints = null;
+    if (defaultBtn) defaultBtn.addEventListener('click', () => selectCamera(null));
 
-    await startAR();
+    // Plugging / unplugging cameras; a camera in use that disappears also ends its track
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', () => {
+            debugLogger.log('info', 'Camera devices changed');
+            refreshCameraDevices();
+        });
+    }
 }
 
-// === WING SCALE ADJUSTMENT (UNCHANGED) ===
-function calculateResponsiveWingScale(videoWidth, videoHeight, baseScale) {
-    const aspect = videoWidth / videoHeight;
-    let scaleAdjustment = 1.0;
-    
-    if (aspect < 1.0) { 
-        scaleAdjustment = 0.85; 
-    } else if (aspect > 1.7) { 
-        scaleAdjustment = 1.1; 
+function showCameraControls() {
+    const controls = document.getElementById('camera-controls');
+    if (controls) controls.classList.remove('hidden');
+}
+
+function updateCameraToggleLabel(cameraMode) {
+    const toggleBtn = document.getElementById('camera-toggle-btn');
+    if (toggleBtn) {
+        toggleBtn.textContent = `Switch to ${cameraMode === 'user' ? 'Rear' : 'Front'} Camera`;
     }
-    
-    const screenHeightFactor = window.innerHeight / 800;
-    
-    return baseScale * scaleAdjustment * Math.min(1.0, screenHeightFactor);
 }
 
+// Labels are only filled in once camera permission has been granted
+async function refreshCameraDevices() {
+    const deviceSelect = document.getElementById('camera-device-select');
+    if (!deviceSelect) return;
+    let devices;
+    try {
+        devices = await listVideoDevices();
+    } catch (err) {
+        debugLogger.log('warning', `Could not list cameras: ${err.message}`);
+        return;
+    }
 
-// --- POSE MODEL LOADING (OPTIMIZED: DEDICATED FUNCTION) ---
-async function loadPoseModel() {
-    if (poseModel === undefined) { 
-        debugLogger.updateStatus('Initializing TensorFlow...');
-        tf.setBackend('webgl'); 
-        await tf.ready(); 
-        debugLogger.log('success', `TensorFlow backend ready (${tf.getBackend()}).`);
+    deviceSelect.innerHTML = '';
+    const autoOption = document.createElement('option');
+    autoOption.value = '';
+    autoOption.textContent = 'Auto (front / rear)';
+    deviceSelect.appendChild(autoOption);
+    devices.forEach(device => {
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = device.label;
+        deviceSelect.appendChild(option);
+    });
+    deviceSelect.value = devices.some(device => device.deviceId === session.deviceId) ? session.deviceId : '';
+}
 
-        debugLogger.updateStatus('Loading AI model (MoveNet)...');
-        poseModel = await poseDetection.createDetector(
-            poseDetection.SupportedModels.MoveNet,
-            { modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING }
-        );
-        debugLogger.log('success', 'AI model loaded!');
-        debugLogger.updateModelStatus('MoveNet Loaded');
+// Shows torch / zoom only when the current track supports them
+function updateCameraFeatures(track) {
+    const features = getTrackFeatures(track);
+    const torchBtn = document.getElementById('camera-torch-btn');
+    const zoomControl = document.getElementById('camera-zoom-control');
+    const zoomRange = document.getElementById('camera-zoom-range');
+
+    torchOn = false;
+    if (torchBtn) {
+        torchBtn.textContent = 'Torch: Off';
+        torchBtn.classList.toggle('hidden', !features.torch);
     }
+    if (zoomControl && zoomRange) {
+        zoomControl.classList.toggle('hidden', !features.zoom);
+        if (features.zoom) {
+            zoomRange.min = features.zoom.min;
+            zoomRange.max = features.zoom.max;
+            zoomRange.step = features.zoom.step;
+            zoomRange.value = features.zoom.value;
+        }
+    }
+}
+
+async function switchCamera() {
+    const nextMode = session.cameraMode === 'user' ? 'environment' : 'user';
+    debugLogger.log('info', `Switching camera from ${session.cameraMode} to ${nextMode}...`);
+    updateCameraToggleLabel(nextMode);
+    // Flipping goes back to letting facingMode pick the lens
+    storeCameraId(null);
+    hideCameraError();
+    await session.setCameraMode(nextMode);
+}
+
+async function selectCamera(deviceId) {
+    storeCameraId(deviceId);
+    debugLogger.log('info', deviceId ? 'Switching to the selected camera...' : 'Switching to the default camera...');
+    hideCameraError();
+    await session.setCameraDevice(deviceId);
+}
+
+function showCameraError(error) {
+    const overlay = document.getElementById('camera-error');
+    if (!overlay) return;
+    document.getElementById('camera-error-message').textContent = error.message;
+    document.getElementById('camera-error-hint').textContent = error.hint;
+    overlay.classList.remove('hidden');
+    // Picking another camera from the controls is part of the recovery
+    showCameraControls();
+    refreshCameraDevices();
+}
+
+function hideCameraError() {
+    const overlay = document.getElementById('camera-error');
+    if (overlay) overlay.classList.add('hidden');
 }
-// --- END POSE MODEL LOADING ---
 
 
-// --- INITIALIZE & START AR (REFACTORED) ---
+// --- INITIALIZE & START AR ---
 
 function init() {
     debugLogger = new DebugLogger();
     debugLogger.log('info', '=== AR Back Wings Starting ===');
-    
-    if (typeof THREE === 'undefined' || typeof tf === 'undefined' || typeof poseDetection === 'undefined' || typeof SplatMesh === 'undefined') {
-        debugLogger.log('error', 'Module imports failed.');
-        document.getElementById('instructions').innerHTML = `<h2>Initialization Failed!</h2><p>Error: Required libraries failed to load.</p>`;
-        return;
-    }
-    debugLogger.log('success', 'Core libraries loaded (THREE, TF, Spark.js)');
 
-    // Start loading the heavy AI model immediately
-    loadPoseModel().catch(err => {
-        debugLogger.log('error', `FATAL: Could not load Pose Model: ${err.message}`);
+    session = new ARWingsSession(document.getElementById('three-container'), {
+        settings: settingsStore,
+        diagnostics,
+        video: document.getElementById('video'),
+        overlayCanvas: document.getElementById('output-canvas'),
+        deviceId: readStoredCameraId(),
+        multiPerson: MULTI_PERSON,
+        preferWorker: DETECTION_OPTIONS.preferWorker
     });
+    setupSessionEvents();
+
+    // Start loading the heavy AI model immediately
+    session.loadPoseModel().catch(() => {}); // Reported through the 'error' event
 
     const startBtn = document.getElementById('start-btn');
     const instructions = document.getElementById('instructions');
@@ -203,427 +439,648 @@ function init() {
     if (startBtn && instructions) {
         startBtn.addEventListener('click', async () => {
             instructions.classList.add('hidden');
-            await startAR();
-            setupCameraToggle(); 
-            const toggleBtn = document.getElementById('camera-toggle-btn');
-            if (toggleBtn) toggleBtn.style.display = 'block'; 
+            const started = await session.start();
+            showCameraControls();
+            showWingStylePicker();
+            showCaptureControls();
+            if (started) showCalibrationChooser();
+        });
+    }
+
+    const replayInput = document.getElementById('replay-file-input');
+    if (replayInput && instructions) {
+        replayInput.addEventListener('change', async () => {
+            const file = replayInput.files[0];
+            if (!file) return;
+            try {
+                replaySource = await createReplaySource(file);
+            } catch (err) {
+                debugLogger.log('error', `Replay file rejected: ${err.message}`);
+                return;
+            }
+            instructions.classList.add('hidden');
+            await session.start({ replay: replaySource });
+            setupReplayControls();
+            showWingStylePicker();
+            showCaptureControls();
         });
     }
 
+    setupSettings();
+    setupCameraControls();
+    setupSessionRecording();
+    setupOcclusionControls();
+    setupWingStylePicker();
+    setupAccessoryToggles();
+    setupLocalWingLoading();
+    setupCaptureControls();
+    setupCalibration();
+    setupDiagnostics();
+
     debugLogger.updateStatus('Ready - Tap Start');
 }
 
-async function startAR() {
-    try {
-        const threeContainer = document.getElementById('three-container');
-        canvas = document.getElementById('output-canvas');
-        ctx = canvas.getContext('2d');
-        video = document.getElementById('video');
-
-        // 1. Request Camera Stream
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: { facingMode: CAMERA_MODE, width: { ideal: 1280 }, height: { ideal: 720 } }
-        });
-        video.srcObject = stream;
-        
-        // 2. CRITICAL: Attempt play()
-        video.play().catch(error => {
-            debugLogger.log('warning', `Video play() failed: ${error.message}`);
-        }); 
-        debugLogger.updateVideoStatus(`Camera stream active (${CAMERA_MODE})`);
-
-        // 3. CRITICAL: Wait for video metadata to load
-        await new Promise((resolve) => { video.onloadedmetadata = () => { resolve(video); }; });
-
-        const vw = video.videoWidth;
-        const vh = video.videoHeight;
-        
-        canvas.width = vw;
-        canvas.height = vh;
-        threeContainer.style.width = '100vw';
-        threeContainer.style.height = '100vh';
-
-        // Clean up previous THREE.js instance
-        if (threeRendererInstance) {
-            threeContainer.removeChild(threeRendererInstance.domElement);
-            threeRendererInstance.dispose();
-            threeRendererInstance = null;
+// --- RUNTIME SETTINGS ---
+// The session applies changes itself; the page only mirrors the camera resolution picker
+
+function setupSettings() {
+    if (urlSettings.applied.length > 0) {
+        debugLogger.log('info', `Settings from URL: ${urlSettings.applied.join(', ')}`);
+    }
+    if (urlSettings.rejected.length > 0) {
+        debugLogger.log('warning', `Invalid URL settings ignored: ${urlSettings.rejected.join(', ')}`);
+    }
+
+    settingsStore.subscribe((key, value) => {
+        if (key === 'cameraResolution') {
+            const resolutionSelect = document.getElementById('camera-resolution-select');
+            if (resolutionSelect) resolutionSelect.value = value;
         }
+    });
 
-        debugLogger.updateStatus('Setting up 3D renderer...');
-        setupThreeJS(vw, vh); 
-        debugLogger.log('success', '3D renderer ready');
-        
-        currentWingScale = calculateResponsiveWingScale(vw, vh, WING_SPLAT_SCALE_FACTOR_BASE);
-        debugLogger.log('info', `Set initial wing scale to: ${currentWingScale.toFixed(2)}`);
-        
-        debugLogger.updateStatus('Running - Stand back!');
-        
-        isRunning = true;
-        renderLoop();
-    } catch (error) {
-        debugLogger.log('error', `INIT ERROR: ${error.name}: ${error.message}`);
-        debugLogger.updateStatus('FATAL ERROR');
-        const instructions = document.getElementById('instructions');
-        if (instructions) instructions.classList.add('hidden');
-    }
-}
-
-// === SETUP THREE.JS (UNCHANGED) ===
-function setupThreeJS(videoWidth, videoHeight) {
-    const threeContainer = document.getElementById('three-container');
-    const containerRect = threeContainer.getBoundingClientRect();
-
-    const threeRenderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
-    threeRenderer.setPixelRatio(window.devicePixelRatio);
-    threeRenderer.setSize(containerRect.width, containerRect.height);
-    threeRenderer.setClearColor(0x000000, 0); 
-    threeContainer.appendChild(threeRenderer.domElement);
-
-    threeRendererInstance = threeRenderer;
-    
-    new SparkRenderer(threeRenderer);
-
-    if (scene) {
-        if (videoBackgroundPlane) scene.remove(videoBackgroundPlane);
-        if (wingsGroup) scene.remove(wingsGroup);
-    } else {
-        scene = new THREE.Scene();
-    }
-    
-    wingsGroup = new THREE.Group();
-    scene.add(wingsGroup); 
-    
-    const aspect = containerRect.width / containerRect.height;
-    camera = new THREE.PerspectiveCamera(65, aspect, 0.1, 100); 
-    camera.position.set(0, 0, 0); 
-    scene.add(new THREE.AmbientLight(0xffffff, 1.0));
-
-    // Video Background Plane setup
-    const videoTexture = new THREE.VideoTexture(video);
-    videoTexture.flipY = false; 
-    if (CAMERA_MODE === 'user') {
-        videoTexture.wrapS = THREE.RepeatWrapping; videoTexture.offset.x = 1; videoTexture.repeat.x = -1; 
-    } else {
-        videoTexture.wrapS = THREE.ClampToEdgeWrapping; videoTexture.offset.x = 0; videoTexture.repeat.x = 1; 
-    }
-    const planeGeometry = new THREE.PlaneGeometry(1, 1);
-    planeGeometry.scale(1, -1, 1); 
-    const planeMaterial = new THREE.MeshBasicMaterial({ map: videoTexture, side: THREE.DoubleSide, depthTest: false });
-    videoBackgroundPlane = new THREE.Mesh(planeGeometry, planeMaterial);
-    const viewAspect = containerRect.width / containerRect.height;
-    const fovRad = THREE.MathUtils.degToRad(camera.fov);
-    const planeHeight = Math.abs(2 * Math.tan(fovRad / 2) * VIDEO_PLANE_DEPTH);
-    const planeWidth = planeHeight * viewAspect;
-    videoBackgroundPlane.scale.set(planeWidth, planeHeight, 1);
-    videoBackgroundPlane.position.z = VIDEO_PLANE_DEPTH;
-    videoBackgroundPlane.renderOrder = 0; 
-    scene.add(videoBackgroundPlane);
-
-
-    // *** DUAL ASSET LOADING LOGIC ***
-    if (!isSplatAttempted) {
-        if (USE_GAUSSIAN_SPLAT && typeof SplatMesh !== 'undefined') {
-            debugLogger.updateAssetStatus(`Checking ${SPLAT_PATH_LEFT_WING} and ${SPLAT_PATH_RIGHT_WING}...`);
-            
-            Promise.all([
-                fetch(SPLAT_PATH_LEFT_WING).then(r => { if (!r.ok) throw new Error(`Left asset failed: ${r.status}`); return r; }),
-                fetch(SPLAT_PATH_RIGHT_WING).then(r => { if (!r.ok) throw new Error(`Right asset failed: ${r.status}`); return r; })
-            ])
-            .then(() => loadSplatModels())
-            .catch(err => {
-                debugLogger.log('error', `FATAL Asset Load Error: ${err.message}. Falling back to boxes.`);
-                createBoxWings();
-            });
-            isSplatAttempted = true; 
-        } else {
-            createBoxWings();
+    setupSettingsPanel(settingsStore, (type, message) => debugLogger.log(type, message));
+}
+
+// --- BODY CALIBRATION & PROFILES ---
+// Offered after START AR: pick a saved body profile, or calibrate (T-pose, then arms down)
+
+function setupCalibration() {
+    const startBtn = document.getElementById('calibration-start-btn');
+    const closeBtn = document.getElementById('calibration-close-btn');
+    const useBtn = document.getElementById('calibration-use-btn');
+    const deleteBtn = document.getElementById('calibration-delete-btn');
+    const saveBtn = document.getElementById('calibration-save-btn');
+    const profileSelect = document.getElementById('calibration-profile-select');
+    const nameInput = document.getElementById('calibration-name-input');
+    const openBtn = document.getElementById('settings-calibrate');
+    if (!startBtn) return;
+
+    startBtn.addEventListener('click', runCalibration);
+    closeBtn.addEventListener('click', () => {
+        hideCalibration(); // Before cancelling, so runCalibration knows it was closed on purpose
+        session.cancelCalibration();
+    });
+    useBtn.addEventListener('click', () => {
+        const profile = bodyProfiles.get(profileSelect.value);
+        if (!profile) return;
+        session.applyBodyProfile(profile);
+        bodyProfiles.setActive(profileSelect.value);
+        debugLogger.log('success', `Body profile "${profileSelect.value}" applied`);
+        hideCalibration();
+    });
+    deleteBtn.addEventListener('click', () => {
+        if (!profileSelect.value) return;
+        bodyProfiles.delete(profileSelect.value);
+        debugLogger.log('info', `Body profile "${profileSelect.value}" deleted`);
+        showCalibrationChooser();
+    });
+    saveBtn.addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        if (!name || !calibrationResult) return;
+        try {
+            bodyProfiles.save(name, calibrationResult);
+            debugLogger.log('success', `Body profile "${name}" saved`);
+            hideCalibration();
+        } catch (err) {
+            debugLogger.log('error', `Body profile not saved: ${err.message}`);
         }
-    } else {
-        if (wingsGroup && !scene.children.includes(wingsGroup)) scene.add(wingsGroup);
+    });
+    if (openBtn) {
+        openBtn.addEventListener('click', () => {
+            if (session.state === 'running') showCalibrationChooser();
+            else debugLogger.log('warning', 'Start the camera before calibrating');
+        });
     }
+
+    session.on('calibration', ({ state, step, stepIndex, holding, progress }) => {
+        if (state !== 'running') return;
+        setCalibrationPrompt(`${stepIndex + 1}/${CALIBRATION_STEPS.length}: ${step.prompt}${holding ? ' - hold it...' : ''}`);
+        document.getElementById('calibration-progress-bar').style.width = `${Math.round(progress * 100)}%`;
+    });
 }
-// === END SETUP THREE.JS ===
 
-// --- ASSET LOADING AND FALLBACK (UNCHANGED) ---
+// Shows only the given parts of the calibration panel
+function showCalibrationParts({ profiles = false, progress = false, save = false, start = null, close = 'Skip' }) {
+    document.getElementById('calibration-profiles').classList.toggle('hidden', !profiles);
+    document.getElementById('calibration-progress').classList.toggle('hidden', !progress);
+    document.getElementById('calibration-save').classList.toggle('hidden', !save);
+    const startBtn = document.getElementById('calibration-start-btn');
+    startBtn.classList.toggle('hidden', !start);
+    if (start) startBtn.textContent = start;
+    document.getElementById('calibration-close-btn').textContent = close;
+    document.getElementById('calibration-panel').classList.remove('hidden');
+}
 
-function loadSplatModels() {
-    if (wingsAssetLeft) wingsGroup.remove(wingsAssetLeft);
-    if (wingsAssetRight) wingsGroup.remove(wingsAssetRight);
-    
-    debugLogger.updateAssetStatus('Loading Gaussian Splats...');
+function setCalibrationPrompt(text) {
+    document.getElementById('calibration-prompt').textContent = text;
+}
 
-    try {
-        wingsAssetLeft = new SplatMesh({ 
-            url: SPLAT_PATH_LEFT_WING, 
-            fileType: 'ksplat', 
-            onLoad: (mesh) => {
-                mesh.scale.set(1, 1, -1); 
-                checkSplatDataReady();
-            }
-        });
-        wingsAssetLeft.visible = false;
-        wingsAssetLeft.renderOrder = 1; 
-        wingsGroup.add(wingsAssetLeft);
-        
-        wingsAssetRight = new SplatMesh({ 
-            url: SPLAT_PATH_RIGHT_WING, 
-            fileType: 'ksplat', 
-            onLoad: (mesh) => {
-                mesh.scale.set(1, 1, -1); 
-                checkSplatDataReady();
-            }
-        });
-        wingsAssetRight.visible = false;
-        wingsAssetRight.renderOrder = 1; 
-        wingsGroup.add(wingsAssetRight);
-        
-    } catch (err) {
-        debugLogger.log('error', `Splat instantiation error: ${err.message}. Falling back to boxes.`);
-        createBoxWings();
+function showCalibrationChooser() {
+    const profileSelect = document.getElementById('calibration-profile-select');
+    if (!profileSelect) return;
+    const names = bodyProfiles.list();
+    profileSelect.innerHTML = '';
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        profileSelect.appendChild(option);
+    });
+    const active = bodyProfiles.getActive();
+    if (active && names.includes(active)) profileSelect.value = active;
+
+    setCalibrationPrompt(names.length > 0
+        ? 'Welcome back - pick your body profile, or calibrate again.'
+        : 'Calibrate so the wings fit your body (about 5 seconds).');
+    showCalibrationParts({ profiles: names.length > 0, start: 'Calibrate' });
+}
+
+function describeCalibration({ measurements, settings, source }) {
+    const scale = `Wing scale x${settings.wingScaleMultiplier.toFixed(2)}`;
+    if (source === '3d') {
+        const { shoulderWidth, torsoLength, wristSpan } = measurements;
+        return `Shoulders ${shoulderWidth.toFixed(2)} m, torso ${torsoLength.toFixed(2)} m, wrist span ${wristSpan.toFixed(2)} m. ${scale}.`;
     }
+    return `Arm span ${measurements.spanToShoulder.toFixed(1)}x your shoulder width. ${scale}, wing spacing and height from your proportions; ` +
+        'depth settings stay at their defaults (measuring them needs a BlazePose model).';
+}
+
+function hideCalibration() {
+    const panel = document.getElementById('calibration-panel');
+    if (panel) panel.classList.add('hidden');
 }
 
-let loadedCount = 0;
-function checkSplatDataReady() {
-    loadedCount++;
-    if (loadedCount === 2) {
-        isSplatDataReady = true; 
-        debugLogger.log('success', 'Gaussian Splat data loaded and ready!');
-        debugLogger.updateAssetStatus('Gaussian Splats active');
-        loadedCount = 0; 
+async function runCalibration() {
+    calibrationResult = null;
+    document.getElementById('calibration-progress-bar').style.width = '0%';
+    showCalibrationParts({ progress: true, close: 'Cancel' });
+
+    const result = await session.calibrate();
+    if (document.getElementById('calibration-panel').classList.contains('hidden')) return; // Closed by the user
+
+    if (!result) {
+        setCalibrationPrompt('Calibration did not finish. Stand back so your head, hands and hips are all in view, then retry.');
+        showCalibrationParts({ start: 'Retry' });
+        return;
     }
+
+    calibrationResult = result;
+    session.applyBodyProfile(result);
+    setCalibrationPrompt(`${describeCalibration(result)} Save it to skip this next time.`);
+    showCalibrationParts({ save: true, start: 'Recalibrate', close: 'Done' });
 }
 
-function createBoxWings() {
-    if (wingsAssetLeft) wingsGroup.remove(wingsAssetLeft);
-    if (wingsAssetRight) wingsGroup.remove(wingsAssetRight);
+// --- SESSION RECORDING ---
 
-    const wingGeometry = new THREE.BoxGeometry(0.5, 0.8, 0.08); 
-    const wingMaterial = new THREE.MeshBasicMaterial({ color: 0x00ccff, transparent: true, opacity: 0.8 });
+function setupSessionRecording() {
+    const recordBtn = document.getElementById('record-session-btn');
+    const exportJsonBtn = document.getElementById('export-session-json');
+    const exportCsvBtn = document.getElementById('export-session-csv');
+    if (!recordBtn) return;
 
-    wingsAssetLeft = new THREE.Mesh(wingGeometry, wingMaterial);
-    wingsAssetRight = new THREE.Mesh(wingGeometry.clone(), wingMaterial.clone());
+    recordBtn.addEventListener('click', () => {
+        if (sessionRecorder.isRecording) {
+            sessionRecorder.stop();
+            debugLogger.log('success', `Session recording stopped (${sessionRecorder.frameCount} frames)`);
+        } else {
+            sessionRecorder.start({
+                cameraMode: session.cameraMode,
+                videoWidth: session.sourceSize.width,
+                videoHeight: session.sourceSize.height,
+                poseModel: session.detectorSpec ? session.detectorSpec.id : null,
+                detector: session.detector ? session.detector.kind : null,
+                tfBackend: session.detector ? session.detector.backend : null
+            });
+            debugLogger.log('info', 'Session recording started');
+        }
+        recordBtn.textContent = sessionRecorder.isRecording ? 'Stop' : 'Record';
+        updateRecordingStatus();
+    });
 
-    wingsGroup.add(wingsAssetLeft);
-    wingsGroup.add(wingsAssetRight);
+    const exportSession = (format) => {
+        if (!sessionRecorder.hasData) {
+            debugLogger.log('warning', 'Nothing recorded yet');
+            return;
+        }
+        sessionRecorder.download(format);
+        debugLogger.log('success', `Session exported as ${format.toUpperCase()}`);
+    };
+    exportJsonBtn.addEventListener('click', () => exportSession('json'));
+    exportCsvBtn.addEventListener('click', () => exportSession('csv'));
+}
 
-    wingsAssetLeft.visible = false;
-    wingsAssetRight.visible = false;
-    isSplatAttempted = false;
-    isSplatDataReady = true; 
-    
-    debugLogger.updateAssetStatus('Box placeholder active (Fallback)');
+function updateRecordingStatus() {
+    const state = sessionRecorder.isRecording ? 'REC' : 'Idle';
+    debugLogger.updateRecordingStatus(`${state} (${sessionRecorder.frameCount} frames)`);
 }
 
-// === MAIN RENDER LOOP (OPTIMIZED AND CORRECTED) ===
-async function renderLoop() {
-    if (!isRunning) return;
+// --- PHOTO & VIDEO CAPTURE ---
+
+function setupCaptureControls() {
+    arCapture = new ARCapture({
+        getRendererCanvas: () => session.renderer.domElement,
+        getOverlayCanvas: () => session.overlayCanvas,
+        isRendering: () => session.state === 'running',
+        countdownElement: document.getElementById('capture-countdown')
+    });
 
-    requestAnimationFrame(renderLoop);
+    const photoBtn = document.getElementById('capture-photo-btn');
+    const recordBtn = document.getElementById('capture-record-btn');
+    const overlayToggle = document.getElementById('capture-overlay-toggle');
+    if (!photoBtn || !recordBtn) return;
 
-    // FPS Counter
-    frameCount++;
-    const now = Date.now();
-    if (now - lastFpsUpdate >= 1000) {
-        const fps = frameCount / ((now - lastFpsUpdate) / 1000);
-        debugLogger.updateFPS(fps);
-        frameCount = 0;
-        lastFpsUpdate = now;
+    if (overlayToggle) {
+        overlayToggle.checked = arCapture.options.includeOverlay;
+        overlayToggle.addEventListener('change', () => { arCapture.options.includeOverlay = overlayToggle.checked; });
     }
 
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    photoBtn.addEventListener('click', () => capturePhoto(false));
 
-    let wingsShouldBeVisible = false;
-    let currentPoseKeypoints = lastGoodPoseKeypoints; // Start with the last known data
+    // Pausing or stopping the session ends any wait for a frame
+    session.on('state', ({ state }) => {
+        if (state !== 'running') arCapture.onRenderingStopped();
+    });
 
-    // --- 1. THROTTLED POSE DETECTION ---
-    if (video.readyState >= video.HAVE_ENOUGH_DATA && poseModel) {
-        poseDetectionFrameCounter++;
+    let clipPending = false; // From the countdown until the clip is saved
+    recordBtn.addEventListener('click', async () => {
+        if (clipPending) {
+            if (arCapture.isRecording) arCapture.stopRecording();
+            else arCapture.cancelCountdown();
+            return;
+        }
+        if (arCapture.isBusy || !session.renderer) return;
+        clipPending = true;
+        try {
+            const clip = arCapture.record();
+            recordBtn.textContent = 'Stop';
+            recordBtn.classList.add('recording');
+            const blob = await clip;
+            if (!blob) {
+                debugLogger.log('info', 'Recording cancelled');
+                return;
+            }
+            debugLogger.log('success', `Recorded ${(blob.size / 1024 / 1024).toFixed(1)} MB clip (${blob.type})`);
+            const result = await shareOrDownload(blob, 'ar-wings-video');
+            debugLogger.log('info', `Video ${result}`);
+        } catch (err) {
+            debugLogger.log('error', `Recording failed: ${err.message}`);
+        } finally {
+            clipPending = false;
+            recordBtn.textContent = 'Record';
+            recordBtn.classList.remove('recording');
+        }
+    });
+}
+
+async function capturePhoto(withCountdown) {
+    if (!arCapture || arCapture.countingDown || !session.renderer) return;
+    try {
+        const blob = await arCapture.takePhoto({ countdown: withCountdown });
+        if (!blob) return; // Countdown cancelled
+        const result = await shareOrDownload(blob, 'ar-wings-photo');
+        debugLogger.log('success', `Photo ${result} (${(blob.size / 1024).toFixed(0)} KB)`);
+    } catch (err) {
+        debugLogger.log('error', `Photo capture failed: ${err.message}`);
+    }
+}
+
+function showCaptureControls() {
+    const controls = document.getElementById('capture-controls');
+    if (controls) controls.classList.remove('hidden');
+}
 
-        // Run the expensive AI operation only every N frames
-        if (poseDetectionFrameCounter >= POSE_DETECTION_SKIP_FRAMES) {
-            poseDetectionFrameCounter = 0; // Reset counter
+// --- PERSON OCCLUSION ---
+
+function setupOcclusionControls() {
+    const occlusionBtn = document.getElementById('toggle-occlusion-btn');
+    const maskBtn = document.getElementById('toggle-mask-view-btn');
+    if (!occlusionBtn || !maskBtn) return;
+    const occluder = session.occluder;
+
+    occlusionBtn.addEventListener('click', async () => {
+        const enable = !occluder.enabled;
+        if (enable && !occluder.isLoaded) {
+            occlusionBtn.disabled = true;
+            debugLogger.log('info', 'Loading body segmentation model...');
             try {
-                const newPoses = await poseModel.estimatePoses(video);
-
-                if (newPoses.length > 0) {
-                    const potentialKeypoints = newPoses[0].keypoints;
-                    const leftShoulder = potentialKeypoints.find(kp => kp.name === 'left_shoulder');
-                    const rightShoulder = potentialKeypoints.find(kp => kp.name === 'right_shoulder');
-                    
-                    // Only update and store if detection is high confidence
-                    if (leftShoulder && rightShoulder && leftShoulder.score > 0.4 && rightShoulder.score > 0.4) {
-                        lastGoodPoseKeypoints = potentialKeypoints; // 👈 Store the good data
-                        currentPoseKeypoints = potentialKeypoints; // Use the fresh data for this frame
-                        debugLogger.updatePoseStatus(`Detected (L:${leftShoulder.score.toFixed(2)}, R:${rightShoulder.score.toFixed(2)})`);
-                    } else {
-                        // Confidence is low, clear the stored pose
-                        lastGoodPoseKeypoints = null;
-                        currentPoseKeypoints = null;
-                        debugLogger.updatePoseStatus('Low confidence / Person too far');
-                    }
-                } else {
-                    // No person detected in this AI run
-                    lastGoodPoseKeypoints = null;
-                    currentPoseKeypoints = null;
-                    debugLogger.updatePoseStatus('No person detected');
-                }
+                await occluder.load();
+                debugLogger.log('success', 'Body segmentation model loaded');
             } catch (err) {
-                debugLogger.log('error', `Pose detection error: ${err.message}`);
-                // On error, let the wings fade out
-                lastGoodPoseKeypoints = null;
-                currentPoseKeypoints = null;
+                debugLogger.log('error', `Segmentation model failed: ${err.message}`);
+                occlusionBtn.disabled = false;
+                return;
             }
+            occlusionBtn.disabled = false;
         }
+        occluder.setEnabled(enable);
+        occlusionBtn.textContent = `Occlusion: ${enable ? 'On' : 'Off'}`;
+    });
+
+    maskBtn.addEventListener('click', () => {
+        occluder.showDebugMask = !occluder.showDebugMask;
+        maskBtn.textContent = `Mask: ${occluder.showDebugMask ? 'On' : 'Off'}`;
+    });
+}
+
+// Same as pressing the button, so the label and model loading stay in one place
+function toggleOcclusion() {
+    const occlusionBtn = document.getElementById('toggle-occlusion-btn');
+    if (occlusionBtn && !occlusionBtn.disabled) occlusionBtn.click();
+}
+
+// --- REPLAY (recorded keypoints or a video file instead of the camera) ---
+
+async function createReplaySource(file) {
+    const isJson = file.type === 'application/json' || file.name.toLowerCase().endsWith('.json');
+    if (isJson) {
+        const recording = parseKeypointRecording(await file.text());
+        debugLogger.log('success', `Loaded keypoint recording ${file.name} (${recording.frames.length} frames)`);
+        return new KeypointReplay(recording);
     }
-    // --- END THROTTLED DETECTION ---
-
-
-    // --- 2. POSITIONING AND RENDERING LOGIC (Runs EVERY FRAME) ---
-    if (currentPoseKeypoints && isSplatDataReady) {
-
-        wingsShouldBeVisible = true;
-        
-        const keypoints = currentPoseKeypoints; 
-        const leftShoulder = keypoints.find(kp => kp.name === 'left_shoulder');
-        const rightShoulder = keypoints.find(kp => kp.name === 'right_shoulder');
-
-        // 1. CALCULATE GROUP POSITION
-        const avgShoulderX = (leftShoulder.x + rightShoulder.x) / 2;
-        const avgShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
-        
-        positionWingsGroup(wingsGroup, avgShoulderX, avgShoulderY);
-        
-        // 2. CALCULATE DYNAMIC WING OFFSET 
-        const normX = (coord, dim) => (coord / dim) * 2 - 1;
-        
-        const normXLeft = normX(leftShoulder.x, video.videoWidth);
-        const normXRight = normX(rightShoulder.x, video.videoWidth);
-        
-        let sxL = normXLeft;
-        let sxR = normXRight;
-        if (CAMERA_MODE === 'user') {
-            sxL = -sxL;
-            sxR = -sxR;
-        }
-        
-        const normalizedShoulderDistance = Math.abs(sxR - sxL);
-        let wingRootOffset = (normalizedShoulderDistance / 2.0) * SHOULDER_PIVOT_MULTIPLIER;
-        currentHorizontalOffset = Math.max(wingRootOffset, MIN_HORIZONTAL_OFFSET);
-        
-        // 3. CALCULATE GROUP ROTATION
-        const yDiff = leftShoulder.y - rightShoulder.y; 
-        let targetRotX = (yDiff / Y_DIFFERENCE_SENSITIVITY) * MAX_X_ROTATION;
-        targetRotX = THREE.MathUtils.clamp(targetRotX, -MAX_X_ROTATION, MAX_X_ROTATION);
-        
-        if (CAMERA_MODE === 'user') {
-            targetRotX = -targetRotX; 
+    if (file.type.startsWith('video/')) {
+        debugLogger.log('success', `Loaded replay video ${file.name}`);
+        return new VideoFileReplay(session.video, file);
+    }
+    throw new Error(`${file.name} is neither a video nor a keypoint JSON recording`);
+}
+
+function setupReplayControls() {
+    const controls = document.getElementById('replay-controls');
+    if (!controls || !replaySource) return;
+    controls.classList.remove('hidden');
+
+    const playBtn = document.getElementById('replay-play-btn');
+    const updatePlayLabel = () => { playBtn.textContent = replaySource.isPlaying ? 'Pause' : 'Play'; };
+    playBtn.addEventListener('click', async () => {
+        if (replaySource.isPlaying) {
+            replaySource.pause();
+        } else {
+            await replaySource.play();
         }
-        
-        // Apply smoothing to rotation and position
-        wingsGroup.rotation.x += (targetRotX - wingsGroup.rotation.x) * SMOOTHING_FACTOR;
+        updatePlayLabel();
+    });
+    document.getElementById('replay-step-btn').addEventListener('click', () => {
+        replaySource.step();
+        // Force detection on the next frame so a step is visible immediately
+        session.detectNextFrame();
+        updatePlayLabel();
+    });
+    const loopToggle = document.getElementById('replay-loop-toggle');
+    loopToggle.checked = replaySource.loop;
+    loopToggle.addEventListener('change', () => replaySource.setLoop(loopToggle.checked));
+    document.getElementById('replay-camera-btn').addEventListener('click', backToCamera);
+    updatePlayLabel();
+}
+
+// Drops the replay and restarts the live camera with fresh tracking
+async function backToCamera() {
+    document.getElementById('replay-controls').classList.add('hidden');
+    replaySource = null;
+    debugLogger.log('info', 'Replay closed - switching back to the camera');
+    if (await session.useCamera()) showCameraControls();
+}
+
+function updateReplayTime() {
+    const timeLabel = document.getElementById('replay-time');
+    if (timeLabel && replaySource) {
+        timeLabel.textContent = `${(replaySource.currentTime / 1000).toFixed(2)}s / ${(replaySource.duration / 1000).toFixed(2)}s`;
+    }
+}
+
+// --- WING STYLE PICKER ---
+
+function setupWingStylePicker() {
+    WING_CATALOG.warnings.forEach(warning => debugLogger.log('warning', `Wing catalog: ${warning}`));
+
+    const picker = document.getElementById('wing-style-picker');
+    if (!picker) return;
+    WING_CATALOG.styles.forEach(style => {
+        const option = document.createElement('option');
+        option.value = style.id;
+        option.textContent = style.name;
+        picker.appendChild(option);
+    });
+    picker.value = session.currentStyle.id;
+    picker.addEventListener('change', () => setWingStyle(picker.value));
+}
 
-        // 4. POSITION INDIVIDUAL WINGS 
-        positionIndividualWing(wingsAssetLeft, 'left');
-        positionIndividualWing(wingsAssetRight, 'right');
+// One checkbox per catalog accessory; any combination can be worn at once
+function setupAccessoryToggles() {
+    ACCESSORY_CATALOG.warnings.forEach(warning => debugLogger.log('warning', `Accessory catalog: ${warning}`));
+
+    const container = document.getElementById('accessory-toggles');
+    if (!container) return;
+    const active = new Set(session.getAccessories().map(accessory => accessory.id));
+    ACCESSORY_CATALOG.accessories.forEach(accessory => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = accessory.id;
+        checkbox.checked = active.has(accessory.id);
+        checkbox.addEventListener('change', () => {
+            const ids = Array.from(container.querySelectorAll('input:checked')).map(input => input.value);
+            session.setAccessories(ids);
+        });
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${accessory.name} `));
+        container.appendChild(label);
+    });
+
+    // Changes from gestures (or other code) show up in the checkboxes too
+    session.on('accessories', ({ accessories }) => {
+        const ids = new Set(accessories.map(accessory => accessory.id));
+        container.querySelectorAll('input').forEach(input => { input.checked = ids.has(input.value); });
+    });
+}
+
+function toggleAccessories() {
+    const active = session.getAccessories().map(accessory => accessory.id);
+    if (active.length > 0) lastAccessoryIds = active;
+    session.setAccessories(active.length > 0 ? [] : lastAccessoryIds);
+}
 
-        // Draw debug points on the canvas 
-        drawDebugPoints(ctx, [leftShoulder, rightShoulder]); 
+function hideAssetProgress() {
+    const bar = document.getElementById('asset-progress');
+    if (bar) bar.classList.add('hidden');
+}
 
-        debugLogger.updatePositionStatus(wingsAssetLeft.position, wingsAssetLeft.rotation, wingsAssetRight.position, wingsAssetRight.rotation);
-    } 
+// --- DIAGNOSTICS (mini graph, stage summary, JSON report) ---
 
-    // --- 3. FINAL VISIBILITY & RENDER ---
-    if (wingsAssetLeft && wingsAssetRight) {
-        // Toggle visibility based on whether we have a good pose
-        wingsAssetLeft.visible = wingsShouldBeVisible;
-        wingsAssetRight.visible = wingsShouldBeVisible;
+function setupDiagnostics() {
+    const exportBtn = document.getElementById('export-diagnostics');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            const report = diagnostics.download(session.getDiagnosticsReport());
+            debugLogger.log('success', `Diagnostics report exported (${report.frames.length} frames, ${report.log.length} log records)`);
+        });
     }
 
-    if (threeRendererInstance) {
-        if (videoBackgroundPlane && videoBackgroundPlane.material.map) {
-            videoBackgroundPlane.material.map.needsUpdate = true;
-        }
-        threeRendererInstance.render(scene, camera);
-    }
-}
-// === END MAIN RENDER LOOP ===
-
-// === GROUP POSITIONING FUNCTION (UNCHANGED) ===
-function positionWingsGroup(group, avgKeypointX, avgKeypointY) {
-    const depth = TEST_DEPTH_Z; 
-    
-    const normX = (coord, dim) => (coord / dim) * 2 - 1;
-    const normY = (coord, dim) => -(coord / dim) * 2 + 1; 
-
-    let targetX = normX(avgKeypointX, video.videoWidth);
-    let targetY = normY(avgKeypointY, video.videoHeight);
-    let targetZ = depth; 
-
-    if (CAMERA_MODE === 'user') {
-        targetX = -targetX; 
-    }
-    
-    targetY -= (WING_VERTICAL_SHIFT * 1.0); 
-    targetZ += BACK_OFFSET_Z; 
-
-    // Apply Smoothing and set Position for the GROUP
-    smoothedGroupPosition.x = smoothedGroupPosition.x + (targetX - smoothedGroupPosition.x) * SMOOTHING_FACTOR;
-    smoothedGroupPosition.y = smoothedGroupPosition.y + (targetY - smoothedGroupPosition.y) * SMOOTHING_FACTOR;
-    smoothedGroupPosition.z = smoothedGroupPosition.z + (targetZ - smoothedGroupPosition.z) * SMOOTHING_FACTOR;
-    
-    group.position.set(smoothedGroupPosition.x, smoothedGroupPosition.y, smoothedGroupPosition.z);
-}
-
-// === INDIVIDUAL WING POSITIONING FUNCTION (UNCHANGED) ===
-function positionIndividualWing(wing, side) {
-    
-    const FIXED_SCALE = 1.0; 
-    
-    if (side === 'left') {
-        wing.position.set(currentHorizontalOffset * FIXED_SCALE, 0, 0); 
-    } else if (side === 'right') {
-        wing.position.set(-currentHorizontalOffset * FIXED_SCALE, 0, 0); 
-    }
-    
-    let finalScaleFactor = wing instanceof SplatMesh ? currentWingScale : 1.2; 
-    wing.scale.set(finalScaleFactor, finalScaleFactor, finalScaleFactor * 1.5); 
-
-    const baseRotX = -Math.PI * 0.2; 
-    const baseRotY = Math.PI; 
-    let targetRotZ = 0;
-    
-    if (side === 'left') {
-        targetRotZ = Math.PI + SPLAY_ANGLE;
-    } else if (side === 'right') {
-        targetRotZ = -Math.PI - SPLAY_ANGLE;
-    }
-    
-    wing.rotation.set(baseRotX, baseRotY, targetRotZ);
-}
-
-// Draw Debug Points (OPTIMIZED)
-function drawDebugPoints(ctx, keypoints) {
-    
-    ctx.fillStyle = '#00ff88'; 
-    keypoints.forEach(kp => {
-        if (kp.score > 0.4) {
-            let x = kp.x;
-            const y = kp.y;
-            
-            if (CAMERA_MODE === 'user') {
-                x = canvas.width - x;
-            }
-            
-            ctx.beginPath();
-            ctx.arc(x, y, 5, 0, Math.PI * 2);
-            ctx.fill();
-        }
+    const graph = document.getElementById('diagnostics-graph');
+    const panel = document.getElementById('debug-panel');
+    if (!graph || !panel) return;
+    const ctx = graph.getContext('2d');
+    session.on('render', ({ time }) => {
+        // A few redraws a second, and only while the panel is open
+        if (panel.classList.contains('minimized') || time - lastGraphDraw < 250) return;
+        lastGraphDraw = time;
+        drawDiagnosticsGraph(ctx, diagnostics, { budgetMs: 1000 / settingsStore.get('targetFps') });
     });
 }
 
+function updateDiagnosticsStatus() {
+    const status = document.getElementById('diagnostics-status');
+    if (!status) return;
+    const summary = diagnostics.getSummary(60);
+    const stages = Object.entries(summary.stages).map(([stage, stats]) => `${stage} ${stats.mean.toFixed(1)}`).join(' · ');
+    const memory = Object.values(diagnostics.latestMemory())
+        .map(sample => `${sample.source} ${sample.numTensors}t/${(sample.numBytes / (1024 * 1024)).toFixed(1)}MB`).join(', ');
+    const inference = summary.inference ? ` | infer ${summary.inference.mean.toFixed(0)}ms` : '';
+    status.textContent = `${stages} ms${inference}${memory ? ` | TF ${memory}` : ''}`;
+}
+
+// --- GESTURE FEEDBACK ---
+
+function showGestureFeedback({ type, gesture, progress }) {
+    const box = document.getElementById('gesture-feedback');
+    if (!box) return;
+    const action = GESTURE_ACTIONS[gesture.id];
+    if (type === 'cancelled') {
+        if (!box.classList.contains('done')) box.classList.add('hidden');
+        return;
+    }
+
+    clearTimeout(gestureFeedbackTimer);
+    const done = type === 'recognized';
+    document.getElementById('gesture-feedback-text').textContent = done
+        ? `✓ ${action ? action.label : gesture.name}`
+        : `${gesture.name}${action ? ` → ${action.label}` : ''}`;
+    document.getElementById('gesture-feedback-bar').style.width = `${Math.round(progress * 100)}%`;
+    box.classList.toggle('done', done);
+    box.classList.remove('hidden');
+    if (done) gestureFeedbackTimer = setTimeout(() => box.classList.add('hidden'), 1200);
+}
+
+function showWingStylePicker() {
+    const picker = document.getElementById('wing-style-picker');
+    if (picker && WING_CATALOG.styles.length > 1) picker.style.display = 'block';
+}
+
+function cycleWingStyle() {
+    const styles = WING_CATALOG.styles;
+    const index = styles.findIndex(style => style.id === session.currentStyle.id);
+    applyWingStyle(styles[(index + 1) % styles.length].id);
+}
+
+function setWingStyle(id) {
+    applyWingStyle(localWingStyles.find(s => s.id === id) || id);
+}
+
+// Catalog id or style object; the session swaps the wings while the camera keeps running
+function applyWingStyle(styleOrId) {
+    try {
+        session.setAsset(styleOrId);
+    } catch (err) {
+        debugLogger.log('error', err.message);
+        return;
+    }
+    const picker = document.getElementById('wing-style-picker');
+    if (picker) picker.value = session.currentStyle.id;
+}
+
+// --- LOCAL WING FILES (pick or drag-and-drop) ---
+
+const localWingStyles = []; // Only the latest local style is kept; its blob URLs stay alive while listed
+
+function setupLocalWingLoading() {
+    const modeSelect = document.getElementById('local-wing-mode');
+    const fileInput = document.getElementById('local-wing-input');
+    const loadBtn = document.getElementById('local-wing-btn');
+    if (modeSelect) {
+        LOCAL_WING_MODES.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = mode;
+            modeSelect.appendChild(option);
+        });
+    }
+    if (fileInput && loadBtn) {
+        fileInput.accept = SPLAT_FILE_ACCEPT;
+        loadBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            loadLocalWingFiles(fileInput.files);
+            fileInput.value = '';
+        });
+    }
+
+    // Dropping anywhere on the page loads the files as wings
+    const dropOverlay = document.getElementById('drop-overlay');
+    const hasFiles = (event) => event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files');
+    window.addEventListener('dragover', (event) => {
+        if (!hasFiles(event)) return;
+        event.preventDefault();
+        if (dropOverlay) dropOverlay.classList.remove('hidden');
+    });
+    window.addEventListener('dragleave', (event) => {
+        if (dropOverlay && event.relatedTarget === null) dropOverlay.classList.add('hidden');
+    });
+    window.addEventListener('drop', (event) => {
+        if (!hasFiles(event)) return;
+        event.preventDefault();
+        if (dropOverlay) dropOverlay.classList.add('hidden');
+        loadLocalWingFiles(event.dataTransfer.files);
+    });
+}
+
+async function loadLocalWingFiles(fileList) {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    const modeSelect = document.getElementById('local-wing-mode');
+    const mode = modeSelect ? modeSelect.value : 'mirrored';
+
+    let identified;
+    try {
+        identified = await Promise.all(files.map(async file => {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            const { format, detectedFrom } = identifySplatFile(bytes, file.name);
+            debugLogger.log('info', `${file.name}: ${format} (from ${detectedFrom}, ${(bytes.length / 1024).toFixed(0)} KB)`);
+            return { file, format };
+        }));
+    } catch (err) {
+        debugLogger.log('error', `Local wing file rejected: ${err.message}`);
+        return;
+    }
+
+    const entries = identified.map(({ file, format }) => ({ url: URL.createObjectURL(file), name: file.name, format }));
+    let style;
+    try {
+        style = createLocalWingStyle(entries, mode, session.currentStyle);
+    } catch (err) {
+        entries.forEach(entry => URL.revokeObjectURL(entry.url));
+        debugLogger.log('error', `Local wing file rejected: ${err.message}`);
+        return;
+    }
+
+    // Replace the previous local style (keeping any blob URL the new one still uses)
+    const stillUsed = new Set(getWingStyleUrls(style));
+    localWingStyles.splice(0).forEach(old => {
+        getWingStyleUrls(old).forEach(url => { if (url.startsWith('blob:') && !stillUsed.has(url)) URL.revokeObjectURL(url); });
+        const oldOption = document.querySelector(`#wing-style-picker option[value="${old.id}"]`);
+        if (oldOption) oldOption.remove();
+    });
+    localWingStyles.push(style);
+
+    const picker = document.getElementById('wing-style-picker');
+    if (picker) {
+        const option = document.createElement('option');
+        option.value = style.id;
+        option.textContent = style.name;
+        picker.appendChild(option);
+    }
+    debugLogger.log('success', `Loading local wings: ${style.name} (${style.layout})`);
+    applyWingStyle(style);
+}
+
 // === START WHEN PAGE LOADS (UNCHANGED) ===
 window.addEventListener('DOMContentLoaded', () => {
     init();
-});
\ No newline at end of file
+});
@@ -0,0 +1,176 @@
+// === SESSION RECORDER ===
+// Captures every pose detection result (with keypoint scores) and the solved
+// wing transforms for each rendered frame, so jitter and mis-tracking seen in
+// the field can be exported and inspected later. The JSON export uses the same
+// format poseReplay.js reads, so a recording can be replayed directly.
+
+import { SESSION_FORMAT, SESSION_FORMAT_VERSION } from './poseReplay.js';
+
+// MoveNet / COCO keypoint order, used for stable CSV columns
+export const MOVENET_KEYPOINT_NAMES = [
+    'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
+    'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
+    'left_wrist', 'right_wrist', 'left_hip', 'right_hip',
+    'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
+];
+
+const DEFAULT_MAX_FRAMES = 60 * 60 * 15; // ~15 minutes at 60 FPS
+
+const snapshotPose = (pose) => {
+    const snapshot = {
+        score: pose.score,
+        id: pose.id,
+        keypoints: pose.keypoints.map(kp => ({ name: kp.name, x: kp.x, y: kp.y, score: kp.score }))
+    };
+    // BlazePose world keypoints (metres); replays need them for the 3D orientation
+    if (pose.keypoints3D) {
+        snapshot.keypoints3D = pose.keypoints3D.map(kp => ({ name: kp.name, x: kp.x, y: kp.y, z: kp.z, score: kp.score }));
+    }
+    return snapshot;
+};
+
+const snapshotTransform = (t) => ({
+    position: { ...t.position },
+    rotation: { ...t.rotation },
+    scale: { ...t.scale }
+});
+
+export class SessionRecorder {
+    constructor({ maxFrames = DEFAULT_MAX_FRAMES, now = () => performance.now() } = {}) {
+        this.maxFrames = maxFrames;
+        this.now = now;
+        this.isRecording = false;
+        this.reset();
+    }
+
+    reset() {
+        this.meta = null;
+        this.frames = [];
+        this.sourceChanges = [];
+        this.startTime = 0;
+    }
+
+    /**
+     * Starts a new recording, discarding any previous one.
+     * @param {{ cameraMode: string, videoWidth: number, videoHeight: number }} source
+     */
+    start(source) {
+        this.reset();
+        this.meta = { ...source, startedAt: new Date().toISOString() };
+        this.startTime = this.now();
+        this.isRecording = true;
+    }
+
+    stop() {
+        this.isRecording = false;
+    }
+
+    get frameCount() { return this.frames.length; }
+    get hasData() { return this.frames.length > 0; }
+
+    // Camera switches and replay restarts change mirroring and video size mid-session
+    updateSource(source) {
+        if (!this.isRecording) return;
+        this.sourceChanges.push({ t: this.now() - this.startTime, ...source });
+    }
+
+    /**
+     * Records one rendered frame.
+     * @param {object} frame
+     * @param {Array|null} frame.poses - estimatePoses() result, or null when detection did not run this frame.
+     * @param {object|null} frame.transforms - { group, left, right } solver transforms, or null when hidden.
+     * @returns {boolean} false once the frame limit is hit and recording has stopped.
+     */
+    recordFrame({ poses, transforms }) {
+        if (!this.isRecording) return false;
+        if (this.frames.length >= this.maxFrames) {
+            this.stop();
+            return false;
+        }
+
+        // Every frame carries a poses array; `detected: false` marks frames where detection did not
+        // run, which replays skip so the last detection holds (as it did live)
+        const frame = { t: this.now() - this.startTime, detected: Boolean(poses), poses: poses ? poses.map(snapshotPose) : [] };
+        frame.transforms = transforms ? {
+            group: snapshotTransform(transforms.group),
+            left: snapshotTransform(transforms.left),
+            right: snapshotTransform(transforms.right)
+        } : null;
+        this.frames.push(frame);
+        return true;
+    }
+
+    toJSON() {
+        return {
+            format: SESSION_FORMAT,
+            version: SESSION_FORMAT_VERSION,
+            ...this.meta,
+            sourceChanges: this.sourceChanges,
+            frames: this.frames
+        };
+    }
+
+    // One row per frame: first pose's keypoints (x, y, score), its 3D keypoints (x, y, z) when the
+    // recording has any, then group / wing transforms
+    toCSV() {
+        const has3D = this.frames.some(frame => frame.poses.some(pose => pose.keypoints3D));
+        const transformCols = (prefix) => ['position', 'rotation', 'scale']
+            .flatMap(part => ['x', 'y', 'z'].map(axis => `${prefix}_${part}_${axis}`));
+        const header = [
+            't', 'detected', 'pose_count', 'pose_score',
+            ...MOVENET_KEYPOINT_NAMES.flatMap(name => [`${name}_x`, `${name}_y`, `${name}_score`]),
+            ...(has3D ? MOVENET_KEYPOINT_NAMES.flatMap(name => [`${name}_x3d`, `${name}_y3d`, `${name}_z3d`]) : []),
+            ...transformCols('group'), ...transformCols('left'), ...transformCols('right')
+        ];
+
+        const transformValues = (t) => t
+            ? ['position', 'rotation', 'scale'].flatMap(part => [t[part].x, t[part].y, t[part].z])
+            : new Array(9).fill('');
+
+        const rows = this.frames.map(frame => {
+            const pose = frame.poses[0];
+            const keypointValues = MOVENET_KEYPOINT_NAMES.flatMap(name => {
+                const kp = pose && pose.keypoints.find(k => k.name === name);
+                return kp ? [kp.x, kp.y, kp.score] : ['', '', ''];
+            });
+            const keypoint3DValues = has3D ? MOVENET_KEYPOINT_NAMES.flatMap(name => {
+                const kp = pose && pose.keypoints3D && pose.keypoints3D.find(k => k.name === name);
+                return kp ? [kp.x, kp.y, kp.z] : ['', '', ''];
+            }) : [];
+            return [
+                frame.t.toFixed(1),
+                frame.detected ? 1 : 0,
+                frame.detected ? frame.poses.length : '',
+                pose && pose.score !== undefined ? pose.score : '',
+                ...keypointValues,
+                ...keypoint3DValues,
+                ...transformValues(frame.transforms && frame.transforms.group),
+                ...transformValues(frame.transforms && frame.transforms.left),
+                ...transformValues(frame.transforms && frame.transforms.right)
+            ].join(',');
+        });
+
+        return [header.join(','), ...rows].join('\n');
+    }
+
+    // Triggers a browser download of the recording as 'json' or 'csv'
+    download(format = 'json') {
+        const stamp = (this.meta ? this.meta.startedAt : new Date().toISOString()).replace(/[:.]/g, '-');
+        if (format === 'csv') {
+            downloadBlob(new Blob([this.toCSV()], { type: 'text/csv' }), `ar-wings-session-${stamp}.csv`);
+        } else {
+            downloadBlob(new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' }), `ar-wings-session-${stamp}.json`);
+        }
+    }
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,296 @@
+// === RUNTIME SETTINGS ===
+// Every tuning value that used to be a compile-time const, with live updates,
+// URL query overrides (?smoothingFactor=0.4&splayAngle=20), named presets in
+// localStorage and JSON import/export. Values are stored in the units the code
+// uses (radians for angles); URLs, presets and exports use the panel's display
+// units (degrees), so what is on a slider can be copied anywhere.
+
+import { DEFAULT_SOLVER_PARAMS } from './wingSolver.js';
+import { DEFAULT_FILTER_OPTIONS, getKeypointFilterTypes } from './keypointFilters.js';
+import { DEFAULT_POSE_MODEL, POSE_MODELS } from './poseDetector.js';
+import { DEFAULT_TRACKING_OPTIONS } from './trackingState.js';
+import { CAMERA_RESOLUTIONS, DEFAULT_CAMERA_RESOLUTION } from './cameraDevices.js';
+import { VIEWPORT_FITS } from './viewportMapping.js';
+import { DEFAULT_LIGHTING_OPTIONS, LIGHTING_MODES } from './sceneLighting.js';
+
+export const SETTINGS_FORMAT = 'ar-wings-settings';
+export const SETTINGS_FORMAT_VERSION = 1;
+const PRESETS_STORAGE_KEY = 'ar-wings.settings-presets';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// target: 'solver' keys are copied into the wing solver params, 'filter' / 'tracking' / 'lighting'
+// keys into the keypoint filter / tracking state machine / lighting estimator options, 'app' keys are read by the render loop
+const solver = (key, label, group, min, max, step, unit) =>
+    ({ key, label, group, min, max, step, unit, target: 'solver', type: 'range', defaultValue: DEFAULT_SOLVER_PARAMS[key] });
+const solverToggle = (key, label, group) =>
+    ({ key, label, group, target: 'solver', type: 'checkbox', defaultValue: DEFAULT_SOLVER_PARAMS[key] });
+const app = (key, label, group, min, max, step, defaultValue) =>
+    ({ key, label, group, min, max, step, target: 'app', type: 'range', defaultValue });
+// Option keys are stored as target + option name ('filterBeta' -> filter options.beta)
+const optionSetting = (target, group, defaults) => (option, label, min, max, step) => ({
+    key: `${target}${option[0].toUpperCase()}${option.slice(1)}`, option, label, group,
+    min, max, step, target, type: 'range', defaultValue: defaults[option]
+});
+const filter = optionSetting('filter', 'Filtering', DEFAULT_FILTER_OPTIONS);
+const tracking = optionSetting('tracking', 'Tracking', DEFAULT_TRACKING_OPTIONS);
+const lighting = optionSetting('lighting', 'Lighting', DEFAULT_LIGHTING_OPTIONS);
+
+export const SETTINGS_SCHEMA = [
+    // --- Camera ---
+    {
+        key: 'cameraResolution', label: 'Resolution', group: 'Camera',
+        target: 'app', type: 'select', choices: Object.keys(CAMERA_RESOLUTIONS), defaultValue: DEFAULT_CAMERA_RESOLUTION
+    },
+    {
+        // cover fills the screen and crops the video, contain shows all of it letterboxed
+        key: 'viewportFit', label: 'Video fit', group: 'Camera',
+        target: 'app', type: 'select', choices: VIEWPORT_FITS, defaultValue: 'cover'
+    },
+
+    // --- Detection ---
+    {
+        key: 'poseModel', label: 'Pose model', group: 'Detection',
+        target: 'app', type: 'select', choices: Object.keys(POSE_MODELS), defaultValue: DEFAULT_POSE_MODEL
+    },
+    {
+        key: 'adaptiveQuality', label: 'Adaptive quality', group: 'Detection',
+        target: 'app', type: 'checkbox', defaultValue: true
+    },
+    app('targetFps', 'Target FPS', 'Detection', 15, 60, 5, 30),
+    app('poseDetectionSkipFrames', 'Pose every N frames (manual)', 'Detection', 1, 10, 1, 3),
+    app('segmentationSkipFrames', 'Mask every N frames', 'Detection', 1, 20, 1, 6),
+    solver('minShoulderScore', 'Shoulder confidence', 'Detection', 0.05, 0.95, 0.05),
+    solver('minArmScore', 'Arm confidence', 'Detection', 0.05, 0.95, 0.05),
+
+    // --- Gestures (gestureRecognizer.js) ---
+    {
+        key: 'gestureControl', label: 'Gesture commands', group: 'Gestures',
+        target: 'app', type: 'checkbox', defaultValue: true
+    },
+
+    // --- Lighting (sceneLighting.js); manual = the two manual values instead of the camera's light ---
+    {
+        key: 'lightingMode', option: 'mode', label: 'Wing lighting', group: 'Lighting',
+        target: 'lighting', type: 'select', choices: LIGHTING_MODES, defaultValue: DEFAULT_LIGHTING_OPTIONS.mode
+    },
+    lighting('sampleFrames', 'Measure every N frames', 1, 30, 1),
+    lighting('smoothingMs', 'Smoothing (ms)', 0, 3000, 50),
+    lighting('tintStrength', 'Tint strength', 0, 1, 0.05),
+    lighting('rimStrength', 'Rim light', 0, 1, 0.05),
+    lighting('manualExposure', 'Manual exposure', 0.2, 2, 0.05),
+    lighting('manualTemperature', 'Manual temperature (K)', 2000, 10000, 100),
+
+    // --- Filtering (keypointFilters.js) ---
+    {
+        key: 'keypointFilter', option: 'type', label: 'Keypoint filter', group: 'Filtering',
+        target: 'filter', type: 'select', choices: getKeypointFilterTypes(), defaultValue: DEFAULT_FILTER_OPTIONS.type
+    },
+    filter('minCutoff', 'One Euro min cutoff (Hz)', 0.05, 10, 0.05),
+    filter('beta', 'One Euro beta', 0, 0.1, 0.001),
+    filter('processNoise', 'Kalman process noise', 100, 20000, 100),
+    filter('measurementNoise', 'Kalman measurement noise', 1, 200, 1),
+    filter('maxPredictionMs', 'Max prediction (ms)', 0, 500, 10),
+
+    // --- Tracking (trackingState.js; the acquire threshold is 'Shoulder confidence') ---
+    tracking('releaseScore', 'Keep-tracking confidence', 0.05, 0.9, 0.05),
+    tracking('acquireFrames', 'Frames to acquire', 1, 10, 1),
+    tracking('graceMs', 'Grace period (ms)', 0, 3000, 50),
+    tracking('fadeInMs', 'Fade in (ms)', 0, 2000, 50),
+    tracking('fadeOutMs', 'Fade out (ms)', 0, 2000, 50),
+
+    // --- Placement ---
+    solver('smoothingFactor', 'Smoothing (filter: none)', 'Placement', 0.05, 1, 0.05),
+    solver('wingVerticalShift', 'Vertical shift', 'Placement', -1.5, 1.5, 0.05),
+    solver('shoulderPivotMultiplier', 'Shoulder pivot', 'Placement', 0, 2, 0.05),
+    solver('minHorizontalOffset', 'Min horizontal offset', 'Placement', 0, 1, 0.01),
+    solver('maxXRotation', 'Max tilt', 'Placement', 0, Math.PI / 2, Math.PI / 180, 'deg'),
+    solver('yDifferenceSensitivity', 'Tilt sensitivity (px)', 'Placement', 20, 400, 10),
+    solver('depthZ', 'Depth Z', 'Placement', -15, -1, 0.5),
+    solver('backOffsetZ', 'Back offset Z', 'Placement', -10, 0, 0.5),
+    app('wingScaleMultiplier', 'Wing scale', 'Placement', 0.25, 3, 0.05, 1.0),
+
+    // --- Wings ---
+    solver('splayAngle', 'Rest splay', 'Wings', -Math.PI / 4, Math.PI / 2, Math.PI / 180, 'deg'),
+    solverToggle('armDrive', 'Arm-driven spread', 'Wings'),
+    solver('foldedSplay', 'Folded splay', 'Wings', -Math.PI / 4, Math.PI / 2, Math.PI / 180, 'deg'),
+    solver('openSplay', 'Open splay', 'Wings', 0, Math.PI * 0.75, Math.PI / 180, 'deg'),
+    solver('armStiffness', 'Spring stiffness', 'Wings', 5, 200, 5),
+    solver('armDamping', 'Spring damping', 'Wings', 0, 40, 0.5),
+    solver('flapSpeedThreshold', 'Flap speed', 'Wings', 0.5, 10, 0.25),
+    solver('flapImpulse', 'Flap impulse', 'Wings', 0, 20, 0.5),
+
+    // --- Depth / yaw ---
+    solverToggle('estimateDepth', 'Estimate depth', 'Depth & yaw'),
+    solverToggle('estimateYaw', 'Estimate yaw', 'Depth & yaw'),
+    solver('referenceDepthMeters', 'Reference depth (m)', 'Depth & yaw', 0.5, 5, 0.1),
+    solver('depthSmoothing', 'Depth smoothing', 'Depth & yaw', 0.01, 1, 0.01),
+    solver('shoulderWidthMeters', 'Shoulder width (m)', 'Depth & yaw', 0.2, 0.6, 0.005),
+    solver('torsoHeightMeters', 'Torso height (m)', 'Depth & yaw', 0.3, 0.8, 0.005),
+    solverToggle('use3DKeypoints', 'BlazePose 3D orientation', 'Depth & yaw'),
+    solver('maxYaw', 'Max yaw', 'Depth & yaw', 0, Math.PI / 2, Math.PI / 180, 'deg'),
+    solver('yawSmoothing', 'Yaw smoothing', 'Depth & yaw', 0.01, 1, 0.01)
+];
+
+const SCHEMA_BY_KEY = new Map(SETTINGS_SCHEMA.map(entry => [entry.key, entry]));
+
+export function getSettingDefinition(key) {
+    return SCHEMA_BY_KEY.get(key);
+}
+
+const toDisplay = (entry, value) => (entry.unit === 'deg' ? value * RAD_TO_DEG : value);
+const fromDisplay = (entry, value) => (entry.unit === 'deg' ? value / RAD_TO_DEG : value);
+
+// Parses and range-checks a display-unit value; returns undefined when unusable
+function coerce(entry, raw) {
+    if (entry.type === 'checkbox') {
+        if (typeof raw === 'boolean') return raw;
+        if (raw === 'true' || raw === '1') return true;
+        if (raw === 'false' || raw === '0') return false;
+        return undefined;
+    }
+    if (entry.type === 'select') {
+        return entry.choices.includes(raw) ? raw : undefined;
+    }
+    const number = typeof raw === 'number' ? raw : parseFloat(raw);
+    if (!Number.isFinite(number)) return undefined;
+    const value = fromDisplay(entry, number);
+    return Math.min(entry.max, Math.max(entry.min, value));
+}
+
+export class SettingsStore {
+    constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null } = {}) {
+        this.storage = storage;
+        this.values = {};
+        this.listeners = new Set();
+        SETTINGS_SCHEMA.forEach(entry => { this.values[entry.key] = entry.defaultValue; });
+    }
+
+    get(key) { return this.values[key]; }
+
+    // Values for one target ('solver', 'filter', 'tracking', 'lighting' or 'app'), keyed by option name where one is set
+    getTargetValues(target) {
+        const result = {};
+        SETTINGS_SCHEMA.filter(entry => entry.target === target).forEach(entry => { result[entry.option || entry.key] = this.values[entry.key]; });
+        return result;
+    }
+
+    /**
+     * Subscribes to changes.
+     * @param {(key: string, value: *, entry: object) => void} listener
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    set(key, value) {
+        const entry = SCHEMA_BY_KEY.get(key);
+        if (!entry || this.values[key] === value) return;
+        this.values[key] = value;
+        this.listeners.forEach(listener => listener(key, value, entry));
+    }
+
+    getDisplayValue(key) {
+        return toDisplay(SCHEMA_BY_KEY.get(key), this.values[key]);
+    }
+
+    // Returns false when the value could not be used
+    setDisplayValue(key, raw) {
+        const entry = SCHEMA_BY_KEY.get(key);
+        if (!entry) return false;
+        const value = coerce(entry, raw);
+        if (value === undefined) return false;
+        this.set(key, value);
+        return true;
+    }
+
+    // Applies a { key: displayValue } map; returns the keys that were ignored
+    applyDisplayValues(map) {
+        return Object.keys(map || {}).filter(key => !this.setDisplayValue(key, map[key]));
+    }
+
+    resetDefaults() {
+        SETTINGS_SCHEMA.forEach(entry => this.set(entry.key, entry.defaultValue));
+    }
+
+    // Only keys from the schema are read; everything else in the query is left alone
+    applyUrlParams(search) {
+        const query = new URLSearchParams(search);
+        const applied = [];
+        const rejected = [];
+        query.forEach((raw, key) => {
+            if (!SCHEMA_BY_KEY.has(key)) return;
+            (this.setDisplayValue(key, raw) ? applied : rejected).push(key);
+        });
+        return { applied, rejected };
+    }
+
+    toDisplayMap() {
+        const map = {};
+        SETTINGS_SCHEMA.forEach(entry => {
+            const value = toDisplay(entry, this.values[entry.key]);
+            map[entry.key] = typeof value === 'number' ? Number(value.toFixed(4)) : value;
+        });
+        return map;
+    }
+
+    // --- JSON import / export ---
+    exportJSON() {
+        return JSON.stringify({
+            format: SETTINGS_FORMAT,
+            version: SETTINGS_FORMAT_VERSION,
+            values: this.toDisplayMap()
+        }, null, 2);
+    }
+
+    /**
+     * @returns {Array<string>} keys that were present but ignored
+     * @throws {Error} when the text is not a settings export
+     */
+    importJSON(text) {
+        const data = JSON.parse(text);
+        if (!data || data.format !== SETTINGS_FORMAT || typeof data.values !== 'object') {
+            throw new Error(`Not an ${SETTINGS_FORMAT} file`);
+        }
+        if (data.version > SETTINGS_FORMAT_VERSION) {
+            throw new Error(`Settings version ${data.version} is newer than supported (${SETTINGS_FORMAT_VERSION})`);
+        }
+        return this.applyDisplayValues(data.values);
+    }
+
+    // --- Named presets (localStorage) ---
+    readPresets() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(PRESETS_STORAGE_KEY)) || {};
+        } catch (err) {
+            return {};
+        }
+    }
+
+    listPresets() {
+        return Object.keys(this.readPresets()).sort();
+    }
+
+    savePreset(name) {
+        if (!this.storage) throw new Error('localStorage is not available');
+        const presets = this.readPresets();
+        presets[name] = this.toDisplayMap();
+        this.storage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    }
+
+    loadPreset(name) {
+        const preset = this.readPresets()[name];
+        if (!preset) throw new Error(`No preset named "${name}"`);
+        return this.applyDisplayValues(preset);
+    }
+
+    deletePreset(name) {
+        if (!this.storage) return;
+        const presets = this.readPresets();
+        delete presets[name];
+        this.storage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    }
+}
@@ -0,0 +1,176 @@
+// === SETTINGS PANEL ===
+// Sliders for every entry in SETTINGS_SCHEMA, applied live, plus preset,
+// import/export, reset and share-URL controls. Sits next to the debug panel.
+
+import { SETTINGS_SCHEMA } from './settings.js';
+import { downloadBlob } from './sessionRecorder.js';
+
+const formatValue = (entry, value) => {
+    if (entry.type === 'checkbox') return value ? 'on' : 'off';
+    if (entry.type === 'select') return '';
+    const decimals = entry.unit === 'deg' ? 0 : Math.max(0, -Math.floor(Math.log10(entry.step)));
+    return `${value.toFixed(decimals)}${entry.unit === 'deg' ? '°' : ''}`;
+};
+
+/**
+ * @param {import('./settings.js').SettingsStore} store
+ * @param {(type: string, message: string) => void} log - Usually debugLogger.log.
+ */
+export function setupSettingsPanel(store, log) {
+    const panel = document.getElementById('settings-panel');
+    const controls = document.getElementById('settings-controls');
+    if (!panel || !controls) return;
+
+    const toggleBtn = document.getElementById('toggle-settings');
+    toggleBtn.addEventListener('click', () => {
+        panel.classList.toggle('minimized');
+        toggleBtn.textContent = panel.classList.contains('minimized') ? '⚙' : '−';
+    });
+
+    // 1. One row per setting, grouped
+    const rows = new Map();
+    let currentGroup = null;
+    SETTINGS_SCHEMA.forEach(entry => {
+        if (entry.group !== currentGroup) {
+            currentGroup = entry.group;
+            const header = document.createElement('div');
+            header.className = 'settings-group';
+            header.textContent = currentGroup;
+            controls.appendChild(header);
+        }
+
+        const row = document.createElement('label');
+        row.className = 'settings-row';
+        const name = document.createElement('span');
+        name.className = 'settings-name';
+        name.textContent = entry.label;
+        name.title = entry.key;
+
+        const input = document.createElement(entry.type === 'select' ? 'select' : 'input');
+        if (entry.type === 'select') {
+            entry.choices.forEach(choice => {
+                const option = document.createElement('option');
+                option.value = choice;
+                option.textContent = choice;
+                input.appendChild(option);
+            });
+            input.addEventListener('change', () => store.setDisplayValue(entry.key, input.value));
+        } else if (entry.type === 'range') {
+            input.type = entry.type;
+            const toUnit = (v) => (entry.unit === 'deg' ? v * 180 / Math.PI : v);
+            input.min = toUnit(entry.min);
+            input.max = toUnit(entry.max);
+            input.step = toUnit(entry.step);
+            input.addEventListener('input', () => store.setDisplayValue(entry.key, input.value));
+        } else {
+            input.type = entry.type;
+            input.addEventListener('change', () => store.setDisplayValue(entry.key, input.checked));
+        }
+
+        const valueLabel = document.createElement('span');
+        valueLabel.className = 'settings-value';
+
+        row.append(name, input, valueLabel);
+        controls.appendChild(row);
+        rows.set(entry.key, { entry, input, valueLabel });
+    });
+
+    const refreshRow = (key) => {
+        const row = rows.get(key);
+        if (!row) return;
+        const value = store.getDisplayValue(key);
+        if (row.entry.type === 'checkbox') {
+            row.input.checked = value;
+        } else if (document.activeElement !== row.input) {
+            row.input.value = value;
+        }
+        row.valueLabel.textContent = formatValue(row.entry, value);
+    };
+    rows.forEach((row, key) => refreshRow(key));
+    store.subscribe(key => refreshRow(key));
+
+    // 2. Presets
+    const presetSelect = document.getElementById('settings-preset-select');
+    const refreshPresets = (selected) => {
+        presetSelect.innerHTML = '';
+        store.listPresets().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            presetSelect.appendChild(option);
+        });
+        if (selected) presetSelect.value = selected;
+    };
+    refreshPresets();
+
+    document.getElementById('settings-preset-save').addEventListener('click', () => {
+        const name = window.prompt('Preset name', presetSelect.value || 'My preset');
+        if (!name) return;
+        try {
+            store.savePreset(name.trim());
+            refreshPresets(name.trim());
+            log('success', `Saved settings preset "${name.trim()}"`);
+        } catch (err) {
+            log('error', `Could not save preset: ${err.message}`);
+        }
+    });
+    document.getElementById('settings-preset-load').addEventListener('click', () => {
+        if (!presetSelect.value) return;
+        try {
+            const ignored = store.loadPreset(presetSelect.value);
+            log('success', `Loaded settings preset "${presetSelect.value}"`);
+            if (ignored.length > 0) log('warning', `Preset keys ignored: ${ignored.join(', ')}`);
+        } catch (err) {
+            log('error', err.message);
+        }
+    });
+    document.getElementById('settings-preset-delete').addEventListener('click', () => {
+        if (!presetSelect.value) return;
+        store.deletePreset(presetSelect.value);
+        log('info', `Deleted settings preset "${presetSelect.value}"`);
+        refreshPresets();
+    });
+
+    // 3. Import / export / reset / share URL
+    document.getElementById('settings-export').addEventListener('click', () => {
+        downloadBlob(new Blob([store.exportJSON()], { type: 'application/json' }), 'ar-wings-settings.json');
+    });
+
+    const importInput = document.getElementById('settings-import-input');
+    document.getElementById('settings-import').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+        try {
+            const ignored = store.importJSON(await file.text());
+            log('success', `Imported settings from ${file.name}`);
+            if (ignored.length > 0) log('warning', `Settings keys ignored: ${ignored.join(', ')}`);
+        } catch (err) {
+            log('error', `Settings import failed: ${err.message}`);
+        }
+    });
+
+    document.getElementById('settings-reset').addEventListener('click', () => {
+        store.resetDefaults();
+        log('info', 'Settings reset to defaults');
+    });
+
+    document.getElementById('settings-copy-url').addEventListener('click', async () => {
+        const url = new URL(window.location.href);
+        const values = store.toDisplayMap();
+        SETTINGS_SCHEMA.forEach(entry => {
+            const defaultDisplay = entry.unit === 'deg' ? entry.defaultValue * 180 / Math.PI : entry.defaultValue;
+            const isDefault = typeof defaultDisplay === 'number'
+                ? Math.abs(values[entry.key] - defaultDisplay) < 1e-4
+                : values[entry.key] === defaultDisplay;
+            if (isDefault) url.searchParams.delete(entry.key); else url.searchParams.set(entry.key, values[entry.key]);
+        });
+        try {
+            await navigator.clipboard.writeText(url.href);
+            log('success', 'Settings URL copied to clipboard');
+        } catch (err) {
+            log('info', `Settings URL: ${url.href}`);
+        }
+    });
+}
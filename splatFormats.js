@@ -0,0 +1,105 @@
+// === SPLAT FILE FORMATS ===
+// Format detection and sanity checks for the Gaussian splat files Spark can
+// load (ksplat, ply, spz, splat), so unsupported or corrupt wing files are
+// reported clearly before any mesh is replaced.
+
+export const SPLAT_FORMATS = ['ksplat', 'ply', 'spz', 'splat'];
+export const SPLAT_FILE_ACCEPT = SPLAT_FORMATS.map(format => `.${format}`).join(',');
+
+const KSPLAT_HEADER_BYTES = 4096;
+const KSPLAT_SECTION_HEADER_BYTES = 1024;
+const KSPLAT_MAX_COMPRESSION_LEVEL = 2;
+const SPLAT_RECORD_BYTES = 32; // position (12) + scale (12) + color (4) + rotation (4)
+const PLY_HEADER_SEARCH_BYTES = 64 * 1024;
+
+export class SplatFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SplatFormatError';
+    }
+}
+
+// 'wings.PLY' -> 'ply'; null when the extension is not a splat format
+export function detectSplatFormatFromName(name) {
+    const match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(name || '');
+    const extension = match ? match[1].toLowerCase() : null;
+    return SPLAT_FORMATS.includes(extension) ? extension : null;
+}
+
+// The full ksplat main header: version 0.x, section / splat counts within their maxima, a known
+// compression level, and section headers whose splat counts add up to the total. A weaker check
+// also matches the first float record of a headerless .splat file.
+function hasKsplatHeader(bytes) {
+    if (bytes.length <= KSPLAT_HEADER_BYTES || bytes[0] !== 0 || bytes[1] < 1) return false;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const maxSectionCount = view.getUint32(4, true);
+    const sectionCount = view.getUint32(8, true);
+    const maxSplatCount = view.getUint32(12, true);
+    const splatCount = view.getUint32(16, true);
+    const compressionLevel = view.getUint16(20, true);
+    if (sectionCount === 0 || sectionCount > maxSectionCount) return false;
+    if (splatCount === 0 || splatCount > maxSplatCount) return false;
+    if (compressionLevel > KSPLAT_MAX_COMPRESSION_LEVEL) return false;
+    if (KSPLAT_HEADER_BYTES + maxSectionCount * KSPLAT_SECTION_HEADER_BYTES > bytes.length) return false;
+
+    let sectionSplats = 0;
+    for (let i = 0; i < sectionCount; i++) {
+        sectionSplats += view.getUint32(KSPLAT_HEADER_BYTES + i * KSPLAT_SECTION_HEADER_BYTES, true);
+    }
+    return sectionSplats === splatCount;
+}
+
+// Sniffs the header; .splat has none, so it is only inferred from its record size
+export function detectSplatFormatFromBytes(bytes) {
+    if (bytes.length >= 4 && bytes[0] === 0x70 && bytes[1] === 0x6c && bytes[2] === 0x79 && (bytes[3] === 0x0a || bytes[3] === 0x0d)) {
+        return 'ply';
+    }
+    if (bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) {
+        return 'spz'; // SPZ is gzip-compressed
+    }
+    if (hasKsplatHeader(bytes)) return 'ksplat';
+    return null;
+}
+
+/**
+ * Checks that the bytes plausibly hold the given format.
+ * @throws {SplatFormatError} describing what is wrong with the file.
+ */
+export function validateSplatBytes(bytes, format, fileName = 'file') {
+    if (bytes.length === 0) throw new SplatFormatError(`${fileName} is empty`);
+
+    if (format === 'ply') {
+        const header = new TextDecoder().decode(bytes.subarray(0, PLY_HEADER_SEARCH_BYTES));
+        if (!header.startsWith('ply')) throw new SplatFormatError(`${fileName} is missing the PLY magic`);
+        if (!header.includes('end_header')) throw new SplatFormatError(`${fileName} has a truncated PLY header`);
+        if (!/element vertex \d+/.test(header)) throw new SplatFormatError(`${fileName} has no vertex element`);
+    } else if (format === 'spz') {
+        if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) throw new SplatFormatError(`${fileName} is not gzip-compressed SPZ`);
+    } else if (format === 'ksplat') {
+        if (bytes.length <= KSPLAT_HEADER_BYTES) throw new SplatFormatError(`${fileName} is too small for a ksplat file`);
+        if (detectSplatFormatFromBytes(bytes) !== 'ksplat') throw new SplatFormatError(`${fileName} has an invalid ksplat header`);
+    } else if (format === 'splat') {
+        if (bytes.length % SPLAT_RECORD_BYTES !== 0) {
+            throw new SplatFormatError(`${fileName} is not a whole number of ${SPLAT_RECORD_BYTES}-byte splats (truncated?)`);
+        }
+    } else {
+        throw new SplatFormatError(`${fileName}: unsupported format "${format}" (expected ${SPLAT_FORMATS.join(', ')})`);
+    }
+}
+
+/**
+ * Works out the format from the header, falling back to the extension, and validates it.
+ * A .splat extension always wins: the format has no header, so any sniffed match is its data.
+ * @returns {{ format: string, detectedFrom: 'header'|'extension' }}
+ * @throws {SplatFormatError} for unsupported or corrupt files.
+ */
+export function identifySplatFile(bytes, fileName) {
+    const fromName = detectSplatFormatFromName(fileName);
+    const fromHeader = fromName === 'splat' ? null : detectSplatFormatFromBytes(bytes);
+    const format = fromHeader || fromName;
+    if (!format) {
+        throw new SplatFormatError(`${fileName}: unsupported file (expected ${SPLAT_FORMATS.join(', ')})`);
+    }
+    validateSplatBytes(bytes, format, fileName);
+    return { format, detectedFrom: fromHeader ? 'header' : 'extension' };
+}
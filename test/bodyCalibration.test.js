@@ -0,0 +1,37 @@
+// === BODY CALIBRATION TESTS ===
+// Measurements -> settings for both calibration sources.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CALIBRATION_SETTING_KEYS, measurementsToSettings } from '../bodyCalibration.js';
+import { DEFAULT_SOLVER_PARAMS } from '../wingSolver.js';
+
+const p = DEFAULT_SOLVER_PARAMS;
+const REFERENCE_SPAN_TO_SHOULDER = 1.45 / p.shoulderWidthMeters;
+const REFERENCE_TORSO_TO_SHOULDER = p.torsoHeightMeters / p.shoulderWidthMeters;
+
+const proportions = (spanToShoulder, torsoToShoulder) => ({
+    shoulderWidth: null, torsoLength: null, wristSpan: null, spanToShoulder, torsoToShoulder
+});
+
+test('reference proportions leave the placement at its defaults', () => {
+    const settings = measurementsToSettings(proportions(REFERENCE_SPAN_TO_SHOULDER, REFERENCE_TORSO_TO_SHOULDER));
+    assert.equal(settings.wingScaleMultiplier, 1);
+    assert.equal(settings.minHorizontalOffset, p.minHorizontalOffset);
+    assert.equal(settings.wingVerticalShift, p.wingVerticalShift);
+});
+
+test('proportions set a personal scale, offset and vertical anchor but no depth constants', () => {
+    const settings = measurementsToSettings(proportions(REFERENCE_SPAN_TO_SHOULDER * 1.2, REFERENCE_TORSO_TO_SHOULDER * 1.1));
+    assert.ok(Math.abs(settings.wingScaleMultiplier - 1.2) < 1e-9);
+    assert.ok(settings.minHorizontalOffset < p.minHorizontalOffset); // Relatively narrower shoulders
+    assert.ok(Math.abs(settings.wingVerticalShift - p.wingVerticalShift * 1.1) < 0.01);
+    assert.equal(settings.shoulderWidthMeters, undefined);
+    assert.equal(settings.torsoHeightMeters, undefined);
+});
+
+test('metric measurements set every calibration setting', () => {
+    const settings = measurementsToSettings({ shoulderWidth: 0.42, torsoLength: 0.55, wristSpan: 1.6, spanToShoulder: 3.8, torsoToShoulder: 1.3 });
+    assert.deepEqual(Object.keys(settings).sort(), CALIBRATION_SETTING_KEYS.slice().sort());
+    assert.equal(settings.shoulderWidthMeters, 0.42);
+});
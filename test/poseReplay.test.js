@@ -0,0 +1,73 @@
+// === POSE REPLAY TESTS ===
+// Recording parsing and the replay sources' stepping, with a stub in place of
+// the <video> element.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeypointReplay, SESSION_FORMAT, VideoFileReplay, parseKeypointRecording } from '../poseReplay.js';
+
+const recording = frames => JSON.stringify({ format: SESSION_FORMAT, version: 1, videoWidth: 640, videoHeight: 480, frames });
+
+// Just what VideoFileReplay touches on an HTMLVideoElement
+function createStubVideo({ duration = 1, currentTime = 0 } = {}) {
+    return {
+        duration,
+        currentTime,
+        paused: false,
+        loop: false,
+        pause() { this.paused = true; },
+        play() { this.paused = false; return Promise.resolve(); }
+    };
+}
+
+// --- PARSING ---
+
+test('a recording without usable frames is rejected', () => {
+    assert.throws(() => parseKeypointRecording(recording([{ t: 0 }, { t: 10, detected: false, poses: [] }])), /contains no frames/);
+});
+
+test('frames are sorted, rebased to zero and skipped when detection did not run', () => {
+    const parsed = parseKeypointRecording(recording([
+        { t: 120, poses: [] },
+        { t: 100, poses: [] },
+        { t: 110, detected: false, poses: [] }
+    ]));
+    assert.deepEqual(parsed.frames.map(frame => frame.t), [0, 20]);
+});
+
+// --- STEPPING ---
+
+test('stepping a video file replay pauses and seeks one frame ahead', () => {
+    const video = createStubVideo({ currentTime: 0.5 });
+    const replay = new VideoFileReplay(video, { name: 'clip.mp4' }, { frameStep: 0.1 });
+    replay.step();
+    assert.equal(video.paused, true);
+    assert.ok(Math.abs(video.currentTime - 0.6) < 1e-9);
+});
+
+test('stepping past the end of a video wraps when looping and holds otherwise', () => {
+    const looping = createStubVideo({ currentTime: 0.95 });
+    new VideoFileReplay(looping, { name: 'clip.mp4' }, { loop: true, frameStep: 0.1 }).step();
+    assert.equal(looping.currentTime, 0);
+
+    const once = createStubVideo({ currentTime: 0.95 });
+    new VideoFileReplay(once, { name: 'clip.mp4' }, { loop: false, frameStep: 0.1 }).step();
+    assert.equal(once.currentTime, 1);
+});
+
+test('stepping a keypoint replay moves to the next recorded frame', () => {
+    const parsed = parseKeypointRecording(recording([{ t: 0, poses: [] }, { t: 40, poses: [] }, { t: 90, poses: [] }]));
+    const replay = new KeypointReplay(parsed, { now: () => 0 });
+    replay.step();
+    assert.equal(replay.currentTime, 40);
+    replay.step();
+    replay.step();
+    assert.equal(replay.currentTime, 0); // Wrapped
+});
+
+test('an empty keypoint replay steps and answers safely', () => {
+    const replay = new KeypointReplay({ frames: [], videoWidth: 640, videoHeight: 480 }, { now: () => 0 });
+    replay.step();
+    assert.equal(replay.duration, 0);
+    assert.deepEqual(replay.posesAt(), []);
+});
@@ -0,0 +1,153 @@
+// === WING SOLVER TESTS ===
+// Placement math against fixed MoveNet keypoint fixtures (test/fixtures),
+// run with `npm test` (node --test). Smoothing is set to 1 so one solve lands
+// on the target, and depth / yaw estimation are off unless a test needs them,
+// so the expected values follow directly from the 2D formulas.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { DEFAULT_SOLVER_PARAMS, solveWingPlacement } from '../wingSolver.js';
+
+const loadFixture = name => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+const UPRIGHT = loadFixture('movenet-upright.json');
+const TILTED = loadFixture('movenet-tilted.json');
+const FAR = loadFixture('movenet-far.json');
+
+const FLAT_PARAMS = { smoothingFactor: 1, estimateDepth: false, estimateYaw: false, armDrive: false };
+
+function solve(fixture, { cameraMode = 'environment', params, asset } = {}) {
+    return solveWingPlacement({
+        keypoints: fixture.keypoints,
+        videoWidth: fixture.videoWidth,
+        videoHeight: fixture.videoHeight,
+        cameraMode,
+        wingScale: 1,
+        asset,
+        params: { ...FLAT_PARAMS, ...params }
+    });
+}
+
+const keypoint = (fixture, name) => fixture.keypoints.find(kp => kp.name === name);
+const normX = (x, width) => (x / width) * 2 - 1;
+const normY = (y, height) => -(y / height) * 2 + 1;
+const assertClose = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+
+// --- MIRRORING ---
+
+test('rear camera places the group over the shoulder midpoint', () => {
+    const result = solve(UPRIGHT);
+    const left = keypoint(UPRIGHT, 'left_shoulder');
+    const right = keypoint(UPRIGHT, 'right_shoulder');
+    const p = DEFAULT_SOLVER_PARAMS;
+
+    assertClose(result.group.position.x, normX((left.x + right.x) / 2, UPRIGHT.videoWidth), 'x');
+    assertClose(result.group.position.y, normY((left.y + right.y) / 2, UPRIGHT.videoHeight) - p.wingVerticalShift, 'y');
+    assertClose(result.group.position.z, p.depthZ + p.backOffsetZ, 'z');
+});
+
+test('front camera mirrors X and the tilt, nothing else', () => {
+    const rear = solve(TILTED, { params: { maxXRotation: Math.PI } });
+    const front = solve(TILTED, { cameraMode: 'user', params: { maxXRotation: Math.PI } });
+
+    assert.notEqual(rear.group.position.x, 0);
+    assertClose(front.group.position.x, -rear.group.position.x, 'position x');
+    assertClose(front.group.position.y, rear.group.position.y, 'position y');
+    assertClose(front.group.position.z, rear.group.position.z, 'position z');
+    assertClose(front.group.rotation.x, -rear.group.rotation.x, 'tilt');
+    assertClose(front.horizontalOffset, rear.horizontalOffset, 'offset');
+    assert.deepEqual(front.left, rear.left);
+    assert.deepEqual(front.right, rear.right);
+});
+
+test('wings sit symmetrically about the group in both camera modes', () => {
+    ['environment', 'user'].forEach(cameraMode => {
+        const { left, right, horizontalOffset } = solve(UPRIGHT, { cameraMode });
+        assertClose(left.position.x, horizontalOffset, `${cameraMode} left`);
+        assertClose(right.position.x, -horizontalOffset, `${cameraMode} right`);
+        assertClose(left.rotation.x, right.rotation.x, `${cameraMode} rotation x`);
+        assertClose(left.rotation.z, -right.rotation.z, `${cameraMode} rotation z`);
+    });
+});
+
+// --- SHOULDER TILT ---
+
+test('level shoulders give no tilt', () => {
+    assert.equal(solve(UPRIGHT).group.rotation.x, 0);
+});
+
+test('tilt follows the shoulder height difference below the clamp', () => {
+    const p = DEFAULT_SOLVER_PARAMS;
+    const yDiff = keypoint(TILTED, 'left_shoulder').y - keypoint(TILTED, 'right_shoulder').y;
+    const sensitivity = Math.abs(yDiff) * 2; // Half of the clamp angle
+    const result = solve(TILTED, { params: { yDifferenceSensitivity: sensitivity } });
+    assertClose(result.group.rotation.x, (yDiff / sensitivity) * p.maxXRotation, 'tilt');
+    assert.ok(Math.abs(result.group.rotation.x) < p.maxXRotation);
+});
+
+test('a steep lean is clamped to maxXRotation', () => {
+    const p = DEFAULT_SOLVER_PARAMS;
+    const yDiff = keypoint(TILTED, 'left_shoulder').y - keypoint(TILTED, 'right_shoulder').y;
+    assert.ok(Math.abs(yDiff) / p.yDifferenceSensitivity > 1, 'fixture leans past the clamp');
+
+    const rear = solve(TILTED);
+    const front = solve(TILTED, { cameraMode: 'user' });
+    assertClose(rear.group.rotation.x, Math.sign(yDiff) * p.maxXRotation, 'rear');
+    assertClose(front.group.rotation.x, -Math.sign(yDiff) * p.maxXRotation, 'front');
+
+    const tighter = solve(TILTED, { params: { maxXRotation: 0.1 } });
+    assertClose(Math.abs(tighter.group.rotation.x), 0.1, 'custom clamp');
+});
+
+test('tilt is eased by the smoothing factor', () => {
+    const first = solve(TILTED);
+    const eased = solve(TILTED, { params: { smoothingFactor: 0.25 } });
+    assertClose(eased.group.rotation.x, first.group.rotation.x * 0.25, 'first step from level');
+});
+
+// --- HORIZONTAL OFFSET LIMITS ---
+
+test('wide shoulders set the offset from the shoulder span', () => {
+    const p = DEFAULT_SOLVER_PARAMS;
+    const span = Math.abs(normX(keypoint(UPRIGHT, 'left_shoulder').x, UPRIGHT.videoWidth) -
+        normX(keypoint(UPRIGHT, 'right_shoulder').x, UPRIGHT.videoWidth));
+    const expected = (span / 2) * p.shoulderPivotMultiplier;
+    assert.ok(expected > p.minHorizontalOffset, 'fixture is wider than the minimum');
+    assertClose(solve(UPRIGHT).horizontalOffset, expected, 'offset');
+});
+
+test('narrow shoulders are held at minHorizontalOffset', () => {
+    const p = DEFAULT_SOLVER_PARAMS;
+    const result = solve(FAR);
+    assert.equal(result.horizontalOffset, p.minHorizontalOffset);
+    assert.equal(result.left.position.x, p.minHorizontalOffset);
+    assert.equal(result.right.position.x, -p.minHorizontalOffset);
+
+    const custom = solve(FAR, { params: { minHorizontalOffset: 0.4 } });
+    assert.equal(custom.horizontalOffset, 0.4);
+});
+
+test('the asset pivot is added outside the offset limit', () => {
+    const result = solve(FAR, { asset: { pivot: { x: 0.1, y: 0.2, z: 0 } } });
+    assertClose(result.left.position.x, DEFAULT_SOLVER_PARAMS.minHorizontalOffset + 0.1, 'left');
+    assertClose(result.right.position.x, -DEFAULT_SOLVER_PARAMS.minHorizontalOffset - 0.1, 'right');
+    assert.equal(result.left.position.y, 0.2);
+});
+
+// --- DEPTH ---
+
+test('estimated depth stays within its limits and keeps offsets above the minimum', () => {
+    const p = DEFAULT_SOLVER_PARAMS;
+    [UPRIGHT, TILTED, FAR].forEach(fixture => {
+        const result = solve(fixture, { params: { estimateDepth: true, estimateYaw: true } });
+        assert.ok(result.body.depth >= p.minDepthMeters && result.body.depth <= p.maxDepthMeters, fixture.description);
+        assert.ok(result.horizontalOffset >= p.minHorizontalOffset, fixture.description);
+        Object.values(result.group.position).forEach(value => assert.ok(Number.isFinite(value), fixture.description));
+    });
+});
+
+test('no solve without both shoulders', () => {
+    const keypoints = UPRIGHT.keypoints.filter(kp => kp.name !== 'right_shoulder');
+    assert.equal(solveWingPlacement({ keypoints, videoWidth: 640, videoHeight: 480, cameraMode: 'user', wingScale: 1 }), null);
+});
@@ -0,0 +1,51 @@
+// === TF.JS BACKEND SELECTION ===
+// Tries webgl -> wasm -> cpu until one initializes and passes a tiny smoke
+// test (a broken WebGL driver can "initialize" and then fail on first use).
+// Used on the main thread and inside poseWorker.js.
+
+import * as tf from '@tensorflow/tfjs';
+import { setWasmPaths } from '@tensorflow/tfjs-backend-wasm';
+import wasmUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm?url';
+import wasmSimdUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm?url';
+import wasmThreadedSimdUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm?url';
+
+export const TF_BACKEND_ORDER = ['webgl', 'wasm', 'cpu'];
+
+// Vite serves the .wasm binaries from the bundle instead of a CDN
+setWasmPaths({
+    'tfjs-backend-wasm.wasm': wasmUrl,
+    'tfjs-backend-wasm-simd.wasm': wasmSimdUrl,
+    'tfjs-backend-wasm-threaded-simd.wasm': wasmThreadedSimdUrl
+});
+
+async function tryBackend(name) {
+    if (!(await tf.setBackend(name))) throw new Error('could not be initialized');
+    await tf.ready();
+    const sum = tf.tidy(() => tf.add(tf.scalar(1), tf.scalar(1)).dataSync()[0]);
+    if (sum !== 2) throw new Error('failed the smoke test');
+}
+
+// Tensor / byte counts of this thread's TF.js (diagnostics.js); the pose worker reports its own
+export function getTfMemory() {
+    const { numTensors, numBytes, numDataBuffers } = tf.memory();
+    return { numTensors, numBytes, numDataBuffers };
+}
+
+/**
+ * Activates the first working backend.
+ * @param {Array<string>} [candidates=TF_BACKEND_ORDER]
+ * @returns {Promise<{ backend: string, failures: Array<{ backend: string, reason: string }> }>}
+ * @throws {Error} when none of the candidates work.
+ */
+export async function initTfBackend(candidates = TF_BACKEND_ORDER) {
+    const failures = [];
+    for (const name of candidates) {
+        try {
+            await tryBackend(name);
+            return { backend: name, failures };
+        } catch (err) {
+            failures.push({ backend: name, reason: err.message });
+        }
+    }
+    throw new Error(`No TF.js backend available (${failures.map(f => `${f.backend}: ${f.reason}`).join('; ')})`);
+}
@@ -0,0 +1,127 @@
+// === TRACKING STATE MACHINE ===
+// Decides when a person's wings are shown, so one bad detection does not make
+// them flicker:
+//
+//   searching --good--> acquiring --acquireFrames good in a row--> tracked
+//       ^                   |                                          |
+//       |                   +--miss--> searching          score < releaseScore
+//       |                                                              v
+//       +------------- grace period over ------------------------- lost
+//                                                    (last pose held; good -> tracked)
+//
+// "Good" means both shoulders at or above acquireScore. Once tracked, scores
+// only have to stay above the lower releaseScore (hysteresis). Visibility
+// fades (and scales) in when tracked and out when the grace period ends.
+
+export const TRACKING_STATES = ['searching', 'acquiring', 'tracked', 'lost'];
+
+export const DEFAULT_TRACKING_OPTIONS = {
+    acquireScore: 0.4,   // Shoulder confidence needed to (re)acquire
+    releaseScore: 0.25,  // Tracked people are kept down to this confidence
+    acquireFrames: 2,    // Consecutive good detections before the wings appear
+    graceMs: 600,        // How long a lost pose is held before fading out
+    fadeInMs: 250,
+    fadeOutMs: 400,
+    minScale: 0.6        // Scale at zero visibility (wings grow in / shrink out)
+};
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+export class TrackingStateMachine {
+    constructor(options) {
+        this.options = { ...DEFAULT_TRACKING_OPTIONS, ...options };
+        this.listeners = new Set();
+        this.reset();
+    }
+
+    reset() {
+        this.state = 'searching';
+        this.goodCount = 0;
+        this.lostSince = null;
+        this.visibility = 0;
+        this.lastTick = null;
+    }
+
+    /**
+     * Subscribes to state changes.
+     * @param {(event: { from: string, to: string, time: number }) => void} listener
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    setOptions(options) {
+        Object.assign(this.options, options);
+    }
+
+    transition(to, time) {
+        if (to === this.state) return;
+        const from = this.state;
+        this.state = to;
+        if (to === 'lost') this.lostSince = time;
+        if (to !== 'acquiring') this.goodCount = 0;
+        this.listeners.forEach(listener => listener({ from, to, time }));
+    }
+
+    /**
+     * Feeds one detection result.
+     * @param {number|null} score - Weaker shoulder's confidence, or null when the person was not detected.
+     * @param {number} time - Capture time of the detected frame (ms).
+     */
+    update(score, time) {
+        const { acquireScore, releaseScore, acquireFrames } = this.options;
+        const good = score !== null && score >= acquireScore;
+
+        switch (this.state) {
+            case 'searching':
+                if (good) {
+                    this.transition('acquiring', time);
+                    this.goodCount = 1;
+                    if (this.goodCount >= acquireFrames) this.transition('tracked', time);
+                }
+                break;
+            case 'acquiring':
+                if (!good) {
+                    this.transition('searching', time);
+                } else if (++this.goodCount >= acquireFrames) {
+                    this.transition('tracked', time);
+                }
+                break;
+            case 'tracked':
+                if (score === null || score < releaseScore) this.transition('lost', time);
+                break;
+            case 'lost':
+                if (good) this.transition('tracked', time);
+                break;
+        }
+    }
+
+    /**
+     * Advances the grace timer and the fade; call once per rendered frame.
+     * @returns {{ state: string, visibility: number, opacity: number, scale: number }}
+     */
+    tick(time) {
+        if (this.state === 'lost' && time - this.lostSince > this.options.graceMs) {
+            this.transition('searching', time);
+        }
+
+        const dt = this.lastTick === null ? 0 : Math.max(0, time - this.lastTick);
+        this.lastTick = time;
+        const showing = this.state === 'tracked' || this.state === 'lost';
+        if (showing) {
+            this.visibility = this.options.fadeInMs > 0 ? Math.min(1, this.visibility + dt / this.options.fadeInMs) : 1;
+        } else {
+            this.visibility = this.options.fadeOutMs > 0 ? Math.max(0, this.visibility - dt / this.options.fadeOutMs) : 0;
+        }
+
+        const eased = smoothstep(this.visibility);
+        return {
+            state: this.state,
+            visibility: this.visibility,
+            opacity: eased,
+            scale: this.options.minScale + (1 - this.options.minScale) * eased
+        };
+    }
+}
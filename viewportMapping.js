@@ -0,0 +1,88 @@
+// === VIEWPORT MAPPING ===
+// Where the video lands on screen. It is scaled to cover the view (overflow
+// cropped, like CSS object-fit: cover) or to fit inside it ('contain',
+// letterboxed), centred, and mirrored for the front camera. Keypoints are in
+// video pixels; these helpers turn them into view pixels / NDC so the debug
+// overlay and the wings line up with the body on any screen shape.
+// Pure math, no DOM: wingSolver.js uses it headlessly too.
+
+export const VIEWPORT_FITS = ['cover', 'contain'];
+
+/**
+ * @param {object} input
+ * @param {number} input.videoWidth
+ * @param {number} input.videoHeight
+ * @param {number} input.viewWidth - CSS pixels of the element the video is shown in.
+ * @param {number} input.viewHeight
+ * @param {'cover'|'contain'} [input.fit='cover']
+ * @param {boolean} [input.mirror=false] - Front camera preview.
+ * @returns {object} { scale, displayWidth, displayHeight, offsetX, offsetY, ndcScaleX, ndcScaleY, aspect, ...input }
+ */
+export function computeViewport({ videoWidth, videoHeight, viewWidth, viewHeight, fit = 'cover', mirror = false }) {
+    const scaleX = viewWidth / videoWidth;
+    const scaleY = viewHeight / videoHeight;
+    const scale = fit === 'contain' ? Math.min(scaleX, scaleY) : Math.max(scaleX, scaleY);
+    const displayWidth = videoWidth * scale;
+    const displayHeight = videoHeight * scale;
+    return {
+        videoWidth,
+        videoHeight,
+        viewWidth,
+        viewHeight,
+        fit,
+        mirror,
+        scale, // View pixels per video pixel
+        displayWidth,
+        displayHeight,
+        offsetX: (viewWidth - displayWidth) / 2, // Negative on the cropped axis
+        offsetY: (viewHeight - displayHeight) / 2,
+        // Half-size of the shown video in view NDC: above 1 when cropped, below 1 when letterboxed
+        ndcScaleX: displayWidth / viewWidth,
+        ndcScaleY: displayHeight / viewHeight,
+        aspect: viewWidth / viewHeight
+    };
+}
+
+// Video pixel -> view pixel (mirroring included)
+export function videoToView(viewport, x, y) {
+    const viewX = viewport.offsetX + x * viewport.scale;
+    return {
+        x: viewport.mirror ? viewport.viewWidth - viewX : viewX,
+        y: viewport.offsetY + y * viewport.scale
+    };
+}
+
+// Video pixel -> view NDC (-1..1 across the visible view, y up)
+export function videoToNdc(viewport, x, y) {
+    const view = videoToView(viewport, x, y);
+    return {
+        x: (view.x / viewport.viewWidth) * 2 - 1,
+        y: 1 - (view.y / viewport.viewHeight) * 2
+    };
+}
+
+// The shown video as a view-pixel rectangle (for drawing video-sized images over it)
+export function displayRect(viewport) {
+    return { x: viewport.offsetX, y: viewport.offsetY, width: viewport.displayWidth, height: viewport.displayHeight };
+}
+
+// The part of the video that is on screen, in video pixels (all of it when letterboxed)
+export function visibleVideoRect(viewport) {
+    const width = Math.min(viewport.viewWidth, viewport.displayWidth) / viewport.scale;
+    const height = Math.min(viewport.viewHeight, viewport.displayHeight) / viewport.scale;
+    return { x: (viewport.videoWidth - width) / 2, y: (viewport.videoHeight - height) / 2, width, height };
+}
+
+/**
+ * Half-size of the view in world units at `distance` in front of a perspective camera
+ * whose vertical field of view is `fovDegrees` (NDC ±1 maps to ±halfWidth / ±halfHeight).
+ */
+export function viewHalfExtents(viewport, fovDegrees, distance) {
+    const halfHeight = Math.tan((fovDegrees * Math.PI / 180) / 2) * distance;
+    return { halfWidth: halfHeight * viewport.aspect, halfHeight };
+}
+
+// Camera focal length in video pixels for the shown field of view (pinhole depth estimates)
+export function focalLengthInVideoPixels(viewport, fovDegrees) {
+    return (viewport.viewHeight / 2) / Math.tan((fovDegrees * Math.PI / 180) / 2) / viewport.scale;
+}
@@ -1,16 +1,30 @@
 import { defineConfig } from 'vite';
 
-export default defineConfig({
+// Dependencies stay external in the library build; the embedding app installs them
+const LIBRARY_EXTERNALS = [/^three/, /^@tensorflow\//, /^@tensorflow-models\//, /^@mediapipe\//, /^@sparkjsdev\//];
+
+export default defineConfig(({ mode }) => ({
   // Base path for deployment (useful for Vercel/GitHub Pages)
-  base: './', 
-  build: {
-    // Ensures assets and modules are built correctly
-    outDir: 'dist', 
+  base: './',
+  build: mode === 'lib'
+    ? {
+      // `npm run build:lib`: ARWingsSession and friends as an ES module (arWings.js)
+      outDir: 'dist/lib',
+      lib: { entry: 'arWings.js', formats: ['es'], fileName: 'ar-wings' },
+      rollupOptions: { external: LIBRARY_EXTERNALS },
+    }
+    : {
+      // Ensures assets and modules are built correctly
+      outDir: 'dist',
+    },
+  worker: {
+    // poseWorker.js is loaded with { type: 'module' }
+    format: 'es',
   },
   server: {
     // Required for the camera to work on local development (HTTPS required)
-    https: false, 
+    https: false,
     // You can set this to true if you are using HTTPS setup (recommended for AR)
-    host: '0.0.0.0' 
+    host: '0.0.0.0'
   },
-});
+}));
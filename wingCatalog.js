@@ -0,0 +1,175 @@
+// === WING ASSET CATALOG ===
+// Wing styles come from assets/wings.json instead of hard-coded paths. Each
+// style is one of three layouts:
+//   pair     - separate "left" and "right" files
+//   mirrored - a single "file" for one side ("fileSide"), mirrored for the other
+//   combined - one "combined" file holding both wings, placed at the group centre
+// plus a per-style base scale, pivot/anchor offset, base rotation and display name.
+// File formats come from the extension unless the entry sets "format".
+
+import catalogManifest from './assets/wings.json';
+import { SPLAT_FORMATS, detectSplatFormatFromName } from './splatFormats.js';
+
+export const WING_LAYOUTS = ['pair', 'mirrored', 'combined'];
+
+const toVector = (value) => {
+    if (Array.isArray(value)) return { x: Number(value[0]) || 0, y: Number(value[1]) || 0, z: Number(value[2]) || 0 };
+    if (value && typeof value === 'object') return { x: Number(value.x) || 0, y: Number(value.y) || 0, z: Number(value.z) || 0 };
+    return { x: 0, y: 0, z: 0 };
+};
+
+// Files are relative to assets/ (Vite bundles everything in that folder), or absolute URLs
+export function resolveAssetUrl(file) {
+    if (/^(https?:|blob:|data:)/.test(file)) return file;
+    return new URL(`./assets/${file}`, import.meta.url).href;
+}
+
+/**
+ * Normalizes one manifest entry.
+ * @returns {object} { id, name, layout, leftUrl, rightUrl, combinedUrl, fileTypes, mirrorSide, baseScale, pivot, rotation }
+ */
+export function normalizeWingStyle(entry) {
+    if (!entry || typeof entry.id !== 'string') throw new Error('Wing style is missing an id');
+
+    const style = {
+        id: entry.id,
+        name: entry.name || entry.id,
+        layout: null,
+        leftUrl: null,
+        rightUrl: null,
+        combinedUrl: null,
+        fileTypes: {},   // url -> 'ksplat' | 'ply' | 'spz' | 'splat'
+        mirrorSide: null,
+        baseScale: entry.baseScale > 0 ? entry.baseScale : 1.0,
+        pivot: toVector(entry.pivot),
+        rotation: toVector(entry.rotation)
+    };
+
+    const addFile = (file) => {
+        const format = entry.format || detectSplatFormatFromName(file);
+        if (!SPLAT_FORMATS.includes(format)) {
+            throw new Error(`Wing style "${entry.id}": unsupported format for ${file} (expected ${SPLAT_FORMATS.join(', ')})`);
+        }
+        const url = resolveAssetUrl(file);
+        style.fileTypes[url] = format;
+        return url;
+    };
+
+    if (entry.left && entry.right) {
+        style.layout = 'pair';
+        style.leftUrl = addFile(entry.left);
+        style.rightUrl = addFile(entry.right);
+    } else if (entry.file) {
+        // The side without its own file is the mirror image
+        style.layout = 'mirrored';
+        const fileSide = entry.fileSide === 'right' ? 'right' : 'left';
+        style.mirrorSide = fileSide === 'left' ? 'right' : 'left';
+        style.leftUrl = style.rightUrl = addFile(entry.file);
+    } else if (entry.combined) {
+        style.layout = 'combined';
+        style.combinedUrl = addFile(entry.combined);
+    } else {
+        throw new Error(`Wing style "${entry.id}" needs left/right, file or combined`);
+    }
+    return style;
+}
+
+/**
+ * Parses a wings.json manifest. Invalid entries are skipped and reported in `warnings`.
+ * "assetVersion" names the cache generation of the files (assetLoader.js): bump it when a file changes.
+ * @returns {{ version: number, assetVersion: string, defaultId: string, styles: Array, warnings: Array<string> }}
+ */
+export function parseWingCatalog(manifest) {
+    const warnings = [];
+    const styles = [];
+    (manifest && Array.isArray(manifest.styles) ? manifest.styles : []).forEach(entry => {
+        try {
+            const style = normalizeWingStyle(entry);
+            if (styles.some(s => s.id === style.id)) throw new Error(`Duplicate wing style id "${style.id}"`);
+            styles.push(style);
+        } catch (err) {
+            warnings.push(err.message);
+        }
+    });
+    if (styles.length === 0) throw new Error('Wing catalog has no usable styles');
+
+    const defaultId = styles.some(s => s.id === manifest.default) ? manifest.default : styles[0].id;
+    const version = manifest.version || 1;
+    const assetVersion = String(manifest.assetVersion !== undefined ? manifest.assetVersion : version);
+    return { version, assetVersion, defaultId, styles, warnings };
+}
+
+export function getWingStyle(catalog, id) {
+    return catalog.styles.find(style => style.id === id) || catalog.styles.find(style => style.id === catalog.defaultId);
+}
+
+// Style files to download before loading (one per distinct URL)
+export function getWingStyleUrls(style) {
+    return Array.from(new Set([style.leftUrl, style.rightUrl, style.combinedUrl].filter(Boolean)));
+}
+
+export const WING_CATALOG = parseWingCatalog(catalogManifest);
+
+export const LOCAL_WING_MODES = ['mirrored', 'left', 'right', 'combined'];
+
+/**
+ * Builds a style from locally picked or dropped files (already identified by splatFormats.js).
+ * Two files become a left/right pair (matched by "left"/"right" in the name, else in order).
+ * One file is used according to `mode`: mirrored, left or right side of `baseStyle`, or combined.
+ *
+ * @param {Array<{ url: string, name: string, format: string }>} files - Blob URLs with their formats.
+ * @param {string} mode - One of LOCAL_WING_MODES (ignored for two files).
+ * @param {object} baseStyle - Current style; supplies scale/pivot/rotation and the kept side.
+ */
+export function createLocalWingStyle(files, mode, baseStyle) {
+    if (files.length === 0 || files.length > 2) throw new Error('Drop one wing file, or a left and a right file');
+
+    const style = {
+        id: `local-${Date.now()}`,
+        name: `Local: ${files.map(f => f.name).join(' + ')}`,
+        layout: null,
+        leftUrl: null,
+        rightUrl: null,
+        combinedUrl: null,
+        fileTypes: {},
+        mirrorSide: null,
+        baseScale: baseStyle.baseScale,
+        pivot: { ...baseStyle.pivot },
+        rotation: { ...baseStyle.rotation },
+        isLocal: true
+    };
+    files.forEach(f => { style.fileTypes[f.url] = f.format; });
+
+    if (files.length === 2) {
+        const rightFirst = /right/i.test(files[0].name) || /left/i.test(files[1].name);
+        const [left, right] = rightFirst ? [files[1], files[0]] : files;
+        style.layout = 'pair';
+        style.leftUrl = left.url;
+        style.rightUrl = right.url;
+        return style;
+    }
+
+    const file = files[0];
+    if (mode === 'combined') {
+        style.layout = 'combined';
+        style.combinedUrl = file.url;
+    } else if (mode === 'left' || mode === 'right') {
+        if (baseStyle.layout === 'combined') {
+            throw new Error(`Cannot replace one side of "${baseStyle.name}" (single mesh); load a pair or a mirrored file`);
+        }
+        // Keep the other side of the current style
+        style.layout = 'pair';
+        style.name = `Local: ${file.name} (${mode}) + ${baseStyle.name}`;
+        style.leftUrl = mode === 'left' ? file.url : baseStyle.leftUrl;
+        style.rightUrl = mode === 'right' ? file.url : baseStyle.rightUrl;
+        const keptUrl = mode === 'left' ? baseStyle.rightUrl : baseStyle.leftUrl;
+        style.fileTypes[keptUrl] = baseStyle.fileTypes[keptUrl];
+        // A mirrored base renders its kept side flipped; keep that
+        if (baseStyle.layout === 'mirrored' && baseStyle.mirrorSide !== mode) style.mirrorSide = baseStyle.mirrorSide;
+    } else {
+        style.layout = 'mirrored';
+        style.mirrorSide = 'right';
+        style.leftUrl = style.rightUrl = file.url;
+    }
+    return style;
+}
@@ -0,0 +1,413 @@
+// === HEADLESS WING PLACEMENT SOLVER ===
+// Pure pose-to-wing math, pulled out of the render loop so it can run in Node
+// with no DOM, WebGL or camera. Everything it used to read from globals
+// (video size, camera facing, smoothing state) is passed in, and the new
+// smoothing state is handed back for the caller to store.
+
+import { focalLengthInVideoPixels, viewHalfExtents } from './viewportMapping.js';
+
+// --- DEFAULT TUNING (matches the values the render loop shipped with) ---
+export const DEFAULT_SOLVER_PARAMS = {
+    smoothingFactor: 0.6,
+    minShoulderScore: 0.4,
+    wingVerticalShift: 0.5,
+    shoulderPivotMultiplier: 0.55,
+    minHorizontalOffset: 0.25,
+    maxXRotation: Math.PI / 6,
+    yDifferenceSensitivity: 150,
+    depthZ: -5.0,
+    backOffsetZ: -5.0,
+    splayAngle: Math.PI / 12,
+    baseRotX: -Math.PI * 0.2,
+    baseRotY: Math.PI,
+    wingDepthStretch: 1.5,
+
+    // Arm-driven spread / flap (splayAngle above is the resting pose)
+    armDrive: true,
+    minArmScore: 0.3,
+    foldedSplay: 0,                   // arms hanging down
+    openSplay: Math.PI / 3,           // arms raised to armRaisedAngle or beyond
+    armRaisedAngle: Math.PI * 0.75,   // arm elevation (0 = down, PI = straight up) that fully opens the wing
+    armStiffness: 60,                 // spring pulling the spread towards its target
+    armDamping: 9,                    // below 2 * sqrt(armStiffness) the spring overshoots
+    flapSpeedThreshold: 3,            // downward wrist speed, in shoulder widths per second
+    flapImpulse: 8,                   // spread velocity (rad/s) added by one flap
+    flapCooldownMs: 300,
+    maxFlapOvershoot: Math.PI / 6,
+
+    // Subject depth / body yaw from keypoint pixel sizes
+    estimateDepth: true,
+    estimateYaw: true,
+    cameraFov: 65,                    // vertical FOV in degrees, same as the Three.js camera
+    shoulderWidthMeters: 0.38,
+    torsoHeightMeters: 0.5,           // shoulder midpoint to hip midpoint
+    referenceDepthMeters: 2.0,        // distance at which the layout matches depthZ + backOffsetZ
+    minDepthMeters: 0.6,
+    maxDepthMeters: 6.0,
+    depthSmoothing: 0.15,
+    minHipScore: 0.3,
+    maxYaw: Math.PI / 3,
+    yawSmoothing: 0.3,
+
+    // Metric 3D keypoints (BlazePose keypoints3D) replace the 2D yaw and tilt estimates when present
+    use3DKeypoints: true,
+    min3DScore: 0.5
+};
+
+// Per-style placement from the wing catalog (see wingCatalog.js)
+export const DEFAULT_ASSET_PLACEMENT = {
+    layout: 'pair',        // 'pair' | 'mirrored' | 'combined'
+    mirrorSide: null,      // side rendered with a negative X scale ('mirrored' layout)
+    pivot: { x: 0, y: 0, z: 0 },
+    rotation: { x: 0, y: 0, z: 0 }
+};
+
+const MAX_SPRING_STEP_SECONDS = 1 / 120;
+const MAX_FRAME_SECONDS = 0.1;
+const DEFAULT_FRAME_MS = 1000 / 60;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Video pixel coordinates -> normalized device coordinates (-1..1)
+const normX = (coord, dim) => (coord / dim) * 2 - 1;
+const normY = (coord, dim) => -(coord / dim) * 2 + 1;
+
+// Video pixels -> world units at the layout distance (depthZ + backOffsetZ).
+// With a viewport (see viewportMapping.js) the point lands where the video
+// shows it on screen, cropping and aspect included; without one NDC is used
+// as world units directly, the original behaviour for headless callers.
+// Shared with accessorySolver.js so accessories land in the same space.
+export function createWorldMapping(videoWidth, videoHeight, viewport, p) {
+    if (!viewport) {
+        return {
+            x: px => normX(px, videoWidth),
+            y: py => normY(py, videoHeight),
+            focalPx: (videoHeight / 2) / Math.tan((p.cameraFov * Math.PI / 180) / 2)
+        };
+    }
+    const { halfWidth, halfHeight } = viewHalfExtents(viewport, p.cameraFov, Math.abs(p.depthZ + p.backOffsetZ));
+    return {
+        x: px => normX(px, videoWidth) * viewport.ndcScaleX * halfWidth,
+        y: py => normY(py, videoHeight) * viewport.ndcScaleY * halfHeight,
+        focalPx: focalLengthInVideoPixels(viewport, p.cameraFov)
+    };
+}
+
+const createArmState = () => ({
+    spread: null,
+    velocity: 0,
+    wristY: null,
+    wristTime: 0,
+    lastFlapTime: -Infinity
+});
+
+export function createSolverState() {
+    return {
+        groupPosition: { x: 0, y: 0, z: 0 },
+        groupRotationX: 0,
+        horizontalOffset: 0,
+        timestamp: null,
+        depth: null,
+        yaw: 0,
+        arms: { left: createArmState(), right: createArmState() }
+    };
+}
+
+export function findKeypoint(keypoints, name) {
+    return keypoints ? keypoints.find(kp => kp.name === name) : undefined;
+}
+
+// True when both shoulders are present and above the confidence threshold.
+export function hasConfidentShoulders(keypoints, params = DEFAULT_SOLVER_PARAMS) {
+    const leftShoulder = findKeypoint(keypoints, 'left_shoulder');
+    const rightShoulder = findKeypoint(keypoints, 'right_shoulder');
+    return Boolean(leftShoulder && rightShoulder &&
+        leftShoulder.score > params.minShoulderScore &&
+        rightShoulder.score > params.minShoulderScore);
+}
+
+/**
+ * Solves the wings group and per-wing transforms for one frame.
+ *
+ * @param {object} input
+ * @param {Array} input.keypoints - MoveNet keypoints ({ name, x, y, score }) in video pixels.
+ * @param {number} input.videoWidth
+ * @param {number} input.videoHeight
+ * @param {'user'|'environment'} input.cameraMode - 'user' mirrors the X axis.
+ * @param {object} [input.viewport] - computeViewport() result for the displayed video; places the
+ *        wings over the shoulders as shown on screen (cropping and view aspect included).
+ * @param {number} input.wingScale - Uniform scale applied to each wing.
+ * @param {object} [input.asset] - Style placement, see DEFAULT_ASSET_PLACEMENT.
+ * @param {number} [input.timestamp] - Frame time in ms; drives the arm spring and flap detection.
+ * @param {Array} [input.keypoints3D] - BlazePose world keypoints ({ name, x, y, z, score }) in metres;
+ *        when the shoulders are confident they set the yaw and tilt directly.
+ * @param {object} [input.state] - Previous state from createSolverState() or an earlier solve.
+ * @param {object} [input.params] - Overrides for DEFAULT_SOLVER_PARAMS.
+ * @returns {object|null} { group, left, right, horizontalOffset, body, arms, state }, or null without usable shoulders.
+ */
+export function solveWingPlacement({ keypoints, keypoints3D, videoWidth, videoHeight, viewport, cameraMode, wingScale, asset, timestamp, state, params }) {
+    const p = { ...DEFAULT_SOLVER_PARAMS, ...params };
+    const placement = { ...DEFAULT_ASSET_PLACEMENT, ...asset };
+    const prev = state || createSolverState();
+    const time = timestamp !== undefined ? timestamp
+        : (prev.timestamp !== null ? prev.timestamp + DEFAULT_FRAME_MS : 0);
+    const dt = prev.timestamp !== null ? clamp((time - prev.timestamp) / 1000, 0, MAX_FRAME_SECONDS) : 0;
+
+    const leftShoulder = findKeypoint(keypoints, 'left_shoulder');
+    const rightShoulder = findKeypoint(keypoints, 'right_shoulder');
+    if (!leftShoulder || !rightShoulder || !videoWidth || !videoHeight) return null;
+
+    const mirror = cameraMode === 'user';
+    const toWorld = createWorldMapping(videoWidth, videoHeight, viewport, p);
+    const shoulders3D = p.use3DKeypoints ? find3DShoulders(keypoints3D, p) : null;
+
+    // 0. DEPTH AND YAW. Scaling the layout by depth / referenceDepth keeps the
+    // on-screen position while perspective shrinks distant wings.
+    const body = estimateBody(keypoints, leftShoulder, rightShoulder, shoulders3D, toWorld.focalPx, mirror, prev, p);
+    const depthScale = body.depth !== null ? body.depth / p.referenceDepthMeters : 1;
+
+    // 1. GROUP POSITION (shoulder midpoint, smoothed)
+    const avgShoulderX = (leftShoulder.x + rightShoulder.x) / 2;
+    const avgShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
+
+    let targetX = toWorld.x(avgShoulderX) * depthScale;
+    let targetY = toWorld.y(avgShoulderY) * depthScale;
+    let targetZ = (p.depthZ + p.backOffsetZ) * depthScale;
+    if (mirror) targetX = -targetX;
+    targetY -= p.wingVerticalShift;
+
+    const s = p.smoothingFactor;
+    const groupPosition = {
+        x: prev.groupPosition.x + (targetX - prev.groupPosition.x) * s,
+        y: prev.groupPosition.y + (targetY - prev.groupPosition.y) * s,
+        z: prev.groupPosition.z + (targetZ - prev.groupPosition.z) * s
+    };
+
+    // 2. DYNAMIC WING OFFSET (half the shoulder span, never narrower than the minimum)
+    let sxL = toWorld.x(leftShoulder.x);
+    let sxR = toWorld.x(rightShoulder.x);
+    if (mirror) {
+        sxL = -sxL;
+        sxR = -sxR;
+    }
+    const normalizedShoulderDistance = Math.abs(sxR - sxL);
+    // Undo the foreshortening of a turned body; the group yaw turns it back on screen
+    const yawCompensation = 1 / Math.max(Math.cos(body.yaw), 0.5);
+    const wingRootOffset = (normalizedShoulderDistance / 2.0) * p.shoulderPivotMultiplier * depthScale * yawCompensation;
+    const horizontalOffset = Math.max(wingRootOffset, p.minHorizontalOffset);
+
+    // 3. GROUP ROTATION (shoulder tilt, clamped then smoothed; the true angle with 3D keypoints)
+    let targetRotX;
+    if (shoulders3D) {
+        const { left: l3, right: r3 } = shoulders3D;
+        targetRotX = Math.atan2(l3.y - r3.y, Math.hypot(l3.x - r3.x, l3.z - r3.z));
+    } else {
+        const yDiff = leftShoulder.y - rightShoulder.y;
+        targetRotX = (yDiff / p.yDifferenceSensitivity) * p.maxXRotation;
+    }
+    targetRotX = clamp(targetRotX, -p.maxXRotation, p.maxXRotation);
+    if (mirror) targetRotX = -targetRotX;
+    const groupRotationX = prev.groupRotationX + (targetRotX - prev.groupRotationX) * s;
+
+    // 4. ARM-DRIVEN SPREAD (each wing follows the arm on its own side)
+    const shoulderSpan = Math.abs(leftShoulder.x - rightShoulder.x);
+    const leftArm = solveArm('left', keypoints, prev.arms.left, dt, time, shoulderSpan, p);
+    const rightArm = solveArm('right', keypoints, prev.arms.right, dt, time, shoulderSpan, p);
+
+    // 5. INDIVIDUAL WINGS (right side mirrors the pivot and base rotation)
+    const { pivot, rotation: baseRot } = placement;
+    const wingScaleFor = (side) => ({
+        x: placement.mirrorSide === side ? -wingScale : wingScale,
+        y: wingScale,
+        z: wingScale * p.wingDepthStretch
+    });
+
+    let left;
+    let right;
+    if (placement.layout === 'combined') {
+        // Both wings are one mesh in the left slot, centred on the group; the right slot is empty
+        left = {
+            position: { ...pivot },
+            rotation: { x: p.baseRotX + baseRot.x, y: p.baseRotY + baseRot.y, z: Math.PI + baseRot.z },
+            scale: wingScaleFor('left')
+        };
+        right = {
+            position: { x: 0, y: 0, z: 0 },
+            rotation: { x: 0, y: 0, z: 0 },
+            scale: { x: 1, y: 1, z: 1 }
+        };
+    } else {
+        left = {
+            position: { x: horizontalOffset + pivot.x, y: pivot.y, z: pivot.z },
+            rotation: { x: p.baseRotX + baseRot.x, y: p.baseRotY + baseRot.y, z: Math.PI + leftArm.state.spread + baseRot.z },
+            scale: wingScaleFor('left')
+        };
+        right = {
+            position: { x: -horizontalOffset - pivot.x, y: pivot.y, z: pivot.z },
+            rotation: { x: p.baseRotX + baseRot.x, y: p.baseRotY - baseRot.y, z: -Math.PI - rightArm.state.spread - baseRot.z },
+            scale: wingScaleFor('right')
+        };
+    }
+
+    return {
+        group: {
+            position: groupPosition,
+            rotation: { x: groupRotationX, y: body.yaw, z: 0 },
+            scale: { x: 1, y: 1, z: 1 }
+        },
+        left,
+        right,
+        horizontalOffset,
+        body: { depth: body.depth, yaw: body.yaw, depthSource: body.depthSource, yawSource: body.yawSource },
+        arms: {
+            left: { spread: leftArm.state.spread, tracked: leftArm.tracked, flapped: leftArm.flapped },
+            right: { spread: rightArm.state.spread, tracked: rightArm.tracked, flapped: rightArm.flapped }
+        },
+        state: {
+            groupPosition,
+            groupRotationX,
+            horizontalOffset,
+            timestamp: time,
+            depth: body.depth,
+            yaw: body.yaw,
+            arms: { left: leftArm.state, right: rightArm.state }
+        }
+    };
+}
+
+// Spread target from arm elevation, driven through an underdamped spring so
+// flaps overshoot. Low-confidence arms ease back to the resting splayAngle.
+function solveArm(side, keypoints, prevArm, dt, time, shoulderSpan, p) {
+    const confident = kp => Boolean(kp && kp.score > p.minArmScore);
+    const shoulder = findKeypoint(keypoints, `${side}_shoulder`);
+    const elbow = findKeypoint(keypoints, `${side}_elbow`);
+    const wrist = findKeypoint(keypoints, `${side}_wrist`);
+    const hand = confident(wrist) ? wrist : (confident(elbow) ? elbow : null);
+    const tracked = p.armDrive && confident(shoulder) && hand !== null;
+
+    let target = p.splayAngle;
+    if (tracked) {
+        // Image Y grows downwards: 0 = arm hanging down, PI/2 = T-pose, PI = straight up
+        const elevation = Math.atan2(Math.abs(hand.x - shoulder.x), hand.y - shoulder.y);
+        const openness = clamp(elevation / p.armRaisedAngle, 0, 1);
+        target = p.foldedSplay + (p.openSplay - p.foldedSplay) * openness;
+    }
+
+    let spread = prevArm.spread === null ? target : prevArm.spread;
+    let velocity = prevArm.spread === null ? 0 : prevArm.velocity;
+    let { wristY, wristTime, lastFlapTime } = prevArm;
+    let flapped = false;
+
+    // Flap on a fast downward wrist stroke, measured between detections
+    if (tracked && confident(wrist) && shoulderSpan > 0) {
+        if (wristY !== null && wrist.y !== wristY && time > wristTime) {
+            const speed = (wrist.y - wristY) / shoulderSpan / ((time - wristTime) / 1000);
+            if (speed > p.flapSpeedThreshold && time - lastFlapTime > p.flapCooldownMs) {
+                velocity += p.flapImpulse;
+                lastFlapTime = time;
+                flapped = true;
+            }
+        }
+        if (wrist.y !== wristY) {
+            wristY = wrist.y;
+            wristTime = time;
+        }
+    } else {
+        wristY = null;
+    }
+
+    let remaining = dt;
+    while (remaining > 0) {
+        const h = Math.min(remaining, MAX_SPRING_STEP_SECONDS);
+        const accel = p.armStiffness * (target - spread) - p.armDamping * velocity;
+        velocity += accel * h;
+        spread += velocity * h;
+        remaining -= h;
+    }
+    const minSpread = Math.min(p.foldedSplay, p.splayAngle) - p.maxFlapOvershoot;
+    const maxSpread = Math.max(p.openSplay, p.splayAngle) + p.maxFlapOvershoot;
+    spread = clamp(spread, minSpread, maxSpread);
+
+    return {
+        tracked,
+        flapped,
+        state: { spread, velocity, wristY, wristTime, lastFlapTime }
+    };
+}
+
+// Both shoulders from the 3D keypoints, or null when either is missing or unsure
+function find3DShoulders(keypoints3D, p) {
+    const left = findKeypoint(keypoints3D, 'left_shoulder');
+    const right = findKeypoint(keypoints3D, 'right_shoulder');
+    if (!left || !right || !(left.score > p.min3DScore) || !(right.score > p.min3DScore)) return null;
+    return { left, right };
+}
+
+// Depth from the torso height (unaffected by turning) or, without hips, the
+// shoulder span. Yaw straight from the 3D shoulder line when available, else
+// from how much narrower the shoulders look than the torso predicts, with its
+// sign from the nose position or which ear is more visible.
+function estimateBody(keypoints, leftShoulder, rightShoulder, shoulders3D, focalPx, mirror, prev, p) {
+    const confident = kp => Boolean(kp && kp.score > p.minHipScore);
+    const leftHip = findKeypoint(keypoints, 'left_hip');
+    const rightHip = findKeypoint(keypoints, 'right_hip');
+
+    const shoulderMidX = (leftShoulder.x + rightShoulder.x) / 2;
+    const shoulderMidY = (leftShoulder.y + rightShoulder.y) / 2;
+    const shoulderPx = Math.hypot(leftShoulder.x - rightShoulder.x, leftShoulder.y - rightShoulder.y);
+    let torsoPx = 0;
+    if (confident(leftHip) && confident(rightHip)) {
+        torsoPx = Math.hypot((leftHip.x + rightHip.x) / 2 - shoulderMidX, (leftHip.y + rightHip.y) / 2 - shoulderMidY);
+    }
+
+    // 1. DEPTH (pinhole model: distance = focal * real size / pixel size)
+    let depth = null;
+    let depthSource = null;
+    if (p.estimateDepth) {
+        let target = null;
+        if (torsoPx > 0) {
+            target = focalPx * p.torsoHeightMeters / torsoPx;
+            depthSource = 'torso';
+        } else if (shoulderPx > 0) {
+            target = focalPx * p.shoulderWidthMeters / shoulderPx;
+            depthSource = 'shoulders';
+        }
+        if (target !== null) {
+            target = clamp(target, p.minDepthMeters, p.maxDepthMeters);
+            depth = prev.depth === null ? target : prev.depth + (target - prev.depth) * p.depthSmoothing;
+        } else {
+            depth = prev.depth;
+        }
+    }
+
+    // 2. YAW (0 = facing the camera)
+    let targetYaw = 0;
+    let yawSource = null;
+    if (p.estimateYaw && shoulders3D) {
+        // World z grows away from the camera: turning towards image +X pushes the left shoulder back
+        const { left: l3, right: r3 } = shoulders3D;
+        const yaw3D = Math.atan2(l3.z - r3.z, l3.x - r3.x);
+        targetYaw = clamp(mirror ? -yaw3D : yaw3D, -p.maxYaw, p.maxYaw);
+        yawSource = '3d';
+    } else if (p.estimateYaw && torsoPx > 0) {
+        const expectedRatio = p.shoulderWidthMeters / p.torsoHeightMeters;
+        const magnitude = Math.acos(clamp((shoulderPx / torsoPx) / expectedRatio, 0, 1));
+
+        const nose = findKeypoint(keypoints, 'nose');
+        const leftEar = findKeypoint(keypoints, 'left_ear');
+        const rightEar = findKeypoint(keypoints, 'right_ear');
+        let direction = 0;
+        if (nose && nose.score > p.minHipScore) {
+            direction = Math.sign(nose.x - shoulderMidX);
+        } else if (leftEar && rightEar) {
+            // Turning towards image +X hides the subject's left ear
+            direction = Math.sign(rightEar.score - leftEar.score);
+        }
+        if (mirror) direction = -direction;
+        targetYaw = clamp(direction * magnitude, -p.maxYaw, p.maxYaw);
+        yawSource = 'torso';
+    }
+    const yaw = prev.yaw + (targetYaw - prev.yaw) * p.yawSmoothing;
+
+    return { depth, depthSource, yaw, yawSource };
+}